@@ -0,0 +1,406 @@
+#!/usr/bin/env node
+const YamahaMusicCast = require('./yamaha-musiccast');
+
+/**
+ * @unit musiccast-cli.js
+ * @description Command-line tool for controlling Yamaha MusicCast receivers, built on the YamahaMusicCast class.
+ * @version 1.0.0
+ * @author Ernst Reidinga - ERDesigns
+ * @copyrigth ERDesigns 2023
+ * @license MIT
+ */
+
+/**
+ * @constant USAGE
+ * @description The help text of the command-line tool.
+ */
+const USAGE = `Usage: musiccast [options] <command> [arguments]
+
+Commands:
+  discover [timeout]               Find the receivers on the network
+  info                             Show the device information
+  status [zone]                    Show the status of a zone
+  power on|off|toggle              Switch the zone on or to standby
+  volume +2|-2|35|40%|db:-30.5     Change the volume relative, absolute, in percent or in dB
+  mute on|off                      Mute or unmute the zone
+  input <input>                    Select an input, e.g. hdmi1
+  program <program>                Select a sound program, e.g. straight
+  preset recall <num> [band]       Recall a net/usb preset, or a tuner preset of the band (fm, am, dab)
+  netusb play|pause|stop|next|previous|status
+                                   Control the network/USB playback
+  tuner freq <band> <frequency>    Tune to a frequency, e.g. fm 101.3 (MHz) or am 1008 (kHz)
+  tuner status                     Show the tuner play information
+  watch                            Stream the decoded events until interrupted
+
+Options:
+  -h, --host <ip>                  The receiver IP address (default: $MUSICCAST_HOST)
+  -z, --zone <zone>                The zone (default: main)
+  -p, --port <port>                The UDP port events are received on (default: automatic)
+  -t, --timeout <ms>               The request timeout in milliseconds
+  -j, --json                       Print JSON instead of a table
+      --help                       Show this help`;
+
+/**
+ * @constant OPTIONS
+ * @description The command-line options which take a value, by their short and long names.
+ */
+const OPTIONS = {
+  '-h': 'host',
+  '--host': 'host',
+  '-z': 'zone',
+  '--zone': 'zone',
+  '-p': 'port',
+  '--port': 'port',
+  '-t': 'timeout',
+  '--timeout': 'timeout',
+};
+
+/**
+ * @class UsageError
+ * @description Raised for invalid command-line arguments. Prints the usage and exits with code 2.
+ */
+class UsageError extends Error {}
+
+/**
+ * @function parseArgs
+ * @param {Array<string>} argv - The command-line arguments without the node executable and the script.
+ * @description Parses the command-line arguments. Arguments like "-2" are values, not options, so relative volumes can be given.
+ * @returns {{options: object, command: string, args: Array<string>}}
+ */
+function parseArgs(argv) {
+  const options = { host: process.env.MUSICCAST_HOST, zone: 'main', port: 0, json: false, help: false };
+  const positional = [];
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (OPTIONS[arg]) {
+      if (i + 1 >= argv.length) {
+        throw new UsageError(`Option ${arg} requires a value.`);
+      }
+      options[OPTIONS[arg]] = argv[i + 1];
+      i += 1;
+    } else if (arg === '-j' || arg === '--json') {
+      options.json = true;
+    } else if (arg === '--help') {
+      options.help = true;
+    } else if (/^--?[a-z]/i.test(arg)) {
+      throw new UsageError(`Unknown option ${arg}.`);
+    } else {
+      positional.push(arg);
+    }
+  }
+  // The event port may be 0 for a free port, the timeout must be positive
+  const port = Number(options.port);
+  if (!/^\d+$/.test(String(options.port)) || port > 65535) {
+    throw new UsageError(`Invalid port "${options.port}", use 0-65535.`);
+  }
+  options.port = port;
+  if (options.timeout !== undefined) {
+    const timeout = Number(options.timeout);
+    if (!/^\d+$/.test(options.timeout) || timeout <= 0) {
+      throw new UsageError(`Invalid timeout "${options.timeout}", use a number of milliseconds.`);
+    }
+    options.timeout = timeout;
+  }
+  return { options, command: positional[0], args: positional.slice(1) };
+}
+
+/**
+ * @function formatValue
+ * @param {*} value
+ * @description Formats a value for a table cell. Nested objects and arrays are printed as JSON.
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * @function formatTable
+ * @param {object|Array<object>} data
+ * @description Formats a response as a table. Arrays of objects become one row per item, objects one row per property.
+ * @returns {string}
+ */
+function formatTable(data) {
+  let rows;
+  if (Array.isArray(data)) {
+    const columns = [...new Set(data.flatMap((item) => Object.keys(item)))];
+    rows = [columns, ...data.map((item) => columns.map((column) => formatValue(item[column])))];
+  } else if (data && typeof data === 'object') {
+    rows = Object.keys(data)
+      .filter((key) => key !== 'response_code')
+      .map((key) => [key, formatValue(data[key])]);
+  } else {
+    return formatValue(data);
+  }
+  if (rows.length === 0) {
+    return 'OK';
+  }
+  // Pad every column to its widest cell
+  const widths = rows[0].map((cell, index) => Math.max(...rows.map((row) => row[index].length)));
+  return rows.map((row) => row.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd()).join('\n');
+}
+
+/**
+ * @function print
+ * @param {*} data
+ * @param {object} options - The parsed options.
+ * @description Prints a response as JSON or as a table.
+ * @returns {void}
+ */
+function print(data, options) {
+  console.log(options.json ? JSON.stringify(data, null, 2) : formatTable(data));
+}
+
+/**
+ * @function oneOf
+ * @param {string} value - The argument.
+ * @param {Array<string>} allowed - The allowed values.
+ * @description Checks an argument against the allowed values, e.g. on or off.
+ * @returns {string}
+ */
+function oneOf(value, allowed = ['on', 'off']) {
+  if (!allowed.includes(value)) {
+    throw new UsageError(`Expected ${allowed.join(', ')} instead of "${value || ''}".`);
+  }
+  return value;
+}
+
+/**
+ * @function setVolume
+ * @param {string} zone
+ * @param {string} value - +2 or -2 for relative steps, 35 for an absolute volume, 40% for a percentage of the volume range, db:-30.5 for a volume in dB.
+ * @description Parses a volume command, which changes the volume of the zone.
+ * @returns {function(YamahaMusicCast): Promise}
+ */
+function setVolume(zone, value = '') {
+  let match;
+  if ((match = /^db:(-?\d+(\.\d+)?)$/i.exec(value))) {
+    return (musiccast) => musiccast.zone.setVolumeDb(zone, Number(match[1]));
+  }
+  if ((match = /^(\d+(\.\d+)?)%$/.exec(value))) {
+    return (musiccast) => musiccast.zone.setVolumePercent(zone, Number(match[1]));
+  }
+  if ((match = /^([+-])(\d+)$/.exec(value))) {
+    return (musiccast) => musiccast.zone.setVolume(zone, match[1] === '+' ? 'up' : 'down', Number(match[2]));
+  }
+  if (/^\d+$/.test(value)) {
+    return (musiccast) => musiccast.zone.setVolume(zone, Number(value));
+  }
+  throw new UsageError(`Invalid volume "${value}", use e.g. +2, -2, 35, 40% or db:-30.5.`);
+}
+
+/**
+ * @function tuner
+ * @param {Array<string>} args - freq <band> <frequency>, or status.
+ * @description Parses a tuner command. FM frequencies are given in MHz, AM frequencies in kHz, the receiver expects both in kHz.
+ * @returns {function(YamahaMusicCast): Promise}
+ */
+function tuner([action, band, frequency]) {
+  if (action === 'status') {
+    return (musiccast) => musiccast.tuner.getPlayInfo();
+  }
+  if (action !== 'freq' || !['fm', 'am'].includes(band) || !Number.isFinite(Number(frequency))) {
+    throw new UsageError('Use: tuner freq fm|am <frequency>.');
+  }
+  const num = band === 'fm' ? Math.round(Number(frequency) * 1000) : Math.round(Number(frequency));
+  return (musiccast) => musiccast.tuner.setFreq(band, 'direct', num);
+}
+
+/**
+ * @function preset
+ * @param {string} zone
+ * @param {Array<string>} args - recall <num> [band].
+ * @description Parses a preset command, which recalls a net/usb preset, or a tuner preset when a band is given.
+ * @returns {function(YamahaMusicCast): Promise}
+ */
+function preset(zone, [action, num, band]) {
+  if (action !== 'recall' || !/^\d+$/.test(num || '')) {
+    throw new UsageError('Use: preset recall <num> [fm|am|dab].');
+  }
+  if (band) {
+    oneOf(band, ['fm', 'am', 'dab']);
+    return (musiccast) => musiccast.tuner.recallPreset(zone, band, Number(num));
+  }
+  return (musiccast) => musiccast.netusb.recallPreset(zone, Number(num));
+}
+
+/**
+ * @function netusb
+ * @param {Array<string>} args - play, pause, stop, next, previous or status.
+ * @description Parses a network/USB playback command.
+ * @returns {function(YamahaMusicCast): Promise}
+ */
+function netusb([action]) {
+  if (action === 'status') {
+    return (musiccast) => musiccast.netusb.getPlayInfo();
+  }
+  const playback = oneOf(action, ['play', 'pause', 'stop', 'next', 'previous']);
+  return (musiccast) => musiccast.netusb.setPlayback(playback);
+}
+
+/**
+ * @function watch
+ * @param {YamahaMusicCast} musiccast
+ * @param {object} options - The parsed options.
+ * @description Prints the decoded events until the process is interrupted.
+ * @returns {Promise} Resolves when interrupted.
+ */
+function watch(musiccast, options) {
+  return new Promise((resolve) => {
+    musiccast.on('event', (event) => {
+      if (options.json) {
+        console.log(JSON.stringify(event));
+      } else {
+        console.log(`${new Date().toISOString()}  ${event.zone || event.subsystem}  ${event.name}  ${formatValue(event.value)}`);
+      }
+    });
+    musiccast.on('parseError', (error) => {
+      console.error(`Malformed event from ${error.address}: ${error.error.message}`);
+    });
+    musiccast.on('subscriptionLost', () => {
+      console.error('The event subscription was lost, registering again.');
+    });
+    process.once('SIGINT', () => resolve());
+    process.once('SIGTERM', () => resolve());
+  });
+}
+
+/**
+ * @function command
+ * @param {string} name - The command, e.g. volume.
+ * @param {Array<string>} args
+ * @param {object} options - The parsed options.
+ * @description Parses a device command, so invalid arguments are reported before connecting to the receiver.
+ * @returns {function(YamahaMusicCast): Promise<*>} Runs the command, resolves with the response to print, undefined for nothing.
+ */
+function command(name, args, options) {
+  const zone = options.zone;
+  switch (name) {
+    case 'info':
+      return (musiccast) => Promise.resolve(musiccast.deviceInfo);
+    case 'status':
+      return (musiccast) => musiccast.zone.getStatus(args[0] || zone);
+    case 'power': {
+      const power = oneOf(args[0], ['on', 'off', 'toggle']).replace('off', 'standby');
+      return (musiccast) => musiccast.zone.setPower(zone, power);
+    }
+    case 'volume':
+      return setVolume(zone, args[0]);
+    case 'mute': {
+      const enable = oneOf(args[0]) === 'on';
+      return (musiccast) => musiccast.zone.setMute(zone, enable);
+    }
+    case 'input':
+      if (!args[0]) {
+        throw new UsageError('Use: input <input>.');
+      }
+      return (musiccast) => musiccast.zone.setInput(zone, args[0]);
+    case 'program':
+      if (!args[0]) {
+        throw new UsageError('Use: program <program>.');
+      }
+      return (musiccast) => musiccast.zone.setSoundProgram(zone, args[0]);
+    case 'preset':
+      return preset(zone, args);
+    case 'netusb':
+      return netusb(args);
+    case 'tuner':
+      return tuner(args);
+    case 'watch':
+      return (musiccast) => watch(musiccast, options).then(() => undefined);
+    default:
+      throw new UsageError(`Unknown command "${name}".`);
+  }
+}
+
+/**
+ * @function main
+ * @param {Array<string>} argv - The command-line arguments without the node executable and the script.
+ * @description Runs the command-line tool.
+ * @returns {Promise<number>} The exit code.
+ */
+function main(argv) {
+  return new Promise((resolve) => {
+    // Print errors, with the response code for receiver errors
+    const fail = (error) => {
+      if (error instanceof UsageError) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        resolve(2);
+      } else {
+        const code = error.code !== undefined && error.code !== null ? ` (response code ${error.code})` : '';
+        console.error(`Error: ${error.message}${code}`);
+        resolve(1);
+      }
+    };
+    const done = (result) => {
+      if (result !== undefined) {
+        print(result, parsed.options);
+      }
+      resolve(0);
+    };
+
+    let parsed;
+    try {
+      parsed = parseArgs(argv);
+    } catch (error) {
+      fail(error);
+      return;
+    }
+    const { options, args } = parsed;
+    if (options.help || !parsed.command) {
+      console.log(USAGE);
+      resolve(options.help ? 0 : 2);
+      return;
+    }
+
+    if (parsed.command === 'discover') {
+      if (args[0] !== undefined && !/^\d+$/.test(args[0])) {
+        fail(new UsageError(`Invalid timeout "${args[0]}", use a number of milliseconds.`));
+        return;
+      }
+      const timeout = args[0] ? Number(args[0]) : 3000;
+      new YamahaMusicCast.YamahaMusicCastDiscovery({ timeout })
+        .search()
+        .then((devices) => done(devices.map(({ ip, name, modelName, uuid }) => ({ ip, name, modelName, uuid }))))
+        .catch(fail);
+      return;
+    }
+
+    if (!options.host) {
+      fail(new UsageError('No receiver given, use --host or set MUSICCAST_HOST.'));
+      return;
+    }
+    // Check the arguments before connecting to the receiver
+    let run;
+    let musiccast;
+    try {
+      run = command(parsed.command, args, options);
+      const transport = options.timeout ? { timeout: options.timeout } : {};
+      musiccast = new YamahaMusicCast({ ip: options.host, eventPort: options.port, transport, keepAlive: parsed.command === 'watch' });
+    } catch (error) {
+      fail(error);
+      return;
+    }
+    musiccast.on('error', (error) => {
+      console.error(`Error: ${error.message}`);
+    });
+    musiccast
+      .connect()
+      .then(() => run(musiccast))
+      .then(done)
+      .catch(fail)
+      .finally(() => musiccast.close());
+  });
+}
+
+// Run when started from the command line
+if (require.main === module) {
+  main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = main;
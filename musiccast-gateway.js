@@ -0,0 +1,536 @@
+const http = require('http');
+const YamahaMusicCast = require('./yamaha-musiccast');
+
+/**
+ * @unit musiccast-gateway.js
+ * @description HTTP gateway exposing Yamaha MusicCast receivers to other services with JSON routes and a Server-Sent Events stream of the decoded events.
+ * @version 1.0.0
+ * @author Ernst Reidinga - ERDesigns
+ * @copyrigth ERDesigns 2023
+ * @license MIT
+ * @exports MusicCastGateway
+ */
+
+/**
+ * @constant MAX_BODY_SIZE
+ * @description The maximum size in bytes of a request body.
+ */
+const MAX_BODY_SIZE = 64 * 1024;
+
+/**
+ * @constant HEARTBEAT_INTERVAL
+ * @description The time in milliseconds between the keep-alive comments on the event streams, so proxies do not close idle streams.
+ */
+const HEARTBEAT_INTERVAL = 30 * 1000;
+
+/**
+ * @class HttpError
+ * @description An error with the HTTP status code to respond with.
+ */
+class HttpError extends Error {
+  /**
+   * @constructor HttpError
+   * @param {number} status - The HTTP status code.
+   * @param {string} message
+   */
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+/**
+ * @class MusicCastGateway
+ * @description Wraps one or many YamahaMusicCast instances in an HTTP server. The devices are addressed by an ID, the IP address when none is given.
+ *
+ * Routes:
+ * - GET /devices
+ * - GET /devices/:id
+ * - GET /devices/:id/zones/:zone
+ * - POST /devices/:id/zones/:zone/power { "power": "on" | "standby" | "toggle" }
+ * - POST /devices/:id/zones/:zone/volume { "volume": 35 | "up" | "down", "step": 2 } or { "db": -35.5 } or { "percent": 40 }
+ * - GET /devices/:id/zones/:zone/volume
+ * - POST /devices/:id/zones/:zone/mute { "mute": true }
+ * - POST /devices/:id/zones/:zone/input { "input": "hdmi1" }
+ * - POST /devices/:id/zones/:zone/program { "program": "straight" }
+ * - GET /devices/:id/netusb
+ * - POST /devices/:id/netusb/playback { "playback": "play" }
+ * - POST /devices/:id/netusb/preset { "num": 3, "zone": "main" }
+ * - GET /devices/:id/tuner
+ * - POST /devices/:id/tuner/freq { "band": "fm", "num": 101300 }
+ * - POST /devices/:id/tuner/preset { "band": "fm", "num": 3, "zone": "main" }
+ * - GET /events and GET /devices/:id/events (Server-Sent Events)
+ * @version 1.0.0
+ * @exports MusicCastGateway
+ * @requires http
+ */
+class MusicCastGateway {
+  #devices = new Map();
+  #listeners = new Map();
+  #streams = new Set();
+  #routes;
+  #server = null;
+  #heartbeatTimer = null;
+
+  /**
+   * @constructor MusicCastGateway
+   * @param {object} options
+   * @param {Object<string, YamahaMusicCast>|Array<YamahaMusicCast>} options.devices - The devices by ID, or a list of devices addressed by IP address.
+   * @description Creates an instance of MusicCastGateway.
+   * @version 1.0.0
+   * @public
+   */
+  constructor(options = {}) {
+    const devices = options.devices || {};
+    if (Array.isArray(devices)) {
+      devices.forEach((device) => this.add(device.ip, device));
+    } else {
+      Object.keys(devices).forEach((id) => this.add(id, devices[id]));
+    }
+    this.#routes = this.routes();
+  }
+
+  /**
+   * @method add
+   * @param {string} id - The ID the device is addressed by.
+   * @param {YamahaMusicCast} musiccast
+   * @description Adds a device. Its events are forwarded to the event streams.
+   * @returns {void}
+   * @public
+   */
+  add(id, musiccast) {
+    this.remove(id);
+    const listener = (event) => this.broadcast(id, event);
+    musiccast.on('event', listener);
+    this.#devices.set(id, musiccast);
+    this.#listeners.set(id, listener);
+  }
+
+  /**
+   * @method remove
+   * @param {string} id
+   * @description Removes a device. The device itself is not closed.
+   * @returns {void}
+   * @public
+   */
+  remove(id) {
+    const musiccast = this.#devices.get(id);
+    if (musiccast) {
+      musiccast.removeListener('event', this.#listeners.get(id));
+      this.#devices.delete(id);
+      this.#listeners.delete(id);
+    }
+  }
+
+  /**
+   * @method listen
+   * @param {number} port - The TCP port (default 3000).
+   * @param {string} host - The address to listen on (default 127.0.0.1). The gateway has no authentication, so only listen on other addresses (e.g. 0.0.0.0) in a trusted network.
+   * @description Starts the HTTP server.
+   * @returns {Promise<{address: string, port: number}>}
+   * @public
+   */
+  listen(port = 3000, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      const server = http.createServer((req, res) => this.handle(req, res));
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        server.removeListener('error', reject);
+        this.#server = server;
+        // Keep the event streams open
+        this.#heartbeatTimer = setInterval(() => {
+          this.#streams.forEach((stream) => stream.res.write(': heartbeat\n\n'));
+        }, HEARTBEAT_INTERVAL);
+        this.#heartbeatTimer.unref();
+        resolve(server.address());
+      });
+    });
+  }
+
+  /**
+   * @method close
+   * @description Ends the event streams and stops the HTTP server. The devices are not closed.
+   * @returns {Promise}
+   * @public
+   */
+  close() {
+    return new Promise((resolve, reject) => {
+      clearInterval(this.#heartbeatTimer);
+      this.#heartbeatTimer = null;
+      this.#streams.forEach((stream) => stream.res.end());
+      this.#streams.clear();
+      if (!this.#server) {
+        resolve();
+        return;
+      }
+      this.#server.close((error) => (error ? reject(error) : resolve()));
+      this.#server = null;
+    });
+  }
+
+  /**
+   * @method routes
+   * @description Creates the route table: the method, the path pattern and the handler, called with the device, the path parameters and the request body.
+   * @returns {Array<{method: string, pattern: RegExp, handler: Function}>}
+   * @private
+   */
+  routes() {
+    const device = '/devices/([^/]+)';
+    const zone = `${device}/zones/([^/]+)`;
+    return [
+      { method: 'GET', pattern: /^\/devices$/, handler: () => this.list() },
+      { method: 'GET', pattern: new RegExp(`^${device}$`), handler: (musiccast, [id]) => this.describe(id, musiccast) },
+      { method: 'GET', pattern: new RegExp(`^${zone}$`), handler: (musiccast, [, z]) => musiccast.zone.getStatus(z) },
+      {
+        method: 'POST',
+        pattern: new RegExp(`^${zone}/power$`),
+        handler: (musiccast, [, z], body) => musiccast.zone.setPower(z, this.require(body, 'power')),
+      },
+      {
+        method: 'POST',
+        pattern: new RegExp(`^${zone}/volume$`),
+        handler: (musiccast, [, z], body) => {
+          if (body.db !== undefined) {
+            return musiccast.zone.setVolumeDb(z, body.db);
+          }
+          if (body.percent !== undefined) {
+            return musiccast.zone.setVolumePercent(z, body.percent);
+          }
+          return musiccast.zone.setVolume(z, this.require(body, 'volume'), body.step);
+        },
+      },
+      { method: 'GET', pattern: new RegExp(`^${zone}/volume$`), handler: (musiccast, [, z]) => musiccast.zone.getVolume(z) },
+      {
+        method: 'POST',
+        pattern: new RegExp(`^${zone}/mute$`),
+        handler: (musiccast, [, z], body) => musiccast.zone.setMute(z, this.boolean(body, 'mute')),
+      },
+      {
+        method: 'POST',
+        pattern: new RegExp(`^${zone}/input$`),
+        handler: (musiccast, [, z], body) => musiccast.zone.setInput(z, this.require(body, 'input'), body.mode),
+      },
+      {
+        method: 'POST',
+        pattern: new RegExp(`^${zone}/program$`),
+        handler: (musiccast, [, z], body) => musiccast.zone.setSoundProgram(z, this.require(body, 'program')),
+      },
+      { method: 'GET', pattern: new RegExp(`^${device}/netusb$`), handler: (musiccast) => musiccast.netusb.getPlayInfo() },
+      {
+        method: 'POST',
+        pattern: new RegExp(`^${device}/netusb/playback$`),
+        handler: (musiccast, params, body) => musiccast.netusb.setPlayback(this.require(body, 'playback')),
+      },
+      {
+        method: 'POST',
+        pattern: new RegExp(`^${device}/netusb/preset$`),
+        handler: (musiccast, params, body) => musiccast.netusb.recallPreset(body.zone || 'main', this.require(body, 'num')),
+      },
+      { method: 'GET', pattern: new RegExp(`^${device}/tuner$`), handler: (musiccast) => musiccast.tuner.getPlayInfo() },
+      {
+        method: 'POST',
+        pattern: new RegExp(`^${device}/tuner/freq$`),
+        handler: (musiccast, params, body) => musiccast.tuner.setFreq(this.require(body, 'band'), 'direct', this.require(body, 'num')),
+      },
+      {
+        method: 'POST',
+        pattern: new RegExp(`^${device}/tuner/preset$`),
+        handler: (musiccast, params, body) => musiccast.tuner.recallPreset(body.zone || 'main', this.require(body, 'band'), this.require(body, 'num')),
+      },
+    ];
+  }
+
+  /**
+   * @method handle
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @description Handles a request: event streams are opened, other requests are matched against the route table and answered with JSON.
+   * @returns {void}
+   * @private
+   */
+  handle(req, res) {
+    const path = new URL(req.url, 'http://localhost').pathname.replace(/\/+$/, '') || '/';
+
+    // Event streams
+    const stream = /^(?:\/devices\/([^/]+))?\/events$/.exec(path);
+    if (stream && req.method === 'GET') {
+      let id;
+      try {
+        id = stream[1] !== undefined ? this.decode(stream[1]) : null;
+      } catch (error) {
+        this.respond(res, this.status(error), { error: error.message });
+        return;
+      }
+      if (id !== null && !this.#devices.has(id)) {
+        this.respond(res, 404, { error: `Unknown device "${id}".` });
+        return;
+      }
+      this.subscribe(req, res, id);
+      return;
+    }
+
+    // Find the route
+    const candidates = this.#routes.filter((route) => route.pattern.test(path));
+    const route = candidates.find((candidate) => candidate.method === req.method);
+    if (!route) {
+      this.respond(res, candidates.length > 0 ? 405 : 404, { error: candidates.length > 0 ? `Method ${req.method} not allowed.` : `Unknown route ${path}.` });
+      return;
+    }
+    let params;
+    try {
+      params = route.pattern.exec(path).slice(1).map((param) => this.decode(param));
+    } catch (error) {
+      this.respond(res, this.status(error), { error: error.message });
+      return;
+    }
+    const musiccast = params.length > 0 ? this.#devices.get(params[0]) : null;
+    if (params.length > 0 && !musiccast) {
+      this.respond(res, 404, { error: `Unknown device "${params[0]}".` });
+      return;
+    }
+
+    this.body(req)
+      .then((body) => route.handler(musiccast, params, body))
+      .then((result) => {
+        this.respond(res, 200, result);
+      })
+      .catch((error) => {
+        this.respond(res, this.status(error), { error: error.message, code: error.code !== undefined ? error.code : null });
+      });
+  }
+
+  /**
+   * @method body
+   * @param {http.IncomingMessage} req
+   * @description Reads the JSON body of a request. An empty body is an empty object.
+   * @returns {Promise<object>}
+   * @private
+   */
+  body(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      let tooLarge = false;
+      req.on('data', (chunk) => {
+        // The rest of a body which is too large is discarded, so the 413 can still be sent
+        if (tooLarge) {
+          return;
+        }
+        size += chunk.length;
+        if (size > MAX_BODY_SIZE) {
+          tooLarge = true;
+          chunks.length = 0;
+          reject(new HttpError(413, 'The request body is too large.'));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => {
+        if (tooLarge) {
+          return;
+        }
+        const text = Buffer.concat(chunks).toString();
+        if (!text.trim()) {
+          resolve({});
+          return;
+        }
+        try {
+          const body = JSON.parse(text);
+          if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            throw new Error('The request body must be a JSON object.');
+          }
+          resolve(body);
+        } catch (error) {
+          reject(new HttpError(400, `Invalid JSON body: ${error.message}`));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * @method require
+   * @param {object} body - The request body.
+   * @param {string} name - The property name.
+   * @description Gets a required property of the request body.
+   * @returns {*}
+   * @private
+   */
+  require(body, name) {
+    if (body[name] === undefined || body[name] === null) {
+      throw new HttpError(400, `The request body requires "${name}".`);
+    }
+    return body[name];
+  }
+
+  /**
+   * @method boolean
+   * @param {object} body - The request body.
+   * @param {string} name - The property name.
+   * @description Gets a required boolean property of the request body, also accepting "true"/"false", "on"/"off" and 1/0.
+   * @returns {boolean}
+   * @private
+   */
+  boolean(body, name) {
+    const value = this.require(body, name);
+    if ([true, 'true', 'on', 1, '1'].includes(value)) {
+      return true;
+    }
+    if ([false, 'false', 'off', 0, '0'].includes(value)) {
+      return false;
+    }
+    throw new HttpError(400, `"${name}" must be true or false.`);
+  }
+
+  /**
+   * @method decode
+   * @param {string} param - A URL encoded path parameter.
+   * @description Decodes a path parameter, malformed encodings are a client error.
+   * @returns {string}
+   * @private
+   */
+  decode(param) {
+    try {
+      return decodeURIComponent(param);
+    } catch (error) {
+      throw new HttpError(400, `Malformed path parameter "${param}".`);
+    }
+  }
+
+  /**
+   * @method status
+   * @param {Error} error
+   * @description Maps an error to an HTTP status code: invalid requests are a client error, errors of the receiver a bad gateway and unreachable receivers a gateway timeout.
+   * @returns {number}
+   * @private
+   */
+  status(error) {
+    if (error instanceof HttpError) {
+      return error.status;
+    }
+    if (
+      error instanceof YamahaMusicCast.MusicCastValidationError ||
+      error instanceof YamahaMusicCast.MusicCastInvalidRequestError ||
+      error instanceof YamahaMusicCast.MusicCastInvalidParameterError
+    ) {
+      return 400;
+    }
+    if (error instanceof YamahaMusicCast.MusicCastNetworkError) {
+      return 504;
+    }
+    return 502;
+  }
+
+  /**
+   * @method respond
+   * @param {http.ServerResponse} res
+   * @param {number} status - The HTTP status code.
+   * @param {*} data - The data to send as JSON.
+   * @description Sends a JSON response.
+   * @returns {void}
+   * @private
+   */
+  respond(res, status, data) {
+    const body = JSON.stringify(data === undefined ? {} : data);
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': Buffer.byteLength(body) });
+    res.end(body);
+  }
+
+  /**
+   * @method list
+   * @description Lists the devices.
+   * @returns {Array<{id: string, ip: string, modelName: ?string, subscribed: boolean}>}
+   * @private
+   */
+  list() {
+    return [...this.#devices.keys()].map((id) => {
+      const musiccast = this.#devices.get(id);
+      return {
+        id,
+        ip: musiccast.ip,
+        modelName: musiccast.deviceInfo ? musiccast.deviceInfo.model_name : null,
+        subscribed: musiccast.subscribed,
+      };
+    });
+  }
+
+  /**
+   * @method describe
+   * @param {string} id
+   * @param {YamahaMusicCast} musiccast
+   * @description Describes a device with its device information and local state.
+   * @returns {object}
+   * @private
+   */
+  describe(id, musiccast) {
+    return {
+      id,
+      ip: musiccast.ip,
+      subscribed: musiccast.subscribed,
+      deviceInfo: musiccast.deviceInfo,
+      state: musiccast.state.loaded ? musiccast.state.toJSON() : null,
+    };
+  }
+
+  /**
+   * @method subscribe
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @param {?string} id - The device to stream the events of, null for all devices.
+   * @description Opens a Server-Sent Events stream. Every decoded event is sent with the event name as SSE event type and the device ID in the data.
+   * @returns {void}
+   * @private
+   */
+  subscribe(req, res, id) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    res.write(': connected\n\n');
+    const stream = { res, id };
+    this.#streams.add(stream);
+    req.on('close', () => {
+      this.#streams.delete(stream);
+    });
+  }
+
+  /**
+   * @method broadcast
+   * @param {string} id - The device the event came from.
+   * @param {object} event - The decoded event.
+   * @description Sends an event to the streams of the device and the streams of all devices.
+   * @returns {void}
+   * @private
+   */
+  broadcast(id, event) {
+    const data = `event: ${event.name}\ndata: ${JSON.stringify({ device: id, ...event })}\n\n`;
+    this.#streams.forEach((stream) => {
+      if (stream.id === null || stream.id === id) {
+        stream.res.write(data);
+      }
+    });
+  }
+
+  /**
+   * @getter devices
+   * @description Gets the devices by ID.
+   * @returns {Object<string, YamahaMusicCast>}
+   */
+  get devices() {
+    return Object.fromEntries(this.#devices);
+  }
+
+  /**
+   * @getter server
+   * @description Gets the HTTP server, null when not listening.
+   * @returns {?http.Server}
+   */
+  get server() {
+    return this.#server;
+  }
+
+}
+
+module.exports = MusicCastGateway;
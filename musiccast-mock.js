@@ -0,0 +1,1207 @@
+const http = require('http');
+const dgram = require('dgram');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+/**
+ * @unit musiccast-mock.js
+ * @description Simulated Yamaha MusicCast receiver (modelled after the RX-V583) for tests and offline development. Implements the YXC endpoints used by the subsystem classes on an in-memory state, sends event notifications to the registered X-AppPort and answers SSDP searches.
+ * @version 1.0.0
+ * @author Ernst Reidinga - ERDesigns
+ * @copyrigth ERDesigns 2023
+ * @license MIT
+ * @exports MusicCastMockDevice
+ */
+
+/**
+ * @constant BASE_PATH
+ * @description The path prefix of the YXC endpoints.
+ */
+const BASE_PATH = '/YamahaExtendedControl/v1/';
+
+/**
+ * @constant DESCRIPTION_PATH
+ * @description The path of the UPnP device description.
+ */
+const DESCRIPTION_PATH = '/MediaRenderer/desc.xml';
+
+/**
+ * @constant SSDP_ADDR
+ * @description The SSDP multicast address.
+ */
+const SSDP_ADDR = '239.255.255.250';
+
+/**
+ * @constant SSDP_PORT
+ * @description The SSDP port.
+ */
+const SSDP_PORT = 1900;
+
+/**
+ * @constant SSDP_SEARCH_TARGET
+ * @description The SSDP search target MusicCast devices answer to.
+ */
+const SSDP_SEARCH_TARGET = 'urn:schemas-upnp-org:device:MediaRenderer:1';
+
+/**
+ * @constant SUBSCRIPTION_TIMEOUT
+ * @description The time in milliseconds events are sent after the last request with the X-AppName/X-AppPort headers.
+ */
+const SUBSCRIPTION_TIMEOUT = 10 * 60 * 1000;
+
+/**
+ * @constant RESPONSE_CODES
+ * @description The YXC response codes used by the mock.
+ */
+const RESPONSE_CODES = {
+  ok: 0,
+  invalidRequest: 3,
+  invalidParameter: 4,
+  guarded: 5,
+};
+
+/**
+ * @constant ZONE_INPUTS
+ * @description The inputs of the simulated receiver.
+ */
+const ZONE_INPUTS = ['hdmi1', 'hdmi2', 'hdmi3', 'hdmi4', 'av1', 'av2', 'audio1', 'audio2', 'tuner', 'net_radio', 'spotify', 'server', 'bluetooth', 'usb', 'mc_link'];
+
+/**
+ * @constant SOUND_PROGRAMS
+ * @description The sound programs of the simulated receiver.
+ */
+const SOUND_PROGRAMS = ['munich', 'vienna', 'chamber', 'cellar_club', 'roxy_theatre', 'bottom_line', 'sports', 'action_game', 'roleplaying_game', 'music_video', 'standard', 'spectacle', 'sci-fi', 'adventure', 'drama', 'mono_movie', '2ch_stereo', '5ch_stereo', 'surr_decoder', 'straight'];
+
+/**
+ * @constant PRESET_COUNT
+ * @description The number of tuner and net/usb presets.
+ */
+const PRESET_COUNT = 40;
+
+/**
+ * @class MusicCastMockDevice
+ * @description Simulated MusicCast receiver with a main zone and zone2, a tuner, net/usb, cd, clock and distribution. Every state change is sent as event notification to the clients which registered with the X-AppName/X-AppPort headers, like a real receiver.
+ *
+ * Use the port of the mock in the transport options of the YamahaMusicCast instance, e.g. new YamahaMusicCast({ ip: '127.0.0.1', transport: { port: mock.port } }).
+ * @version 1.0.0
+ * @exports MusicCastMockDevice
+ * @requires http
+ * @requires dgram
+ * @requires events
+ */
+class MusicCastMockDevice extends EventEmitter {
+  #host;
+  #port;
+  #ssdpEnabled;
+  #maxAge;
+  #server = null;
+  #eventSocket = null;
+  #ssdpSocket = null;
+  #state;
+  #handlers;
+  #subscribers = new Map();
+  #failures = new Map();
+  #requests = [];
+
+  /**
+   * @constructor MusicCastMockDevice
+   * @param {object} options
+   * @param {string} options.host - The address the HTTP server listens on (default 127.0.0.1).
+   * @param {number} options.port - The HTTP port, 0 for a free port (default 0). Real receivers use port 80.
+   * @param {boolean} options.ssdp - Whether M-SEARCH requests are answered, which needs the SSDP port 1900 (default false).
+   * @param {number} options.maxAge - The time in seconds the search replies are valid (default 1800).
+   * @param {string} options.modelName - The model name (default RX-V583).
+   * @param {string} options.name - The network name (default Living Room).
+   * @param {string} options.deviceId - The device ID (default a random 12-digit hex).
+   * @param {string} options.uuid - The UPnP UUID (default a random UUID).
+   * @description Creates an instance of MusicCastMockDevice.
+   * @version 1.0.0
+   * @public
+   */
+  constructor(options = {}) {
+    super();
+    this.#host = options.host || '127.0.0.1';
+    this.#port = options.port || 0;
+    this.#ssdpEnabled = options.ssdp === true;
+    this.#maxAge = options.maxAge || 1800;
+    this.#state = this.createState(options);
+    this.#handlers = this.createHandlers();
+  }
+
+  /**
+   * @method createState
+   * @param {object} options - See the constructor.
+   * @description Creates the initial in-memory state.
+   * @returns {object}
+   * @private
+   */
+  createState(options) {
+    const deviceId = (options.deviceId || crypto.randomBytes(6).toString('hex')).toUpperCase();
+    const zone = () => ({
+      power: 'standby',
+      sleep: 0,
+      volume: 60,
+      mute: false,
+      max_volume: 161,
+      input: 'hdmi1',
+      distribution_enable: true,
+      sound_program: 'straight',
+      surr_decoder_type: 'toggle',
+      direct: false,
+      pure_direct: false,
+      enhancer: true,
+      tone_control: { mode: 'manual', bass: 0, treble: 0 },
+      equalizer: { mode: 'manual', low: 0, mid: 0, high: 0 },
+      balance: 0,
+      dialogue_level: 0,
+      dialogue_lift: 0,
+      clear_voice: false,
+      subwoofer_volume: 0,
+      bass_extension: false,
+      link_control: 'standard',
+      link_audio_delay: 'audio_sync',
+      disable_flags: 0,
+      actual_volume: { mode: 'db', value: this.toDb(60), unit: 'dB' },
+    });
+    const presets = (item) => Array.from({ length: PRESET_COUNT }, item);
+    return {
+      deviceInfo: {
+        model_name: options.modelName || 'RX-V583',
+        destination: 'BG',
+        device_id: deviceId,
+        system_id: deviceId.slice(4),
+        system_version: 2.78,
+        api_version: 2.08,
+        netmodule_generation: 1,
+        netmodule_version: '1720',
+        netmodule_checksum: '5B7C3A2F',
+        operation_mode: 'normal',
+        update_error_code: '00000000',
+      },
+      uuid: (options.uuid || crypto.randomUUID()).toUpperCase(),
+      name: options.name || 'Living Room',
+      system: {
+        auto_power_standby: true,
+        ir_sensor: true,
+        speaker_a: true,
+        speaker_b: false,
+        dimmer: 3,
+        zone_b_volume_sync: false,
+        hdmi_out_1: true,
+        hdmi_out_2: false,
+        network_standby: 'auto',
+        bluetooth_standby: false,
+        bluetooth_tx_setting: false,
+        airplay_pin: '',
+        name_text: {},
+        mac_address_filter: { filter: false, address_1: '', address_2: '' },
+      },
+      zones: { main: zone(), zone2: zone() },
+      tuner: {
+        band: 'fm',
+        auto_scan: false,
+        auto_preset: false,
+        fm: { preset: 0, freq: 87500, tuned: true, audio_mode: 'stereo' },
+        am: { preset: 0, freq: 531, tuned: true },
+        dab: { preset: 0, id: 0, status: 'ready', freq: 174928, category: 'primary', audio_mode: 'stereo', bit_rate: 128, service_label: '', ch_label: '5A', initial_scan_progress: 0, total_station_num: 0 },
+        rds: { program_type: '', program_service: '', radio_text_a: '', radio_text_b: '' },
+        presets: presets(() => ({ band: 'unknown', number: 0 })),
+      },
+      netusb: {
+        input: 'net_radio',
+        playback: 'stop',
+        repeat: 'off',
+        shuffle: 'off',
+        play_time: 0,
+        total_time: 0,
+        artist: '',
+        album: '',
+        track: '',
+        albumart_url: '',
+        albumart_id: 0,
+        usb_devicetype: 'unknown',
+        attribute: 0,
+        presets: presets(() => ({ input: 'unknown', text: '' })),
+        recent: [],
+        quality: {},
+        sort_option: {},
+        list: {
+          net_radio: ['Radio 1', 'Radio 2', 'Jazz FM', 'Classic FM'],
+          server: ['Music', 'Photos', 'Videos'],
+          usb: ['Album 1', 'Album 2'],
+        },
+      },
+      cd: {
+        device_status: 'ready',
+        playback: 'stop',
+        repeat: 'off',
+        shuffle: 'off',
+        play_time: 0,
+        total_time: 0,
+        disc_time: 3600,
+        track_number: 1,
+        total_tracks: 12,
+        artist: 'Artist',
+        album: 'Album',
+        track: 'Track 1',
+      },
+      clock: {
+        auto_sync: true,
+        format: '24h',
+        date_time: '',
+        alarm: { alarm_on: false, volume: 40, fade_interval: 0, fade_type: 1, mode: 'oneday', repeat: false, detail: {} },
+      },
+      dist: {
+        group_id: '00000000000000000000000000000000',
+        group_name: '',
+        role: 'none',
+        server_zone: 'main',
+        client_list: [],
+        server_ip_address: '',
+        build_disable: [],
+        audio_dropout: false,
+      },
+    };
+  }
+
+  /**
+   * @method createHandlers
+   * @description Creates the endpoint handlers by subsystem. A handler is called with the request parameters (and the zone for zone endpoints) and returns the response, or a response code for errors.
+   * @returns {object}
+   * @private
+   */
+  createHandlers() {
+    const state = this.#state;
+    const ok = {};
+    const invalid = RESPONSE_CODES.invalidParameter;
+    const setSystem = (key) => (params) => {
+      state.system[key] = params.enable;
+      this.notify({ system: { func_status_updated: true } });
+      return ok;
+    };
+
+    const system = {
+      getDeviceInfo: () => state.deviceInfo,
+      getFeatures: () => this.features(),
+      getNetworkStatus: () => ({
+        network_name: state.name,
+        connection: 'wired',
+        dhcp: true,
+        ip_address: this.#host,
+        subnet_mask: '255.255.255.0',
+        default_gateway: '',
+        dns_server_1: '',
+        dns_server_2: '',
+        mac_address: { wired_lan: '00A0DE000000', wireless_lan: '00A0DE000001', wireless_direct: '00A0DE000002' },
+        vtuner_id: '',
+        airplay_pin: state.system.airplay_pin,
+      }),
+      setNetworkName: (params) => {
+        if (typeof params.name !== 'string' || params.name.length === 0 || params.name.length > 64) {
+          return invalid;
+        }
+        state.name = params.name;
+        this.notify({ system: { name_text_updated: true } });
+        return ok;
+      },
+      setAirPlayPin: (params) => {
+        state.system.airplay_pin = String(params.pin || '');
+        return ok;
+      },
+      setWiredLan: () => ok,
+      setWirelessLan: () => ok,
+      setIpSettings: () => ok,
+      getMacAddressFilter: () => ({ mac_address_filter: state.system.mac_address_filter }),
+      setMacAddressFilter: (params) => {
+        Object.assign(state.system.mac_address_filter, params);
+        return { mac_address_filter: state.system.mac_address_filter };
+      },
+      getNetworkStandby: () => ({ network_standby: state.system.network_standby }),
+      setNetworkStandby: (params) => {
+        if (!['off', 'on', 'auto'].includes(params.standby)) {
+          return invalid;
+        }
+        state.system.network_standby = params.standby;
+        return { network_standby: params.standby };
+      },
+      getBluetoothInfo: () => ({
+        bluetooth_info: { bluetooth_standby: state.system.bluetooth_standby, bluetooth_tx_setting: state.system.bluetooth_tx_setting, bluetooth_device: { connected: false } },
+      }),
+      setBluetoothStandby: (params) => {
+        state.system.bluetooth_standby = params.standby;
+        return { bluetooth_standby: params.standby };
+      },
+      setBluetoothTxSetting: (params) => {
+        state.system.bluetooth_tx_setting = params.enable;
+        return { bluetooth_tx_setting: params.enable };
+      },
+      getBluetoothDeviceList: () => ({ updating: false, device_list: [] }),
+      updateBluetoothDeviceList: () => ok,
+      connectBluetoothDevice: () => ok,
+      disconnectBluetoothDevice: () => ok,
+      getFuncStatus: () => {
+        const { auto_power_standby, ir_sensor, speaker_a, speaker_b, dimmer, zone_b_volume_sync, hdmi_out_1, hdmi_out_2 } = state.system;
+        return { auto_power_standby, ir_sensor, speaker_a, speaker_b, dimmer, zone_b_volume_sync, hdmi_out_1, hdmi_out_2 };
+      },
+      setAutoPowerStandby: setSystem('auto_power_standby'),
+      setIrSensor: setSystem('ir_sensor'),
+      setSpeakerA: setSystem('speaker_a'),
+      setSpeakerB: setSystem('speaker_b'),
+      setDimmer: setSystem('dimmer'),
+      setZoneBVolumeSync: setSystem('zone_b_volume_sync'),
+      setHdmiOut1: setSystem('hdmi_out_1'),
+      setHdmiOut2: setSystem('hdmi_out_2'),
+      getNameText: (params) => ({
+        zone_list: Object.keys(state.zones).map((id) => ({ id, text: state.system.name_text[id] || id })),
+        input_list: ZONE_INPUTS.map((id) => ({ id, text: state.system.name_text[id] || id })),
+        sound_program_list: SOUND_PROGRAMS.map((id) => ({ id, text: id })),
+        ...(params.id ? { id: params.id, text: state.system.name_text[params.id] || params.id } : {}),
+      }),
+      setNameText: (params) => {
+        if (!params.id || typeof params.text !== 'string') {
+          return invalid;
+        }
+        state.system.name_text[params.id] = params.text;
+        this.notify({ system: { name_text_updated: true } });
+        return ok;
+      },
+      getLocationInfo: () => ({ id: state.deviceInfo.system_id, name: state.name, zone_list: { main: true, zone2: true, zone3: false, zone4: false }, stereo_pair_status: 'alone' }),
+      sendIrCode: (params) => (/^[0-9A-F]{8}$/i.test(String(params.code || '')) ? ok : invalid),
+    };
+
+    const zone = {
+      getStatus: (params, id) => ({ ...state.zones[id] }),
+      getSoundProgramList: () => ({ sound_program_list: SOUND_PROGRAMS }),
+      getSignalInfo: () => ({ audio: { error: 0, format: 'PCM', fs: '48 kHz', bit: '24 bit' } }),
+      prepareInputChange: (params) => (ZONE_INPUTS.includes(params.input) ? ok : invalid),
+      setPower: (params, id) => {
+        const current = state.zones[id].power;
+        const power = params.power === 'toggle' ? (current === 'on' ? 'standby' : 'on') : params.power;
+        if (!['on', 'standby'].includes(power)) {
+          return invalid;
+        }
+        return this.updateZone(id, { power });
+      },
+      setSleep: (params, id) => ([0, 30, 60, 90, 120].includes(params.sleep) ? this.updateZone(id, { sleep: params.sleep }) : invalid),
+      setVolume: (params, id) => {
+        const current = state.zones[id].volume;
+        const step = params.step || 1;
+        let volume = params.volume;
+        if (volume === 'up' || volume === 'down') {
+          volume = current + (volume === 'up' ? step : -step);
+        }
+        if (!Number.isInteger(volume)) {
+          return invalid;
+        }
+        return this.setZoneVolume(id, volume);
+      },
+      setActualVolume: (params, id) => {
+        if (params.mode !== 'db' || typeof params.value !== 'number') {
+          return invalid;
+        }
+        return this.setZoneVolume(id, Math.round((params.value + 80.5) / 0.5));
+      },
+      setMute: (params, id) => this.updateZone(id, { mute: params.enable === true }),
+      setInput: (params, id) => (ZONE_INPUTS.includes(params.input) ? this.updateZone(id, { input: params.input }) : invalid),
+      setSoundProgram: (params, id) => (SOUND_PROGRAMS.includes(params.program) ? this.updateZone(id, { sound_program: params.program }, 'status') : invalid),
+      setDirect: (params, id) => this.updateZone(id, { direct: params.enable === true }, 'status'),
+      setPureDirect: (params, id) => this.updateZone(id, { pure_direct: params.enable === true }, 'status'),
+      setEnhancer: (params, id) => this.updateZone(id, { enhancer: params.enable === true }, 'status'),
+      set3dSurround: (params, id) => this.updateZone(id, { surround_3d: params.enable === true }, 'status'),
+      setToneControl: (params, id) => {
+        const { mode = 'manual', bass = 0, treble = 0 } = params;
+        return [bass, treble].every((value) => value >= -12 && value <= 12) ? this.updateZone(id, { tone_control: { mode, bass, treble } }, 'status') : invalid;
+      },
+      setEqualizer: (params, id) => {
+        const { mode = 'manual', low = 0, mid = 0, high = 0 } = params;
+        return [low, mid, high].every((value) => value >= -10 && value <= 10) ? this.updateZone(id, { equalizer: { mode, low, mid, high } }, 'status') : invalid;
+      },
+      setBalance: (params, id) => (params.value >= -20 && params.value <= 20 ? this.updateZone(id, { balance: params.value }, 'status') : invalid),
+      setDialogueLevel: (params, id) => (params.value >= 0 && params.value <= 3 ? this.updateZone(id, { dialogue_level: params.value }, 'status') : invalid),
+      setDialogueLift: (params, id) => (params.value >= 0 && params.value <= 5 ? this.updateZone(id, { dialogue_lift: params.value }, 'status') : invalid),
+      setClearVoice: (params, id) => this.updateZone(id, { clear_voice: params.enable === true }, 'status'),
+      setSubwooferVolume: (params, id) => (params.volume >= -12 && params.volume <= 12 ? this.updateZone(id, { subwoofer_volume: params.volume }, 'status') : invalid),
+      setBassExtension: (params, id) => this.updateZone(id, { bass_extension: params.enable === true }, 'status'),
+    };
+
+    const tunerRanges = { fm: { min: 87500, max: 108000, step: 50 }, am: { min: 531, max: 1611, step: 9 } };
+    const tunerChanged = () => {
+      this.notify({ tuner: { play_info_updated: true } });
+      return ok;
+    };
+    const tunerPreset = (num) => (Number.isInteger(num) && num >= 1 && num <= PRESET_COUNT ? state.tuner.presets[num - 1] : null);
+    const tuner = {
+      getPresetInfo: (params) => ({
+        preset_info: state.tuner.presets.filter((preset) => !params.band || params.band === 'common' || preset.band === params.band || preset.band === 'unknown'),
+        func_list: ['clear', 'move'],
+      }),
+      getPlayInfo: () => {
+        const { presets, ...info } = state.tuner;
+        return info;
+      },
+      setBand: (params) => {
+        if (!['fm', 'am', 'dab'].includes(params.band)) {
+          return invalid;
+        }
+        state.tuner.band = params.band;
+        return tunerChanged();
+      },
+      setFreq: (params) => {
+        const range = tunerRanges[params.band];
+        if (!range) {
+          return invalid;
+        }
+        const current = state.tuner[params.band].freq;
+        let freq;
+        if (params.tuning === 'direct') {
+          freq = params.num;
+        } else if (['up', 'down', 'auto_up', 'auto_down', 'tp_up', 'tp_down'].includes(params.tuning)) {
+          freq = current + (params.tuning.endsWith('up') ? range.step : -range.step);
+        } else if (params.tuning === 'cancel') {
+          return ok;
+        }
+        if (!Number.isInteger(freq) || freq < range.min || freq > range.max || (freq - range.min) % range.step !== 0) {
+          return invalid;
+        }
+        state.tuner.band = params.band;
+        Object.assign(state.tuner[params.band], { freq, preset: 0 });
+        return tunerChanged();
+      },
+      recallPreset: (params) => {
+        const preset = tunerPreset(params.num);
+        if (!preset || !state.zones[params.zone] || preset.band === 'unknown') {
+          return invalid;
+        }
+        state.tuner.band = preset.band;
+        Object.assign(state.tuner[preset.band], { freq: preset.number, preset: params.num });
+        this.updateZone(params.zone, { input: 'tuner' });
+        return tunerChanged();
+      },
+      switchPreset: (params) => {
+        const stored = state.tuner.presets.map((preset, index) => index + 1).filter((num) => state.tuner.presets[num - 1].band !== 'unknown');
+        if (stored.length === 0 || !['next', 'previous'].includes(params.dir)) {
+          return invalid;
+        }
+        const current = stored.indexOf(state.tuner[state.tuner.band].preset);
+        const next = stored[(current + (params.dir === 'next' ? 1 : stored.length - 1)) % stored.length];
+        const preset = tunerPreset(next);
+        state.tuner.band = preset.band;
+        Object.assign(state.tuner[preset.band], { freq: preset.number, preset: next });
+        return tunerChanged();
+      },
+      storePreset: (params) => {
+        if (!tunerPreset(params.num)) {
+          return invalid;
+        }
+        const band = state.tuner.band;
+        state.tuner.presets[params.num - 1] = { band, number: band === 'dab' ? state.tuner.dab.id : state.tuner[band].freq };
+        state.tuner[band].preset = params.num;
+        this.notify({ tuner: { preset_info_updated: true } });
+        return ok;
+      },
+      clearPreset: (params) => {
+        if (!tunerPreset(params.num)) {
+          return invalid;
+        }
+        state.tuner.presets[params.num - 1] = { band: 'unknown', number: 0 };
+        this.notify({ tuner: { preset_info_updated: true } });
+        return ok;
+      },
+      movePreset: (params) => {
+        if (!tunerPreset(params.from) || !tunerPreset(params.to)) {
+          return invalid;
+        }
+        const [preset] = state.tuner.presets.splice(params.from - 1, 1);
+        state.tuner.presets.splice(params.to - 1, 0, preset);
+        this.notify({ tuner: { preset_info_updated: true } });
+        return ok;
+      },
+      startAutoPreset: () => ok,
+      cancelAutoPreset: () => ok,
+      startDabInitialScan: () => ok,
+      cancelDabInitialScan: () => ok,
+      setDabTuneAid: () => ok,
+      setDabService: () => tunerChanged(),
+    };
+
+    const netusbPreset = (num) => (Number.isInteger(num) && num >= 1 && num <= PRESET_COUNT ? state.netusb.presets[num - 1] : null);
+    const netusbPlay = (input, track, zoneId) => {
+      Object.assign(state.netusb, { input, track, artist: '', album: '', playback: 'play', play_time: 0 });
+      state.netusb.recent = [{ input, text: track }, ...state.netusb.recent.filter((item) => item.text !== track)].slice(0, PRESET_COUNT);
+      if (zoneId && state.zones[zoneId]) {
+        this.updateZone(zoneId, { input });
+      }
+      this.notify({ netusb: { play_info_updated: true, recent_info_updated: true } });
+      return ok;
+    };
+    const netusb = {
+      getPresetInfo: () => ({ preset_info: state.netusb.presets, func_list: ['clear', 'move'] }),
+      getPlayInfo: () => {
+        const { presets, recent, quality, sort_option, list, ...info } = state.netusb;
+        return info;
+      },
+      setPlayback: (params) => {
+        const playback = { play_pause: state.netusb.playback === 'play' ? 'pause' : 'play' }[params.playback] || params.playback;
+        if (['next', 'previous'].includes(playback)) {
+          const items = state.netusb.list[state.netusb.input] || [];
+          const index = items.indexOf(state.netusb.track);
+          if (items.length > 0) {
+            state.netusb.track = items[(index + (playback === 'next' ? 1 : items.length - 1) + items.length) % items.length];
+            state.netusb.play_time = 0;
+          }
+        } else if (['play', 'stop', 'pause', 'fast_reverse_start', 'fast_reverse_end', 'fast_forward_start', 'fast_forward_end'].includes(playback)) {
+          state.netusb.playback = playback.startsWith('fast_') ? state.netusb.playback : playback;
+          if (playback === 'stop') {
+            state.netusb.play_time = 0;
+          }
+        } else {
+          return invalid;
+        }
+        this.notify({ netusb: { play_info_updated: true } });
+        return ok;
+      },
+      setPlayPosition: (params) => {
+        if (!Number.isInteger(params.position) || params.position < 0) {
+          return invalid;
+        }
+        state.netusb.play_time = params.position;
+        this.notify({ netusb: { play_time: params.position } });
+        return ok;
+      },
+      toggleRepeat: () => {
+        state.netusb.repeat = { off: 'one', one: 'all', all: 'off' }[state.netusb.repeat];
+        this.notify({ netusb: { play_info_updated: true } });
+        return ok;
+      },
+      toggleShuffle: () => {
+        state.netusb.shuffle = state.netusb.shuffle === 'off' ? 'on' : 'off';
+        this.notify({ netusb: { play_info_updated: true } });
+        return ok;
+      },
+      getListInfo: (params) => {
+        const items = state.netusb.list[params.input];
+        if (!items) {
+          return invalid;
+        }
+        const index = params.index || 0;
+        const size = Math.min(params.size || 8, 8);
+        return {
+          input: params.input,
+          menu_layer: 0,
+          max_line: items.length,
+          index,
+          playing_index: items.indexOf(state.netusb.track),
+          menu_name: params.input,
+          list_info: items.slice(index, index + size).map((text) => ({ text, thumbnail: '', attribute: 125829120 })),
+        };
+      },
+      setListControl: (params) => {
+        const items = state.netusb.list[state.netusb.input] || [];
+        if (params.type === 'play' && items[params.index] !== undefined) {
+          return netusbPlay(state.netusb.input, items[params.index], params.zone);
+        }
+        return ['select', 'return'].includes(params.type) ? ok : invalid;
+      },
+      setSearchString: (params) => (typeof params.string === 'string' ? ok : invalid),
+      recallPreset: (params) => {
+        const preset = netusbPreset(params.num);
+        if (!preset || preset.input === 'unknown' || !state.zones[params.zone]) {
+          return invalid;
+        }
+        return netusbPlay(preset.input, preset.text, params.zone);
+      },
+      storePreset: (params) => {
+        if (!netusbPreset(params.num) || !state.netusb.track) {
+          return invalid;
+        }
+        state.netusb.presets[params.num - 1] = { input: state.netusb.input, text: state.netusb.track };
+        this.notify({ netusb: { preset_info_updated: true } });
+        return ok;
+      },
+      clearPreset: (params) => {
+        if (!netusbPreset(params.num)) {
+          return invalid;
+        }
+        state.netusb.presets[params.num - 1] = { input: 'unknown', text: '' };
+        this.notify({ netusb: { preset_info_updated: true } });
+        return ok;
+      },
+      movePreset: (params) => {
+        if (!netusbPreset(params.from) || !netusbPreset(params.to)) {
+          return invalid;
+        }
+        const [preset] = state.netusb.presets.splice(params.from - 1, 1);
+        state.netusb.presets.splice(params.to - 1, 0, preset);
+        this.notify({ netusb: { preset_info_updated: true } });
+        return ok;
+      },
+      getSettings: () => ({ auto_stop: false, quality: state.netusb.quality }),
+      setQuality: (params) => {
+        state.netusb.quality[params.input] = params.value;
+        return ok;
+      },
+      getRecentInfo: () => ({ recent_info: state.netusb.recent }),
+      recallRecentItem: (params) => {
+        const item = state.netusb.recent[params.num - 1];
+        return item && state.zones[params.zone] ? netusbPlay(item.input, item.text, params.zone) : invalid;
+      },
+      clearRecentInfo: () => {
+        state.netusb.recent = [];
+        this.notify({ netusb: { recent_info_updated: true } });
+        return ok;
+      },
+      managePlay: () => ok,
+      manageList: () => ok,
+      getPlayDescription: () => ({ description: '' }),
+      setListSortOption: (params) => {
+        state.netusb.sort_option[params.input] = params.type;
+        return ok;
+      },
+      getAccountStatus: () => ({ service_list: [] }),
+      switchAccount: () => ok,
+      getServiceInfo: (params) => ({ type: params.type, input: params.input }),
+    };
+
+    const cdChanged = () => {
+      this.notify({ cd: { play_info_updated: true } });
+      return ok;
+    };
+    const cd = {
+      getPlayInfo: () => ({ ...state.cd }),
+      setPlayback: (params) => {
+        const { cd: info } = state;
+        if (info.device_status !== 'ready') {
+          return RESPONSE_CODES.guarded;
+        }
+        if (params.playback === 'track_select') {
+          if (!Number.isInteger(params.num) || params.num < 1 || params.num > info.total_tracks) {
+            return invalid;
+          }
+          Object.assign(info, { track_number: params.num, track: `Track ${params.num}`, playback: 'play', play_time: 0 });
+        } else if (['next', 'previous'].includes(params.playback)) {
+          const number = ((info.track_number - 1 + (params.playback === 'next' ? 1 : info.total_tracks - 1)) % info.total_tracks) + 1;
+          Object.assign(info, { track_number: number, track: `Track ${number}`, play_time: 0 });
+        } else if (['play', 'stop', 'pause'].includes(params.playback)) {
+          info.playback = params.playback;
+        } else if (!/^fast_(reverse|forward)_(start|end)$/.test(params.playback)) {
+          return invalid;
+        }
+        return cdChanged();
+      },
+      toggleTray: () => {
+        Object.assign(state.cd, { device_status: state.cd.device_status === 'open' ? 'ready' : 'open', playback: 'stop' });
+        this.notify({ cd: { device_status: state.cd.device_status, play_info_updated: true } });
+        return ok;
+      },
+      toggleRepeat: () => {
+        state.cd.repeat = { off: 'one', one: 'all', all: 'off' }[state.cd.repeat];
+        return cdChanged();
+      },
+      toggleShuffle: () => {
+        state.cd.shuffle = state.cd.shuffle === 'off' ? 'on' : 'off';
+        return cdChanged();
+      },
+    };
+
+    const clockChanged = () => {
+      this.notify({ clock: { settings_updated: true } });
+      return ok;
+    };
+    const clock = {
+      getSettings: () => ({ auto_sync: state.clock.auto_sync, format: state.clock.format, alarm_on: state.clock.alarm.alarm_on, volume: state.clock.alarm.volume, fade_interval: state.clock.alarm.fade_interval, fade_type: state.clock.alarm.fade_type, mode: state.clock.alarm.mode, repeat: state.clock.alarm.repeat }),
+      setAutoSync: (params) => {
+        state.clock.auto_sync = params.enable === true;
+        return clockChanged();
+      },
+      setDateAndTime: (params) => {
+        if (!/^\d{12}$/.test(String(params.date_time))) {
+          return invalid;
+        }
+        state.clock.date_time = String(params.date_time);
+        return clockChanged();
+      },
+      setClockFormat: (params) => {
+        if (!['12h', '24h'].includes(params.format)) {
+          return invalid;
+        }
+        state.clock.format = params.format;
+        return clockChanged();
+      },
+      setAlarmSettings: (params) => {
+        Object.keys(params).forEach((key) => {
+          if (params[key] !== undefined) {
+            state.clock.alarm[key] = params[key];
+          }
+        });
+        return clockChanged();
+      },
+    };
+
+    const distChanged = () => {
+      this.notify({ dist: { dist_info_updated: true } });
+      return ok;
+    };
+    const dist = {
+      getDistributionInfo: () => {
+        const { server_ip_address, ...info } = state.dist;
+        return { ...info, client_list: info.client_list.map((ip_address) => ({ ip_address, data_type: 'base' })) };
+      },
+      setServerInfo: (params) => {
+        // An empty group ID cancels the server role
+        if (params.group_id === '') {
+          Object.assign(state.dist, { group_id: '00000000000000000000000000000000', role: 'none', client_list: [] });
+          return distChanged();
+        }
+        if (!/^[0-9a-f]{32}$/i.test(params.group_id || '')) {
+          return invalid;
+        }
+        const clients = params.client_list || [];
+        if (params.type === 'remove') {
+          state.dist.client_list = state.dist.client_list.filter((ip) => !clients.includes(ip));
+        } else {
+          state.dist.client_list = [...new Set([...state.dist.client_list, ...clients])];
+        }
+        Object.assign(state.dist, { group_id: params.group_id, server_zone: params.zone || 'main', role: 'server' });
+        return distChanged();
+      },
+      setClientInfo: (params) => {
+        if (params.group_id === '') {
+          Object.assign(state.dist, { group_id: '00000000000000000000000000000000', role: 'none', server_ip_address: '' });
+          return distChanged();
+        }
+        if (!/^[0-9a-f]{32}$/i.test(params.group_id || '')) {
+          return invalid;
+        }
+        Object.assign(state.dist, { group_id: params.group_id, role: 'client', server_ip_address: params.server_ip_address || '' });
+        return distChanged();
+      },
+      startDistribution: () => (state.dist.role === 'server' ? distChanged() : RESPONSE_CODES.guarded),
+      stopDistribution: () => {
+        Object.assign(state.dist, { group_id: '00000000000000000000000000000000', role: 'none', client_list: [] });
+        return distChanged();
+      },
+      setGroupName: (params) => {
+        if (typeof params.name !== 'string' || params.name.length > 128) {
+          return invalid;
+        }
+        state.dist.group_name = params.name;
+        return distChanged();
+      },
+    };
+
+    return { system, zone, tuner, netusb, cd, clock, dist };
+  }
+
+  /**
+   * @method features
+   * @description Gets the getFeatures response of the simulated receiver.
+   * @returns {object}
+   * @private
+   */
+  features() {
+    const zone = (id) => ({
+      id,
+      func_list: ['power', 'sleep', 'volume', 'mute', 'sound_program', 'direct', 'pure_direct', 'enhancer', 'tone_control', 'equalizer', 'balance', 'dialogue_level', 'dialogue_lift', 'clear_voice', 'subwoofer_volume', 'bass_extension', 'signal_info', 'prepare_input_change', 'link_control', 'link_audio_delay', 'actual_volume'],
+      input_list: ZONE_INPUTS,
+      sound_program_list: SOUND_PROGRAMS,
+      tone_control_mode_list: ['manual'],
+      equalizer_mode_list: ['manual'],
+      link_control_list: ['standard', 'stability'],
+      range_step: [
+        { id: 'volume', min: 0, max: 161, step: 1 },
+        { id: 'actual_volume_db', min: -80.5, max: 0, step: 0.5 },
+        { id: 'tone_control', min: -12, max: 12, step: 1 },
+        { id: 'equalizer', min: -10, max: 10, step: 1 },
+        { id: 'balance', min: -20, max: 20, step: 1 },
+        { id: 'dialogue_level', min: 0, max: 3, step: 1 },
+        { id: 'dialogue_lift', min: 0, max: 5, step: 1 },
+        { id: 'subwoofer_volume', min: -12, max: 12, step: 1 },
+      ],
+    });
+    return {
+      system: {
+        func_list: ['wired_lan', 'wireless_lan', 'wireless_direct', 'network_standby', 'network_standby_auto', 'bluetooth_standby', 'bluetooth_tx_setting', 'auto_power_standby', 'ir_sensor', 'speaker_a', 'speaker_b', 'dimmer', 'zone_b_volume_sync', 'hdmi_out_1', 'hdmi_out_2', 'airplay', 'stereo_pair', 'speaker_settings', 'disklavier_settings', 'background_download', 'remote_info', 'network_reboot', 'system_reboot', 'auto_play', 'speaker_pattern', 'party_mode'],
+        zone_num: 2,
+        input_list: ZONE_INPUTS.map((id) => ({
+          id,
+          distribution_enable: id !== 'mc_link',
+          rename_enable: true,
+          account_enable: id === 'spotify',
+          play_info_type: { tuner: 'tuner', net_radio: 'netusb', spotify: 'netusb', server: 'netusb', bluetooth: 'netusb', usb: 'netusb', mc_link: 'netusb' }[id] || 'none',
+        })),
+      },
+      zone: Object.keys(this.#state.zones).map(zone),
+      tuner: {
+        func_list: ['fm', 'am', 'dab', 'rds'],
+        range_step: [
+          { id: 'fm', min: 87500, max: 108000, step: 50 },
+          { id: 'am', min: 531, max: 1611, step: 9 },
+        ],
+        preset: { type: 'common', num: PRESET_COUNT },
+      },
+      netusb: {
+        func_list: ['recent_info', 'play_queue', 'mc_playlist', 'streaming_service_use'],
+        preset: { num: PRESET_COUNT },
+        recent_info: { num: PRESET_COUNT },
+        play_queue: { size: 200 },
+        mc_playlist: { size: 200, num: 5 },
+        net_radio_type: 'airable',
+        vtuner_fver: 'A',
+        pandora: { sort_option_list: ['date', 'alphabet'] },
+      },
+      distribution: { version: 2.0, compatible_client: [2], client_max: 9, server_zone_list: ['main'] },
+      clock: { func_list: ['date_and_time', 'alarm'], range_step: [{ id: 'alarm_volume', min: 0, max: 161, step: 1 }], alarm_fade_type_num: 9, alarm_mode_list: ['oneday', 'weekly'] },
+    };
+  }
+
+  /**
+   * @method toDb
+   * @param {number} volume - The volume in steps.
+   * @description Converts a volume in steps to dB (0 is -80.5 dB, steps of 0.5 dB).
+   * @returns {number}
+   * @private
+   */
+  toDb(volume) {
+    return -80.5 + volume * 0.5;
+  }
+
+  /**
+   * @method updateZone
+   * @param {string} id - The zone.
+   * @param {object} changes - The changed status properties.
+   * @param {string} event - "status" to notify with "status_updated" instead of the changed properties.
+   * @description Changes the status of a zone and notifies the clients, like the receiver which sends the changed properties of power, volume, mute and input and "status_updated" for the others.
+   * @returns {object} An empty response.
+   * @private
+   */
+  updateZone(id, changes, event = 'delta') {
+    Object.assign(this.#state.zones[id], changes);
+    this.notify({ [id]: event === 'status' ? { status_updated: true } : changes });
+    return {};
+  }
+
+  /**
+   * @method setZoneVolume
+   * @param {string} id - The zone.
+   * @param {number} volume - The volume in steps, clamped to the range of the zone.
+   * @description Changes the volume of a zone.
+   * @returns {object|number}
+   * @private
+   */
+  setZoneVolume(id, volume) {
+    const value = Math.max(0, Math.min(this.#state.zones[id].max_volume, volume));
+    return this.updateZone(id, { volume: value, actual_volume: { mode: 'db', value: this.toDb(value), unit: 'dB' } });
+  }
+
+  /**
+   * @method parseValue
+   * @param {string} value - A query parameter.
+   * @description Converts a query parameter to the type the receiver interprets it as: numbers and booleans.
+   * @returns {*}
+   * @private
+   */
+  parseValue(value) {
+    if (value === 'true' || value === 'false') {
+      return value === 'true';
+    }
+    return /^-?\d+(\.\d+)?$/.test(value) ? Number(value) : value;
+  }
+
+  /**
+   * @method call
+   * @param {string} subsystem - system, main, zone2, tuner, netusb, cd, clock or dist.
+   * @param {string} func - The endpoint function, e.g. setVolume.
+   * @param {object} params
+   * @description Calls an endpoint handler. Failures registered with fail() take precedence.
+   * @returns {object} The response, including the response code.
+   * @public
+   */
+  call(subsystem, func, params = {}) {
+    const endpoint = `${subsystem}/${func}`;
+    const failure = this.#failures.get(endpoint);
+    if (failure) {
+      failure.times -= 1;
+      if (failure.times <= 0) {
+        this.#failures.delete(endpoint);
+      }
+      return { response_code: failure.code };
+    }
+    const isZone = Boolean(this.#state.zones[subsystem]);
+    const handlers = this.#handlers[isZone ? 'zone' : subsystem];
+    const handler = handlers && Object.prototype.hasOwnProperty.call(handlers, func) ? handlers[func] : null;
+    if (!handler) {
+      return { response_code: RESPONSE_CODES.invalidRequest };
+    }
+    const result = handler(params, isZone ? subsystem : undefined);
+    return typeof result === 'number' ? { response_code: result } : { response_code: RESPONSE_CODES.ok, ...result };
+  }
+
+  /**
+   * @method fail
+   * @param {string} endpoint - The endpoint, e.g. "main/setVolume".
+   * @param {number} code - The response code to answer with, e.g. 5 (guarded) or 99 (firmware updating).
+   * @param {number} times - The number of requests to fail (default 1).
+   * @description Makes the next requests to an endpoint fail, e.g. to test error handling and retries.
+   * @returns {void}
+   * @public
+   */
+  fail(endpoint, code, times = 1) {
+    this.#failures.set(endpoint, { code, times });
+  }
+
+  /**
+   * @method notify
+   * @param {object} payload - The event notification, e.g. { main: { volume: 40 } }. The device ID is added.
+   * @description Sends an event notification to every client registered within the subscription window.
+   * @returns {void}
+   * @public
+   */
+  notify(payload) {
+    const now = Date.now();
+    const message = Buffer.from(JSON.stringify({ ...payload, device_id: this.#state.deviceInfo.device_id }));
+    this.emit('notify', payload);
+    this.#subscribers.forEach((subscriber, key) => {
+      if (subscriber.expires < now) {
+        this.#subscribers.delete(key);
+        return;
+      }
+      if (this.#eventSocket) {
+        this.#eventSocket.send(message, subscriber.port, subscriber.address);
+      }
+    });
+  }
+
+  /**
+   * @method register
+   * @param {http.IncomingMessage} req
+   * @description Registers the client for events when the request has the X-AppName and X-AppPort headers.
+   * @returns {void}
+   * @private
+   */
+  register(req) {
+    const appName = req.headers['x-appname'];
+    const port = Number(req.headers['x-appport']);
+    if (!appName || !Number.isInteger(port) || port <= 0) {
+      return;
+    }
+    const address = req.socket.remoteAddress.replace(/^::ffff:/, '');
+    this.#subscribers.set(`${address}:${port}`, { address, port, appName, expires: Date.now() + SUBSCRIPTION_TIMEOUT });
+  }
+
+  /**
+   * @method handle
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @description Handles an HTTP request: the device description or a YXC endpoint.
+   * @returns {void}
+   * @private
+   */
+  handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname === DESCRIPTION_PATH) {
+      res.writeHead(200, { 'Content-Type': 'text/xml; charset="utf-8"' });
+      res.end(this.description());
+      return;
+    }
+    if (!url.pathname.startsWith(BASE_PATH)) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    this.register(req);
+    const [subsystem, func] = url.pathname.slice(BASE_PATH.length).split('/');
+
+    // Collect the parameters of the query string and the JSON body
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const params = {};
+      url.searchParams.forEach((value, key) => {
+        params[key] = this.parseValue(value);
+      });
+      let response;
+      try {
+        const body = Buffer.concat(chunks).toString();
+        Object.assign(params, body ? JSON.parse(body) : {});
+        response = this.call(subsystem, func, params);
+      } catch (error) {
+        response = { response_code: RESPONSE_CODES.invalidRequest };
+      }
+      this.#requests.push({ method: req.method, endpoint: `${subsystem}/${func}`, params, response_code: response.response_code });
+      this.emit('request', { method: req.method, endpoint: `${subsystem}/${func}`, params, response });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(response));
+    });
+  }
+
+  /**
+   * @method description
+   * @description Gets the UPnP device description, with the Yamaha elements the discovery recognizes MusicCast devices by.
+   * @returns {string}
+   * @private
+   */
+  description() {
+    const { deviceInfo, uuid, name } = this.#state;
+    return (
+      '<?xml version="1.0" encoding="utf-8"?>\n' +
+      '<root xmlns="urn:schemas-upnp-org:device-1-0" xmlns:yamaha="urn:schemas-yamaha-com:device-1-0">\n' +
+      '<device>\n' +
+      `<deviceType>${SSDP_SEARCH_TARGET}</deviceType>\n` +
+      `<friendlyName>${name}</friendlyName>\n` +
+      '<manufacturer>Yamaha Corporation</manufacturer>\n' +
+      '<manufacturerURL>http://www.yamaha.com/</manufacturerURL>\n' +
+      '<modelDescription>AV Receiver</modelDescription>\n' +
+      `<modelName>${deviceInfo.model_name}</modelName>\n` +
+      `<modelNumber>${deviceInfo.model_name}</modelNumber>\n` +
+      '<modelURL>http://www.yamaha.com/</modelURL>\n' +
+      `<serialNumber>${deviceInfo.device_id}</serialNumber>\n` +
+      `<UDN>uuid:${uuid}</UDN>\n` +
+      '</device>\n' +
+      '<yamaha:X_device>\n' +
+      `<yamaha:X_URLBase>http://${this.#host}:${this.port}/</yamaha:X_URLBase>\n` +
+      '<yamaha:X_serviceList><yamaha:X_service>\n' +
+      '<yamaha:X_specType>urn:schemas-yamaha-com:service:X_YamahaExtendedControl:1</yamaha:X_specType>\n' +
+      `<yamaha:X_yxcControlURL>${BASE_PATH}</yamaha:X_yxcControlURL>\n` +
+      '<yamaha:X_yxcVersion>1720</yamaha:X_yxcVersion>\n' +
+      '</yamaha:X_service></yamaha:X_serviceList>\n' +
+      '</yamaha:X_device>\n' +
+      '</root>\n'
+    );
+  }
+
+  /**
+   * @method startSSDP
+   * @description Answers M-SEARCH requests for MediaRenderer devices and ssdp:all with the location of the device description.
+   * @returns {Promise}
+   * @private
+   */
+  startSSDP() {
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+      socket.on('message', (msg, rinfo) => {
+        const message = msg.toString();
+        const st = (/^ST:\s*(.*)$/im.exec(message) || [])[1];
+        if (!message.startsWith('M-SEARCH') || !st || ![SSDP_SEARCH_TARGET, 'ssdp:all', 'upnp:rootdevice'].includes(st.trim())) {
+          return;
+        }
+        const reply =
+          'HTTP/1.1 200 OK\r\n' +
+          `CACHE-CONTROL: max-age=${this.#maxAge}\r\n` +
+          'EXT:\r\n' +
+          `LOCATION: http://${this.#host}:${this.port}${DESCRIPTION_PATH}\r\n` +
+          'SERVER: Network_Module/1.0 UPnP/1.0\r\n' +
+          `ST: ${SSDP_SEARCH_TARGET}\r\n` +
+          `USN: uuid:${this.#state.uuid}::${SSDP_SEARCH_TARGET}\r\n` +
+          '\r\n';
+        socket.send(reply, rinfo.port, rinfo.address);
+      });
+      socket.once('error', reject);
+      socket.bind(SSDP_PORT, () => {
+        socket.removeListener('error', reject);
+        socket.on('error', (error) => this.emit('error', error));
+        socket.addMembership(SSDP_ADDR);
+        this.#ssdpSocket = socket;
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * @method start
+   * @description Starts the HTTP server, the event sender and, when enabled, the SSDP responder.
+   * @returns {Promise<{address: string, port: number}>}
+   * @public
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      const server = http.createServer((req, res) => this.handle(req, res));
+      server.once('error', reject);
+      server.listen(this.#port, this.#host, () => {
+        server.removeListener('error', reject);
+        this.#server = server;
+        // Events are sent from the address of the device, as clients route them by the source address
+        this.#eventSocket = dgram.createSocket('udp4');
+        this.#eventSocket.bind(0, this.#host);
+        const ssdp = this.#ssdpEnabled ? this.startSSDP() : Promise.resolve();
+        ssdp.then(() => resolve(server.address())).catch((error) => {
+          this.stop().finally(() => reject(error));
+        });
+      });
+    });
+  }
+
+  /**
+   * @method stop
+   * @description Stops the HTTP server, the event sender and the SSDP responder and forgets the registered clients.
+   * @returns {Promise}
+   * @public
+   */
+  stop() {
+    return new Promise((resolve) => {
+      if (this.#eventSocket) {
+        this.#eventSocket.close();
+        this.#eventSocket = null;
+      }
+      if (this.#ssdpSocket) {
+        this.#ssdpSocket.close();
+        this.#ssdpSocket = null;
+      }
+      this.#subscribers.clear();
+      if (!this.#server) {
+        resolve();
+        return;
+      }
+      this.#server.close(() => resolve());
+      this.#server.closeAllConnections();
+      this.#server = null;
+    });
+  }
+
+  /**
+   * @getter port
+   * @description Gets the HTTP port, null when not started.
+   * @returns {?number}
+   */
+  get port() {
+    return this.#server ? this.#server.address().port : null;
+  }
+
+  /**
+   * @getter host
+   * @description Gets the address the HTTP server listens on.
+   * @returns {string}
+   */
+  get host() {
+    return this.#host;
+  }
+
+  /**
+   * @getter state
+   * @description Gets the in-memory state. Changes made directly are not notified, use notify() to send events.
+   * @returns {object}
+   */
+  get state() {
+    return this.#state;
+  }
+
+  /**
+   * @getter subscribers
+   * @description Gets the clients registered for events.
+   * @returns {Array<{address: string, port: number, appName: string, expires: number}>}
+   */
+  get subscribers() {
+    return [...this.#subscribers.values()];
+  }
+
+  /**
+   * @getter requests
+   * @description Gets the requests handled so far, for assertions in tests.
+   * @returns {Array<{method: string, endpoint: string, params: object, response_code: number}>}
+   */
+  get requests() {
+    return this.#requests;
+  }
+
+}
+
+module.exports = MusicCastMockDevice;
@@ -0,0 +1,400 @@
+const EventEmitter = require('events');
+
+/**
+ * @unit musiccast-mqtt.js
+ * @description MQTT bridge publishing the zone state of Yamaha MusicCast receivers, handling command topics and announcing the entities to Home Assistant.
+ * @version 1.0.0
+ * @author Ernst Reidinga - ERDesigns
+ * @copyrigth ERDesigns 2023
+ * @license MIT
+ * @exports MusicCastMqttBridge
+ */
+
+/**
+ * @constant SWITCH_PAYLOADS
+ * @description The command payloads accepted by the switches, other payloads are rejected.
+ */
+const SWITCH_PAYLOADS = { true: true, on: true, false: false, off: false };
+
+/**
+ * @method switchCommand
+ * @param {string} method - The YamahaMusicCastZone method, e.g. setMute.
+ * @description Creates the command handler of a switch, which maps true/on and false/off and returns null for other payloads.
+ * @returns {function}
+ * @private
+ */
+function switchCommand(method) {
+  return (musiccast, zone, payload) => {
+    const enable = SWITCH_PAYLOADS[payload.toLowerCase()];
+    return typeof enable === 'boolean' ? musiccast.zone[method](zone, enable) : null;
+  };
+}
+
+/**
+ * @constant ZONE_PROPERTIES
+ * @description The zone properties bridged to MQTT: the Home Assistant component, the function in the features which enables it and how to format the state and handle a command.
+ */
+const ZONE_PROPERTIES = {
+  power: {
+    component: 'switch',
+    format: (value) => value,
+    command: (musiccast, zone, payload) => {
+      const power = { true: 'on', false: 'standby', off: 'standby', toggle: 'toggle', on: 'on', standby: 'standby' }[payload.toLowerCase()];
+      return typeof power === 'string' ? musiccast.zone.setPower(zone, power) : null;
+    },
+  },
+  volume: {
+    component: 'number',
+    format: (value) => String(value),
+    command: (musiccast, zone, payload) => {
+      const text = payload.trim();
+      // Number('') is 0, so only digits are taken for a volume
+      if (['up', 'down'].includes(text)) {
+        return musiccast.zone.setVolume(zone, text);
+      }
+      return /^\d+$/.test(text) ? musiccast.zone.setVolume(zone, Number(text)) : null;
+    },
+  },
+  mute: {
+    component: 'switch',
+    format: (value) => String(Boolean(value)),
+    command: switchCommand('setMute'),
+  },
+  input: {
+    component: 'select',
+    format: (value) => value,
+    command: (musiccast, zone, payload) => musiccast.zone.setInput(zone, payload),
+  },
+  sound_program: {
+    component: 'select',
+    func: 'sound_program',
+    format: (value) => value,
+    command: (musiccast, zone, payload) => musiccast.zone.setSoundProgram(zone, payload),
+  },
+  enhancer: {
+    component: 'switch',
+    func: 'enhancer',
+    format: (value) => String(Boolean(value)),
+    command: switchCommand('setEnhancer'),
+  },
+  pure_direct: {
+    component: 'switch',
+    func: 'pure_direct',
+    format: (value) => String(Boolean(value)),
+    command: switchCommand('setPureDirect'),
+  },
+};
+
+/**
+ * @class MusicCastMqttBridge
+ * @description Bridges YamahaMusicCast instances to MQTT. The zone state is published retained to <baseTopic>/<id>/<zone>/<property> whenever the local state changes (driven by the UDP events), commands are read from <baseTopic>/<id>/<zone>/<property>/set and the availability is published to <baseTopic>/<id>/availability.
+ *
+ * Home Assistant has no MQTT media player, so every zone is announced as a device with a power, mute, enhancer and pure direct switch, a volume number and an input and sound program select.
+ *
+ * The MQTT client is injected and only needs the mqtt.js methods publish(topic, payload, options), subscribe(topic), unsubscribe(topic) and the "message" event, so a local stand-in can be used for testing.
+ * @version 1.0.0
+ * @exports MusicCastMqttBridge
+ * @requires events
+ */
+class MusicCastMqttBridge extends EventEmitter {
+  #client;
+  #baseTopic;
+  #discoveryPrefix;
+  #discovery;
+  #devices = new Map();
+  #listeners = new Map();
+  #published = new Map();
+  #started = false;
+  #messageListener = (topic, payload) => this.handleMessage(topic, payload);
+
+  /**
+   * @constructor MusicCastMqttBridge
+   * @param {object} options
+   * @param {object} options.client - A connected mqtt.js compatible client.
+   * @param {Object<string, YamahaMusicCast>|Array<YamahaMusicCast>} options.devices - The devices by ID, or a list of devices addressed by IP address.
+   * @param {string} options.baseTopic - The topic prefix of the state and command topics (default musiccast).
+   * @param {string} options.discoveryPrefix - The Home Assistant discovery prefix (default homeassistant).
+   * @param {boolean} options.discovery - Whether the Home Assistant discovery payloads are published (default true).
+   * @description Creates an instance of MusicCastMqttBridge.
+   * @version 1.0.0
+   * @public
+   */
+  constructor(options = {}) {
+    super();
+    this.#client = options.client;
+    this.#baseTopic = (options.baseTopic || 'musiccast').replace(/\/+$/, '');
+    this.#discoveryPrefix = (options.discoveryPrefix || 'homeassistant').replace(/\/+$/, '');
+    this.#discovery = options.discovery !== false;
+    const devices = options.devices || {};
+    if (Array.isArray(devices)) {
+      devices.forEach((device) => this.add(device.ip, device));
+    } else {
+      Object.keys(devices).forEach((id) => this.add(id, devices[id]));
+    }
+  }
+
+  /**
+   * @method add
+   * @param {string} id - The ID used in the topics, characters other than letters, digits, "-" and "_" are replaced by "_".
+   * @param {YamahaMusicCast} musiccast
+   * @description Adds a device. When the bridge is started, the device is announced and its state published right away.
+   * @returns {Promise}
+   * @public
+   */
+  add(id, musiccast) {
+    const topicId = this.topicId(id);
+    this.remove(topicId);
+    const listeners = {
+      stateChanged: ({ subsystem }) => {
+        if (musiccast.state.zones[subsystem]) {
+          this.publishZone(topicId, subsystem, musiccast.state.zones[subsystem]);
+        }
+      },
+      subscribed: () => this.publish(`${this.#baseTopic}/${topicId}/availability`, 'online'),
+      subscriptionLost: () => this.publish(`${this.#baseTopic}/${topicId}/availability`, 'offline'),
+    };
+    Object.keys(listeners).forEach((event) => musiccast.on(event, listeners[event]));
+    this.#devices.set(topicId, musiccast);
+    this.#listeners.set(topicId, listeners);
+    return this.#started ? this.announce(topicId) : Promise.resolve();
+  }
+
+  /**
+   * @method topicId
+   * @param {string} id
+   * @description Gets the device ID as used in the topics, characters other than letters, digits, "-" and "_" are replaced by "_".
+   * @returns {string}
+   * @private
+   */
+  topicId(id) {
+    return String(id).replace(/[^A-Za-z0-9_-]/g, '_');
+  }
+
+  /**
+   * @method remove
+   * @param {string} id - The ID the device was added with.
+   * @description Removes a device and marks it offline. The device itself is not closed.
+   * @returns {void}
+   * @public
+   */
+  remove(id) {
+    id = this.topicId(id);
+    const musiccast = this.#devices.get(id);
+    if (!musiccast) {
+      return;
+    }
+    const listeners = this.#listeners.get(id);
+    Object.keys(listeners).forEach((event) => musiccast.removeListener(event, listeners[event]));
+    this.#devices.delete(id);
+    this.#listeners.delete(id);
+    this.#published.forEach((value, topic) => {
+      if (topic.startsWith(`${this.#baseTopic}/${id}/`)) {
+        this.#published.delete(topic);
+      }
+    });
+    if (this.#started) {
+      this.publish(`${this.#baseTopic}/${id}/availability`, 'offline');
+    }
+  }
+
+  /**
+   * @method start
+   * @description Subscribes to the command topics and announces every device. Devices which fail to load their state are reported with "warning".
+   * @returns {Promise}
+   * @public
+   */
+  start() {
+    this.#started = true;
+    this.#client.on('message', this.#messageListener);
+    this.#client.subscribe(`${this.#baseTopic}/+/+/+/set`);
+    return Promise.all([...this.#devices.keys()].map((id) => this.announce(id)));
+  }
+
+  /**
+   * @method stop
+   * @description Unsubscribes from the command topics and marks the devices offline.
+   * @returns {void}
+   * @public
+   */
+  stop() {
+    if (!this.#started) {
+      return;
+    }
+    this.#devices.forEach((musiccast, id) => this.publish(`${this.#baseTopic}/${id}/availability`, 'offline'));
+    this.#client.removeListener('message', this.#messageListener);
+    this.#client.unsubscribe(`${this.#baseTopic}/+/+/+/set`);
+    this.#published.clear();
+    this.#started = false;
+  }
+
+  /**
+   * @method announce
+   * @param {string} id
+   * @description Loads the state of a device if needed, then publishes the discovery payloads, the availability and the state of every zone.
+   * @returns {Promise}
+   * @private
+   */
+  announce(id) {
+    const musiccast = this.#devices.get(id);
+    const loaded = musiccast.state.loaded ? Promise.resolve() : musiccast.state.refresh();
+    return loaded
+      .then(() => {
+        if (this.#devices.get(id) !== musiccast) {
+          return;
+        }
+        if (this.#discovery) {
+          this.publishDiscovery(id, musiccast);
+        }
+        this.publish(`${this.#baseTopic}/${id}/availability`, 'online');
+        const zones = musiccast.state.zones;
+        Object.keys(zones).forEach((zone) => this.publishZone(id, zone, zones[zone]));
+      })
+      .catch((error) => {
+        this.emit('warning', error);
+      });
+  }
+
+  /**
+   * @method publish
+   * @param {string} topic
+   * @param {string} payload
+   * @description Publishes a retained message.
+   * @returns {void}
+   * @private
+   */
+  publish(topic, payload) {
+    this.#client.publish(topic, payload, { retain: true });
+  }
+
+  /**
+   * @method publishZone
+   * @param {string} id
+   * @param {string} zone
+   * @param {object} status - The zone status.
+   * @description Publishes the zone properties which changed since they were last published.
+   * @returns {void}
+   * @private
+   */
+  publishZone(id, zone, status) {
+    Object.keys(ZONE_PROPERTIES).forEach((property) => {
+      if (status[property] === undefined) {
+        return;
+      }
+      const topic = `${this.#baseTopic}/${id}/${zone}/${property}`;
+      const payload = ZONE_PROPERTIES[property].format(status[property]);
+      if (this.#published.get(topic) !== payload) {
+        this.#published.set(topic, payload);
+        this.publish(topic, payload);
+      }
+    });
+  }
+
+  /**
+   * @method publishDiscovery
+   * @param {string} id
+   * @param {YamahaMusicCast} musiccast
+   * @description Publishes the Home Assistant discovery payloads of every zone, based on the features of the device.
+   * @returns {void}
+   * @private
+   */
+  publishDiscovery(id, musiccast) {
+    const features = musiccast.state.features || {};
+    const deviceInfo = musiccast.deviceInfo || {};
+    const deviceId = deviceInfo.device_id || id;
+    (features.zone || []).forEach((zone) => {
+      const funcs = zone.func_list || [];
+      const objectId = `musiccast_${id}_${zone.id}`;
+      const device = {
+        identifiers: [`musiccast_${deviceId}_${zone.id}`],
+        name: `${deviceInfo.model_name || id} ${zone.id}`,
+        manufacturer: 'Yamaha',
+        model: deviceInfo.model_name,
+        sw_version: deviceInfo.system_version !== undefined ? String(deviceInfo.system_version) : undefined,
+      };
+      Object.keys(ZONE_PROPERTIES).forEach((property) => {
+        const { component, func } = ZONE_PROPERTIES[property];
+        if (func && !funcs.includes(func)) {
+          return;
+        }
+        const topic = `${this.#baseTopic}/${id}/${zone.id}/${property}`;
+        const config = {
+          name: property.replace('_', ' '),
+          unique_id: `${objectId}_${property}`,
+          state_topic: topic,
+          command_topic: `${topic}/set`,
+          availability_topic: `${this.#baseTopic}/${id}/availability`,
+          device,
+        };
+        if (property === 'power') {
+          Object.assign(config, { payload_on: 'on', payload_off: 'standby', state_on: 'on', state_off: 'standby' });
+        } else if (component === 'switch') {
+          Object.assign(config, { payload_on: 'true', payload_off: 'false', state_on: 'true', state_off: 'false' });
+        } else if (property === 'volume') {
+          const range = (zone.range_step || []).find((item) => item.id === 'volume') || { min: 0, max: 100, step: 1 };
+          Object.assign(config, { min: range.min, max: range.max, step: range.step || 1 });
+        } else if (property === 'input') {
+          config.options = zone.input_list || [];
+        } else if (property === 'sound_program') {
+          config.options = zone.sound_program_list || [];
+        }
+        this.publish(`${this.#discoveryPrefix}/${component}/${objectId}/${property}/config`, JSON.stringify(config));
+      });
+    });
+  }
+
+  /**
+   * @method handleMessage
+   * @param {string} topic
+   * @param {Buffer|string} payload
+   * @description Handles a command: <baseTopic>/<id>/<zone>/<property>/set calls the matching YamahaMusicCastZone method. Invalid and failed commands are reported with "warning", the state follows from the events of the device.
+   * @returns {void}
+   * @private
+   */
+  handleMessage(topic, payload) {
+    const prefix = `${this.#baseTopic}/`;
+    if (!topic.startsWith(prefix) || !topic.endsWith('/set')) {
+      return;
+    }
+    const [id, zone, property] = topic.slice(prefix.length, -'/set'.length).split('/');
+    const musiccast = this.#devices.get(id);
+    const handler = ZONE_PROPERTIES[property];
+    if (!musiccast || !handler) {
+      this.emit('warning', new Error(`Unknown command topic "${topic}".`));
+      return;
+    }
+    const value = String(payload).trim();
+    const result = handler.command(musiccast, zone, value);
+    if (!result) {
+      this.emit('warning', new Error(`Invalid ${property} "${value}" on "${topic}".`));
+      return;
+    }
+    result
+      .then(() => {
+        this.emit('command', { id, zone, property, value });
+      })
+      .catch((error) => {
+        this.emit('warning', error);
+      });
+  }
+
+  /**
+   * @getter devices
+   * @description Gets the devices by topic ID.
+   * @returns {Object<string, YamahaMusicCast>}
+   */
+  get devices() {
+    return Object.fromEntries(this.#devices);
+  }
+
+  /**
+   * @getter started
+   * @description Gets whether the bridge is started.
+   * @returns {boolean}
+   */
+  get started() {
+    return this.#started;
+  }
+
+}
+
+module.exports = MusicCastMqttBridge;
@@ -0,0 +1,37 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const main = require('../musiccast-cli');
+
+/**
+ * @method capture
+ * @param {object} t - The node:test test context.
+ * @description Captures what the command-line tool prints on stderr.
+ * @returns {Array<string>}
+ */
+function capture(t) {
+  const errors = [];
+  t.mock.method(console, 'error', (message) => errors.push(message));
+  return errors;
+}
+
+describe('musiccast-cli', () => {
+  it('rejects an invalid port and timeout with the usage', async (t) => {
+    const errors = capture(t);
+    assert.equal(await main(['-h', '127.0.0.1', '--port', 'abc', 'info']), 2);
+    assert.match(errors[0], /^Invalid port "abc"/);
+    assert.equal(await main(['-h', '127.0.0.1', '-p', '70000', 'info']), 2);
+    assert.equal(await main(['-h', '127.0.0.1', '--timeout', '-5', 'info']), 2);
+    assert.match(errors[2], /^Invalid timeout "-5"/);
+    assert.equal(await main(['discover', 'soon']), 2);
+  });
+
+  it('checks the arguments before connecting to the receiver', async (t) => {
+    const errors = capture(t);
+    // Nothing listens on port 80 here, so a connection attempt would exit with 1
+    assert.equal(await main(['-h', '127.0.0.1', 'volume', 'loud']), 2);
+    assert.equal(await main(['-h', '127.0.0.1', 'mute', 'maybe']), 2);
+    assert.equal(await main(['-h', '127.0.0.1', 'preset', 'recall', '1', 'xm']), 2);
+    assert.equal(await main(['-h', '127.0.0.1', 'nope']), 2);
+    assert.ok(errors.every((message) => !message.startsWith('Error:')));
+  });
+});
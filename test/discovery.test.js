@@ -0,0 +1,19 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const YamahaMusicCast = require('../yamaha-musiccast');
+const { setup, once } = require('./helpers');
+
+describe('YamahaMusicCastDiscovery', () => {
+  it('loses the devices found by the initial search when their reply expires', async (t) => {
+    const { mock } = setup(t);
+    const device = await mock({ ssdp: true, maxAge: 1 });
+    const discovery = new YamahaMusicCast.YamahaMusicCastDiscovery({ timeout: 500 });
+    t.after(() => discovery.stop());
+    const found = once(discovery, 'deviceFound', 3000);
+    await discovery.start();
+    assert.equal((await found).uuid, device.state.uuid.toUpperCase());
+    // The mock answers searches only, it does not announce itself again
+    assert.equal((await once(discovery, 'deviceLost', 3000)).uuid, device.state.uuid.toUpperCase());
+    assert.deepEqual(discovery.devices, []);
+  });
+});
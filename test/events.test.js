@@ -0,0 +1,111 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const dgram = require('dgram');
+const { setup, once } = require('./helpers');
+
+describe('YamahaMusicCastEventHub', () => {
+  it('shares one socket between clients on the same port', async (t) => {
+    const { mock, client } = setup(t);
+    const device = await mock();
+    const first = client(device);
+    await once(first, 'listening');
+    // The hub is listening already when the second client registers
+    const second = client(device);
+    assert.equal(second.eventHub, first.eventHub);
+    assert.deepEqual(first.eventHub.devices, [first, second]);
+    assert.equal(second.transport.eventPort, first.eventHub.port);
+    second.close();
+    assert.equal(first.eventHub.listening, true);
+    first.close();
+    assert.equal(first.eventHub, null);
+  });
+
+  it('routes the events to the device which sent them', async (t) => {
+    const { mock, client } = setup(t);
+    const livingRoom = await mock();
+    const kitchen = await mock({ host: '127.0.0.2' });
+    const first = client(livingRoom);
+    const second = client(kitchen);
+    await once(first, 'listening');
+    await Promise.all([first.subscribe(), second.subscribe()]);
+
+    const received = [];
+    first.on('volume', (event) => received.push(['livingRoom', event.value]));
+    second.on('volume', (event) => received.push(['kitchen', event.value]));
+    await second.zone.setVolume('main', 33);
+    await once(second, 'volume');
+    await first.zone.setVolume('main', 22);
+    await once(first, 'volume');
+    assert.deepEqual(received, [['kitchen', 33], ['livingRoom', 22]]);
+  });
+
+  it('does not route notifications from an unknown sender', async (t) => {
+    const { mock, client } = setup(t);
+    const musiccast = client(await mock());
+    await once(musiccast, 'listening');
+    musiccast.on('event', () => assert.fail('notification routed to the only device'));
+    const socket = dgram.createSocket('udp4');
+    t.after(() => socket.close());
+    await new Promise((resolve) => socket.bind(0, '127.0.0.2', resolve));
+    const unrouted = once(musiccast.eventHub, 'unrouted');
+    socket.send(JSON.stringify({ main: { volume: 5 }, device_id: 'AC44F2000000' }), musiccast.eventHub.port, '127.0.0.1');
+    await unrouted;
+  });
+
+  it('reports an error thrown while handling an event and keeps routing', async (t) => {
+    const { mock, client } = setup(t);
+    const device = await mock();
+    const first = client(device);
+    const second = client(device);
+    await once(first, 'listening');
+    await first.subscribe();
+    first.on('volume', () => {
+      throw new Error('listener failed');
+    });
+    const warning = once(first, 'warning');
+    const received = once(second, 'volume');
+    device.call('main', 'setVolume', { volume: 44 });
+    assert.equal((await warning).message, 'listener failed');
+    assert.equal((await received).value, 44);
+  });
+
+  it('emits unknown keys only as the generic event', async (t) => {
+    const { mock, client } = setup(t);
+    const musiccast = client(await mock());
+    await once(musiccast, 'listening');
+    const names = [];
+    musiccast.on('event', (event) => names.push(event.name));
+    musiccast.on('listening', () => assert.fail('listening emitted by a notification'));
+    const socket = dgram.createSocket('udp4');
+    t.after(() => socket.close());
+    socket.send(JSON.stringify({ main: { error: 1, listening: true, volume: 5 } }), musiccast.eventHub.port, '127.0.0.1');
+    assert.equal((await once(musiccast, 'volume')).value, 5);
+    assert.deepEqual(names, ['error', 'listening', 'volume']);
+  });
+
+  it('reports malformed packets without crashing', async (t) => {
+    const { mock, client } = setup(t);
+    const musiccast = client(await mock());
+    await once(musiccast, 'listening');
+    const socket = dgram.createSocket('udp4');
+    t.after(() => socket.close());
+    socket.send('{not json', musiccast.eventHub.port, '127.0.0.1');
+    const error = await once(musiccast, 'parseError');
+    assert.equal(error.raw.toString(), '{not json');
+    assert.equal(musiccast.eventStats.parseErrors, 1);
+  });
+});
+
+describe('YamahaMusicCastState', () => {
+  it('patches the state with the events', async (t) => {
+    const { mock, client } = setup(t);
+    const device = await mock();
+    const musiccast = client(device);
+    await once(musiccast, 'listening');
+    await musiccast.subscribe();
+    await musiccast.state.refresh();
+    device.call('main', 'setMute', { enable: true });
+    await once(musiccast, 'mute');
+    assert.equal(musiccast.state.zones.main.mute, true);
+  });
+});
@@ -0,0 +1,107 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const MusicCastGateway = require('../musiccast-gateway');
+const { setup } = require('./helpers');
+
+/**
+ * @method request
+ * @param {number} port - The gateway port.
+ * @param {string} method
+ * @param {string} path
+ * @param {string} body
+ * @description Sends a request to the gateway.
+ * @returns {Promise<{status: number, body: object}>}
+ */
+function request(port, method, path, body) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/**
+ * @method start
+ * @param {object} t - The node:test test context.
+ * @description Starts a gateway for a client of a mock device.
+ * @returns {Promise<{device: MusicCastMockDevice, musiccast: YamahaMusicCast, port: number}>}
+ */
+async function start(t) {
+  const { mock, client } = setup(t);
+  const device = await mock();
+  const musiccast = client(device);
+  const gateway = new MusicCastGateway({ devices: { livingroom: musiccast } });
+  const { port } = await gateway.listen(0, '127.0.0.1');
+  t.after(() => gateway.close());
+  return { device, musiccast, port };
+}
+
+describe('MusicCastGateway', () => {
+  it('lists the devices and reads the zone status', async (t) => {
+    const { port } = await start(t);
+    const devices = await request(port, 'GET', '/devices');
+    assert.equal(devices.status, 200);
+    assert.deepEqual(devices.body.map((device) => device.id), ['livingroom']);
+    const status = await request(port, 'GET', '/devices/livingroom/zones/main');
+    assert.equal(status.status, 200);
+    assert.equal(status.body.volume, 60);
+  });
+
+  it('sends the commands to the device', async (t) => {
+    const { device, port } = await start(t);
+    assert.equal((await request(port, 'POST', '/devices/livingroom/zones/main/volume', '{"volume":35}')).status, 200);
+    assert.equal(device.state.zones.main.volume, 35);
+    assert.equal((await request(port, 'POST', '/devices/livingroom/zones/main/mute', '{"mute":true}')).status, 200);
+    assert.equal(device.state.zones.main.mute, true);
+    assert.equal((await request(port, 'POST', '/devices/livingroom/zones/main/mute', '{"mute":"false"}')).status, 200);
+    assert.equal(device.state.zones.main.mute, false);
+  });
+
+  it('maps the errors to status codes', async (t) => {
+    const { port } = await start(t);
+    assert.equal((await request(port, 'GET', '/devices/kitchen/zones/main')).status, 404);
+    assert.equal((await request(port, 'GET', '/nope')).status, 404);
+    assert.equal((await request(port, 'PUT', '/devices/livingroom/netusb')).status, 405);
+    assert.equal((await request(port, 'GET', '/devices/%E0%A4%A')).status, 400);
+    assert.equal((await request(port, 'GET', '/devices/%E0%A4%A/events')).status, 400);
+    assert.equal((await request(port, 'POST', '/devices/livingroom/zones/main/volume', '{bad')).status, 400);
+    assert.equal((await request(port, 'POST', '/devices/livingroom/zones/main/mute', '{}')).status, 400);
+    assert.equal((await request(port, 'POST', '/devices/livingroom/zones/main/mute', '{"mute":"maybe"}')).status, 400);
+    assert.equal((await request(port, 'POST', '/devices/livingroom/zones/main/input', '{"input":"nope"}')).status, 400);
+    const large = await request(port, 'POST', '/devices/livingroom/zones/main/volume', JSON.stringify({ volume: 1, padding: 'x'.repeat(2 * 1024 * 1024) }));
+    assert.equal(large.status, 413);
+  });
+
+  it('listens on the loopback address by default', async (t) => {
+    const gateway = new MusicCastGateway();
+    const address = await gateway.listen(0);
+    t.after(() => gateway.close());
+    assert.equal(address.address, '127.0.0.1');
+  });
+
+  it('streams the events of the device', async (t) => {
+    const { musiccast, port } = await start(t);
+    const data = await new Promise((resolve, reject) => {
+      const req = http.get({ host: '127.0.0.1', port, path: '/devices/livingroom/events' }, (res) => {
+        let text = '';
+        res.on('data', (chunk) => {
+          text += chunk;
+          if (text.includes('"volume"')) {
+            req.destroy();
+            resolve(text);
+          }
+        });
+      });
+      req.on('error', reject);
+      req.on('response', () => musiccast.handleEvent({ main: { volume: 12 } }, { address: musiccast.ip }));
+    });
+    assert.match(data, /"value":12/);
+  });
+});
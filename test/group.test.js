@@ -0,0 +1,49 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const YamahaMusicCast = require('../yamaha-musiccast');
+const { setup } = require('./helpers');
+
+describe('MusicCastGroupManager', () => {
+  it('links and dissolves a group', async (t) => {
+    const { mock, client } = setup(t);
+    const livingRoom = await mock();
+    const kitchen = await mock({ host: '127.0.0.2' });
+    const group = new YamahaMusicCast.MusicCastGroupManager();
+    await group.create(client(livingRoom), [client(kitchen)], 'Party');
+    assert.deepEqual([livingRoom.state.dist.role, kitchen.state.dist.role], ['server', 'client']);
+    await group.dissolve();
+    assert.deepEqual([livingRoom.state.dist.role, kitchen.state.dist.role], ['none', 'none']);
+  });
+
+  it('keeps the balance between members with different volume scales', async (t) => {
+    const { mock, client } = setup(t);
+    const receiver = await mock();
+    const speaker = await mock({ host: '127.0.0.2' });
+    // A speaker with the 0-60 scale
+    speaker.state.zones.main.max_volume = 60;
+    const server = client(receiver);
+    const member = client(speaker);
+    await server.zone.setVolume('main', 80);
+    await member.zone.setVolume('main', 45);
+    const group = new YamahaMusicCast.MusicCastGroupManager();
+    await group.create(server, [member]);
+
+    assert.deepEqual(await group.setVolume('+10'), [90, 49]);
+    // The speaker is clamped at its maximum, but keeps its balance
+    assert.deepEqual(await group.setVolume(161), [161, 60]);
+    assert.deepEqual(await group.setVolume(80), [80, 45]);
+    assert.equal(speaker.state.zones.main.volume, 45);
+  });
+
+  it('rejects volumes which are neither numbers nor relative integers', async (t) => {
+    const { mock, client } = setup(t);
+    const receiver = await mock();
+    const speaker = await mock({ host: '127.0.0.2' });
+    const group = new YamahaMusicCast.MusicCastGroupManager();
+    await group.create(client(receiver), [client(speaker)]);
+    for (const volume of ['-3.5', '1e2', ' 5 ', '50', '', NaN, Infinity, null]) {
+      await assert.rejects(group.setVolume(volume), /Invalid group volume/);
+    }
+    assert.equal(receiver.state.zones.main.volume, 60);
+  });
+});
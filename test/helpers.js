@@ -0,0 +1,69 @@
+const YamahaMusicCast = require('../yamaha-musiccast');
+const MusicCastMockDevice = require('../musiccast-mock');
+
+/**
+ * @unit test/helpers.js
+ * @description Helpers shared by the tests: mock devices and clients which are cleaned up after every test.
+ */
+
+/**
+ * @method setup
+ * @param {object} t - The node:test test context.
+ * @description Creates a factory for mock devices and clients, which are stopped and closed when the test ends.
+ * @returns {{mock: function, client: function}}
+ */
+function setup(t) {
+  const mocks = [];
+  const clients = [];
+  t.after(() => {
+    clients.forEach((client) => client.close());
+    return Promise.all(mocks.map((mock) => mock.stop()));
+  });
+  return {
+    mock: (options = {}) => {
+      const mock = new MusicCastMockDevice(options);
+      mocks.push(mock);
+      return mock.start().then(() => mock);
+    },
+    client: (mock, options = {}) => {
+      const { transport, ...rest } = options;
+      const client = new YamahaMusicCast({ ip: mock.host, eventPort: 0, keepAlive: false, transport: { port: mock.port, ...transport }, ...rest });
+      clients.push(client);
+      return client;
+    },
+  };
+}
+
+/**
+ * @method wait
+ * @param {number} ms
+ * @description Waits for the given time.
+ * @returns {Promise}
+ */
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * @method once
+ * @param {EventEmitter} emitter
+ * @param {string} event
+ * @param {number} timeout - The time in milliseconds to wait for the event.
+ * @description Waits for an event, rejects when it is not emitted in time.
+ * @returns {Promise<*>} The first argument of the event.
+ */
+function once(emitter, event, timeout = 2000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      emitter.removeListener(event, listener);
+      reject(new Error(`No "${event}" event within ${timeout} ms.`));
+    }, timeout);
+    const listener = (value) => {
+      clearTimeout(timer);
+      resolve(value);
+    };
+    emitter.once(event, listener);
+  });
+}
+
+module.exports = { setup, wait, once };
@@ -0,0 +1,77 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const dgram = require('dgram');
+const http = require('http');
+const { setup, once } = require('./helpers');
+
+/**
+ * @method get
+ * @param {MusicCastMockDevice} device
+ * @param {string} path - The path after the YXC base path.
+ * @param {object} headers
+ * @description Sends a GET request to the mock device.
+ * @returns {Promise<object>} The JSON response.
+ */
+function get(device, path, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.get({ host: device.host, port: device.port, path: `/YamahaExtendedControl/v1/${path}`, headers }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+      res.on('end', () => resolve(JSON.parse(data)));
+    });
+    req.on('error', reject);
+  });
+}
+
+describe('MusicCastMockDevice', () => {
+  it('answers the endpoints with the response codes of a receiver', async (t) => {
+    const { mock } = setup(t);
+    const device = await mock();
+    const info = await get(device, 'system/getDeviceInfo');
+    assert.deepEqual([info.response_code, info.model_name], [0, 'RX-V583']);
+    assert.equal((await get(device, 'main/setVolume?volume=30')).response_code, 0);
+    assert.equal(device.state.zones.main.volume, 30);
+    assert.equal((await get(device, 'main/setInput?input=nope')).response_code, 4);
+    assert.equal((await get(device, 'main/nope')).response_code, 3);
+    assert.deepEqual(device.requests.map((request) => request.response_code), [0, 0, 4, 3]);
+  });
+
+  it('fails the requests registered with fail()', async (t) => {
+    const { mock } = setup(t);
+    const device = await mock();
+    device.fail('main/setVolume', 5, 2);
+    assert.equal(device.call('main', 'setVolume', { volume: 30 }).response_code, 5);
+    assert.equal(device.call('main', 'setVolume', { volume: 30 }).response_code, 5);
+    assert.equal(device.call('main', 'setVolume', { volume: 30 }).response_code, 0);
+  });
+
+  it('sends the events from the address of the device to the registered clients', async (t) => {
+    const { mock } = setup(t);
+    const device = await mock({ host: '127.0.0.2' });
+    const socket = dgram.createSocket('udp4');
+    t.after(() => socket.close());
+    await new Promise((resolve) => socket.bind(0, '127.0.0.1', resolve));
+    await get(device, 'system/getDeviceInfo', { 'X-AppName': 'MusicCast/1', 'X-AppPort': socket.address().port });
+    assert.equal(device.subscribers.length, 1);
+
+    const message = new Promise((resolve) => socket.once('message', (msg, rinfo) => resolve({ event: JSON.parse(msg), rinfo })));
+    device.call('main', 'setMute', { enable: true });
+    const { event, rinfo } = await message;
+    assert.equal(rinfo.address, '127.0.0.2');
+    assert.deepEqual(event.main, { mute: true });
+    assert.equal(event.device_id, device.state.deviceInfo.device_id);
+  });
+
+  it('cancels the server role with an empty group ID', async (t) => {
+    const { mock } = setup(t);
+    const device = await mock();
+    const notified = once(device, 'notify');
+    device.call('dist', 'setServerInfo', { group_id: 'a'.repeat(32), client_list: ['127.0.0.2'] });
+    await notified;
+    assert.equal(device.state.dist.role, 'server');
+    device.call('dist', 'setServerInfo', { group_id: '' });
+    assert.deepEqual([device.state.dist.role, device.state.dist.client_list], ['none', []]);
+  });
+});
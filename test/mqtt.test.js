@@ -0,0 +1,107 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const MusicCastMqttBridge = require('../musiccast-mqtt');
+const { setup, once } = require('./helpers');
+
+/**
+ * @class StubClient
+ * @description Records what the bridge publishes and subscribes to, messages are delivered with receive().
+ */
+class StubClient extends EventEmitter {
+  published = new Map();
+  subscriptions = new Set();
+
+  publish(topic, payload, options) {
+    this.published.set(topic, { payload, options });
+  }
+
+  subscribe(topic) {
+    this.subscriptions.add(topic);
+  }
+
+  unsubscribe(topic) {
+    this.subscriptions.delete(topic);
+  }
+
+  receive(topic, payload) {
+    this.emit('message', topic, Buffer.from(payload));
+  }
+}
+
+/**
+ * @method start
+ * @param {object} t - The node:test test context.
+ * @param {string} id - The ID of the device.
+ * @description Starts a bridge for a client of a mock device.
+ * @returns {Promise<{device: MusicCastMockDevice, musiccast: YamahaMusicCast, bridge: MusicCastMqttBridge, client: StubClient}>}
+ */
+async function start(t, id = 'livingroom') {
+  const { mock, client: connect } = setup(t);
+  const device = await mock();
+  const musiccast = connect(device);
+  await musiccast.connect();
+  const client = new StubClient();
+  const bridge = new MusicCastMqttBridge({ client, devices: { [id]: musiccast } });
+  await bridge.start();
+  t.after(() => bridge.stop());
+  return { device, musiccast, bridge, client };
+}
+
+describe('MusicCastMqttBridge', () => {
+  it('publishes the availability, the zone state and the discovery payloads', async (t) => {
+    const { client } = await start(t);
+    assert.ok(client.subscriptions.has('musiccast/+/+/+/set'));
+    assert.equal(client.published.get('musiccast/livingroom/availability').payload, 'online');
+    assert.equal(client.published.get('musiccast/livingroom/main/volume').payload, '60');
+    assert.equal(client.published.get('musiccast/livingroom/main/power').options.retain, true);
+    const discovery = [...client.published.keys()].filter((topic) => topic.startsWith('homeassistant/'));
+    assert.ok(discovery.length > 0);
+  });
+
+  it('handles the command topics', async (t) => {
+    const { device, bridge, client } = await start(t);
+    client.receive('musiccast/livingroom/main/volume/set', '30');
+    assert.deepEqual(await once(bridge, 'command'), { id: 'livingroom', zone: 'main', property: 'volume', value: '30' });
+    assert.equal(device.state.zones.main.volume, 30);
+    client.receive('musiccast/livingroom/main/power/set', 'ON');
+    await once(bridge, 'command');
+    assert.equal(device.state.zones.main.power, 'on');
+  });
+
+  it('rejects empty and invalid volume payloads', async (t) => {
+    const { device, bridge, client } = await start(t);
+    for (const payload of ['', ' ', 'loud', '1.5']) {
+      const warning = once(bridge, 'warning');
+      client.receive('musiccast/livingroom/main/volume/set', payload);
+      assert.match((await warning).message, /Invalid volume/);
+    }
+    assert.equal(device.state.zones.main.volume, 60);
+  });
+
+  it('rejects switch payloads other than true/on and false/off', async (t) => {
+    const { device, bridge, client } = await start(t);
+    client.receive('musiccast/livingroom/main/mute/set', 'ON');
+    await once(bridge, 'command');
+    assert.equal(device.state.zones.main.mute, true);
+    for (const payload of ['', 'maybe', '1', 'constructor']) {
+      const warning = once(bridge, 'warning');
+      client.receive('musiccast/livingroom/main/mute/set', payload);
+      assert.match((await warning).message, /Invalid mute/);
+    }
+    assert.equal(device.state.zones.main.mute, true);
+    client.receive('musiccast/livingroom/main/mute/set', 'off');
+    await once(bridge, 'command');
+    assert.equal(device.state.zones.main.mute, false);
+  });
+
+  it('removes a device by the ID it was added with', async (t) => {
+    const { musiccast, bridge, client } = await start(t, '192.168.1.10');
+    assert.deepEqual(Object.keys(bridge.devices), ['192_168_1_10']);
+    assert.equal(musiccast.listenerCount('stateChanged'), 1);
+    bridge.remove('192.168.1.10');
+    assert.deepEqual(Object.keys(bridge.devices), []);
+    assert.equal(musiccast.listenerCount('stateChanged'), 0);
+    assert.equal(client.published.get('musiccast/192_168_1_10/availability').payload, 'offline');
+  });
+});
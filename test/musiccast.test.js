@@ -0,0 +1,51 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const YamahaMusicCast = require('../yamaha-musiccast');
+const { setup, once } = require('./helpers');
+
+describe('YamahaMusicCast', () => {
+  it('exports the classes tagged with @exports', () => {
+    const source = fs.readFileSync(path.join(__dirname, '..', 'yamaha-musiccast.js'), 'utf8');
+    const tagged = [...source.matchAll(/@exports (\w+)/g)].map((match) => match[1]).filter((name) => name !== 'YamahaMusicCast');
+    assert.ok(tagged.length > 0);
+    tagged.forEach((name) => assert.equal(typeof YamahaMusicCast[name], 'function', name));
+  });
+});
+
+describe('YamahaMusicCast#reconfigure', () => {
+  it('applies the options', async (t) => {
+    const { mock, client } = setup(t);
+    const musiccast = client(await mock());
+    await once(musiccast, 'listening');
+    musiccast.reconfigure({ ip: '127.0.0.2', volumePolicies: { main: { maxVolume: 50 } } });
+    assert.equal(musiccast.ip, '127.0.0.2');
+    assert.equal(musiccast.transport.host, '127.0.0.2');
+    assert.deepEqual(musiccast.volumePolicies, { main: { maxVolume: 50 } });
+  });
+
+  it('leaves the configuration untouched when an option is invalid', async (t) => {
+    const { mock, client } = setup(t);
+    const musiccast = client(await mock());
+    await once(musiccast, 'listening');
+    const { eventHub, transport } = musiccast;
+    const invalid = [
+      { ip: '127.0.0.2', volumePolicies: { main: { maxVolume: 50 } }, keepAliveInterval: -1 },
+      { ip: '127.0.0.2', eventPort: 'abc' },
+      { ip: '127.0.0.2', volumePolicies: { main: { maxStep: 0 } } },
+    ];
+    for (const options of invalid) {
+      assert.throws(() => musiccast.reconfigure(options));
+    }
+    assert.equal(musiccast.ip, '127.0.0.1');
+    assert.equal(musiccast.eventHub, eventHub);
+    assert.equal(musiccast.transport, transport);
+    assert.equal(transport.host, '127.0.0.1');
+    assert.deepEqual(musiccast.volumePolicies, {});
+  });
+
+  it('rejects an invalid event port in the constructor', () => {
+    assert.throws(() => new YamahaMusicCast({ ip: '127.0.0.1', eventPort: 70000, keepAlive: false }), /Invalid event port/);
+  });
+});
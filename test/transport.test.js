@@ -0,0 +1,131 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const YamahaMusicCast = require('../yamaha-musiccast');
+const { setup, wait } = require('./helpers');
+
+describe('YamahaMusicCastTransport', () => {
+  it('resolves with the response and rejects with the error of the response code', async (t) => {
+    const { mock, client } = setup(t);
+    const musiccast = client(await mock());
+    const info = await musiccast.system.getDeviceInfo();
+    assert.equal(info.response_code, 0);
+    assert.equal(info.model_name, 'RX-V583');
+    await assert.rejects(musiccast.zone.setInput('main', 'nope'), YamahaMusicCast.MusicCastInvalidParameterError);
+  });
+
+  it('retries idempotent calls while the device is initializing', async (t) => {
+    const { mock, client } = setup(t);
+    const device = await mock();
+    const musiccast = client(device, { transport: { retry: { delay: 10 } } });
+    device.fail('main/setVolume', 1, 2);
+    await musiccast.zone.setVolume('main', 40);
+    assert.equal(device.state.zones.main.volume, 40);
+    assert.equal(device.requests.filter((request) => request.endpoint === 'main/setVolume').length, 3);
+  });
+
+  it('releases the queue while waiting for a retry', async (t) => {
+    const { mock, client } = setup(t);
+    const device = await mock();
+    const musiccast = client(device, { transport: { retry: { delay: 300 }, queue: { concurrency: 1 } } });
+    device.fail('main/setVolume', 1);
+    const settled = [];
+    const volume = musiccast.zone.setVolume('main', 40).then(() => settled.push('setVolume'));
+    await wait(50);
+    await musiccast.system.getDeviceInfo().then(() => settled.push('getDeviceInfo'));
+    await volume;
+    assert.deepEqual(settled, ['getDeviceInfo', 'setVolume']);
+    assert.equal(device.state.zones.main.volume, 40);
+  });
+
+  it('does not retry a command superseded while waiting for the retry', async (t) => {
+    const { mock, client } = setup(t);
+    const device = await mock();
+    const musiccast = client(device, { transport: { retry: { delay: 200 } } });
+    device.fail('main/setVolume', 1);
+    const first = musiccast.zone.setVolume('main', 40);
+    await wait(50);
+    const second = musiccast.zone.setVolume('main', 50);
+    assert.deepEqual(await first, await second);
+    await wait(250);
+    assert.equal(device.state.zones.main.volume, 50);
+    assert.deepEqual(device.requests.filter((request) => request.endpoint === 'main/setVolume').map((request) => request.params.volume), [40, 50]);
+  });
+
+  it('does not retry relative commands', async (t) => {
+    const { mock, client } = setup(t);
+    const device = await mock();
+    const musiccast = client(device, { transport: { retry: { delay: 10 } } });
+    device.fail('main/setVolume', 1);
+    await assert.rejects(musiccast.zone.setVolume('main', 'up'), YamahaMusicCast.MusicCastInitializingError);
+    assert.equal(device.requests.filter((request) => request.endpoint === 'main/setVolume').length, 1);
+  });
+
+  it('does not retry timeouts by default', async (t) => {
+    let requests = 0;
+    const server = http.createServer(() => {
+      requests++;
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => {
+      server.closeAllConnections();
+      server.close();
+    });
+    const transport = new YamahaMusicCast.YamahaMusicCastTransport({ host: '127.0.0.1', port: server.address().port, timeout: 100, retry: { delay: 10 } });
+    await assert.rejects(transport.get('system/getDeviceInfo'), YamahaMusicCast.MusicCastRequestTimeoutError);
+    assert.equal(requests, 1);
+  });
+
+  it('cancels pending retries on close', async (t) => {
+    const { mock, client } = setup(t);
+    const device = await mock();
+    const musiccast = client(device, { transport: { retry: { delay: 200 } } });
+    device.fail('system/getDeviceInfo', 1, 10);
+    const request = musiccast.system.getDeviceInfo();
+    await wait(50);
+    musiccast.close();
+    await assert.rejects(request, /closed/);
+    const sent = device.requests.length;
+    await wait(400);
+    assert.equal(device.requests.length, sent);
+  });
+});
+
+describe('YamahaMusicCastRequestQueue', () => {
+  it('coalesces waiting commands for the same target only', async (t) => {
+    const { mock, client } = setup(t);
+    const device = await mock();
+    const musiccast = client(device);
+    const results = await Promise.all([
+      musiccast.system.getDeviceInfo(),
+      musiccast.zone.setVolume('main', 10),
+      musiccast.zone.setVolume('main', 20),
+      musiccast.zone.setVolume('main', 30),
+      musiccast.zone.setInput('main', 'hdmi1'),
+      musiccast.zone.setInput('main', 'net_radio'),
+      musiccast.system.setNameText('hdmi1', 'TV'),
+      musiccast.system.setNameText('hdmi2', 'Console'),
+    ]);
+    assert.equal(results.length, 8);
+    const sent = device.requests.map((request) => request.endpoint);
+    assert.deepEqual(sent, ['system/getDeviceInfo', 'main/setVolume', 'main/setInput', 'system/setNameText', 'system/setNameText']);
+    assert.equal(device.state.zones.main.volume, 30);
+    assert.equal(device.state.zones.main.input, 'net_radio');
+    assert.equal(device.state.system.name_text.hdmi1, 'TV');
+    assert.equal(device.state.system.name_text.hdmi2, 'Console');
+  });
+
+  it('limits the number of requests in flight', async (t) => {
+    const { mock, client } = setup(t);
+    const musiccast = client(await mock(), { transport: { queue: { concurrency: 1 } } });
+    const running = [];
+    const requests = ['main', 'zone2', 'main', 'zone2'].map((zone) => {
+      const request = musiccast.zone.getStatus(zone);
+      running.push(musiccast.transport.queue.running);
+      return request;
+    });
+    await Promise.all(requests);
+    assert.ok(running.every((count) => count <= 1));
+    assert.equal(musiccast.transport.queue.size, 0);
+  });
+});
@@ -0,0 +1,177 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const YamahaMusicCast = require('../yamaha-musiccast');
+const { setup, wait } = require('./helpers');
+
+/**
+ * @method connect
+ * @param {object} t - The node:test test context.
+ * @param {object} options - The YamahaMusicCast options.
+ * @description Connects a client to a mock device with the main zone powered on.
+ * @returns {Promise<{device: MusicCastMockDevice, musiccast: YamahaMusicCast}>}
+ */
+async function connect(t, options = {}) {
+  const { mock, client } = setup(t);
+  const device = await mock();
+  const musiccast = client(device, options);
+  await musiccast.connect();
+  await musiccast.zone.setPower('main', 'on');
+  return { device, musiccast };
+}
+
+describe('YamahaMusicCastZone', () => {
+  it('accepts legacy zone names', async (t) => {
+    const { device, musiccast } = await connect(t);
+    await musiccast.zone.setVolume('Main_Zone', 42);
+    assert.equal(device.state.zones.main.volume, 42);
+  });
+
+  it('sets and reads the volume in dB and percent', async (t) => {
+    const { device, musiccast } = await connect(t);
+    await musiccast.zone.setVolumeDb('main', -40.5);
+    assert.equal(device.state.zones.main.volume, 80);
+    await musiccast.zone.setVolumePercent('main', 50);
+    const volume = await musiccast.zone.getVolume('main');
+    assert.deepEqual({ raw: volume.raw, percent: volume.percent, min: volume.min, max: volume.max }, { raw: 81, percent: 50.3, min: 0, max: 161 });
+    await assert.rejects(musiccast.zone.setVolumePercent('main', 120), YamahaMusicCast.MusicCastValidationError);
+  });
+});
+
+describe('YamahaMusicCastZoneFacade#fadeVolume', () => {
+  it('fades to the target volume', async (t) => {
+    const { device, musiccast } = await connect(t);
+    const result = await musiccast.zones.main.fadeVolume(80, 300, 'ease-in-out', { interval: 50 });
+    assert.deepEqual(result, { volume: 80, cancelled: false, reason: null });
+    assert.equal(device.state.zones.main.volume, 80);
+    const steps = device.requests.filter((request) => request.endpoint === 'main/setVolume').length;
+    assert.ok(steps > 2);
+  });
+
+  it('is cancelled by a manual volume change and by a newer fade', async (t) => {
+    const { musiccast } = await connect(t);
+    const zone = musiccast.zones.main;
+    const manual = zone.fadeVolume(0, 1000, 'linear', { interval: 50 });
+    await wait(150);
+    await zone.volume(70);
+    assert.equal((await manual).reason, 'manual');
+
+    const superseded = zone.fadeVolume(0, 1000, 'linear', { interval: 50 });
+    await wait(100);
+    const newer = zone.fadeVolume(90, 200, 'linear', { interval: 50 });
+    assert.equal((await superseded).reason, 'superseded');
+    assert.equal((await newer).volume, 90);
+  });
+
+  it('stops at the limit of the volume policy without cancelling itself', async (t) => {
+    const { device, musiccast } = await connect(t, { volumePolicies: { main: { maxVolume: 50, maxStep: 10 } } });
+    await musiccast.subscribe();
+    await musiccast.zone.setVolume('main', 20);
+    const result = await musiccast.zones.main.fadeVolume(80, 300, 'linear', { interval: 50 });
+    assert.deepEqual(result, { volume: 50, cancelled: false, reason: null });
+    assert.equal(device.state.zones.main.volume, 50);
+  });
+
+  it('rejects an unknown curve', async (t) => {
+    const { musiccast } = await connect(t);
+    await assert.rejects(musiccast.zones.main.fadeVolume(10, 100, 'bogus'));
+  });
+});
+
+describe('YamahaMusicCastZone#policies', () => {
+  it('caps the volume and the step', async (t) => {
+    const { device, musiccast } = await connect(t, { volumePolicies: { Main_Zone: { maxVolume: 100, maxStep: 10 } } });
+    await musiccast.zone.setVolume('main', 150);
+    assert.equal(device.state.zones.main.volume, 70);
+    await musiccast.zone.setVolume('main', 'up', 5);
+    assert.equal(device.state.zones.main.volume, 75);
+    // Lowering the volume is not limited
+    await musiccast.zone.setVolume('main', 10);
+    assert.equal(device.state.zones.main.volume, 10);
+    await musiccast.zone.setVolumeDb('main', 0);
+    assert.equal(device.state.zones.main.volume, 20);
+  });
+
+  it('applies the quiet hours, also across midnight', async (t) => {
+    const { musiccast } = await connect(t);
+    musiccast.volumePolicies = { main: { maxVolume: 120, quietHours: [{ start: '22:00', end: '07:00', maxVolume: 40 }] } };
+    assert.equal(musiccast.zone.volumeLimit('main', new Date(2026, 0, 1, 23, 30)), 40);
+    assert.equal(musiccast.zone.volumeLimit('main', new Date(2026, 0, 1, 6, 59)), 40);
+    assert.equal(musiccast.zone.volumeLimit('main', new Date(2026, 0, 1, 7, 0)), 120);
+    assert.equal(musiccast.zone.volumeLimit('zone2'), Infinity);
+  });
+
+  it('rejects invalid policies and volumes', async (t) => {
+    const { musiccast } = await connect(t);
+    assert.throws(() => {
+      musiccast.volumePolicies = { main: { quietHours: [{ start: '25:00', end: '07:00', maxVolume: 40 }] } };
+    }, YamahaMusicCast.MusicCastValidationError);
+    assert.throws(() => {
+      musiccast.volumePolicies = { main: { quietHours: [{ start: '22:00', end: '22:00', maxVolume: 40 }] } };
+    }, /start and end must differ/);
+    assert.throws(() => {
+      musiccast.volumePolicies = { main: { maxVolume: 'loud' } };
+    }, YamahaMusicCast.MusicCastValidationError);
+    const unvalidated = new YamahaMusicCast.YamahaMusicCastZone(musiccast.transport);
+    unvalidated.policies = { main: { maxVolume: 100 } };
+    await assert.rejects(unvalidated.setVolume('main', 'loud'), YamahaMusicCast.MusicCastValidationError);
+  });
+
+  it('applies the startup volume when the zone powers on', async (t) => {
+    const { device, musiccast } = await connect(t, { volumePolicies: { main: { startupVolume: 25 } } });
+    await musiccast.subscribe();
+    await musiccast.zone.setPower('main', 'standby');
+    await musiccast.zone.setPower('main', 'on');
+    for (let i = 0; i < 20 && device.state.zones.main.volume !== 25; i++) {
+      await wait(50);
+    }
+    assert.equal(device.state.zones.main.volume, 25);
+  });
+});
+
+describe('YamahaMusicCast scenes', () => {
+  it('captures and restores the zones', async (t) => {
+    const { device, musiccast } = await connect(t);
+    await musiccast.zone.setInput('main', 'net_radio');
+    await musiccast.netusb.setListControl('main', 'play', 0, 'main');
+    await musiccast.netusb.setListControl('main', 'play', 1, 'main');
+    await musiccast.zone.setVolume('main', 42);
+    const scene = await musiccast.captureScene(['main', 'zone2']);
+    assert.equal(scene.zones.main.input, 'net_radio');
+    assert.equal(scene.zones.main.item.track, 'Radio 2');
+    assert.equal(scene.zones.zone2.item, undefined);
+
+    // An announcement takes over the zone
+    await musiccast.zone.setInput('main', 'hdmi1');
+    await musiccast.zone.setVolume('main', 90);
+    await musiccast.zone.setMute('main', true);
+    await musiccast.zone.setPower('zone2', 'on');
+
+    const before = device.requests.length;
+    await musiccast.restoreScene(scene);
+    const status = await musiccast.zone.getStatus('main');
+    assert.deepEqual([status.input, status.volume, status.mute], ['net_radio', 42, false]);
+    assert.equal(device.state.netusb.track, 'Radio 2');
+    assert.equal(device.state.netusb.playback, 'play');
+    assert.equal(device.state.zones.zone2.power, 'standby');
+    // Power, input and the item first, the volume and mute last
+    const order = device.requests.slice(before).map((request) => request.endpoint);
+    const steps = ['main/setPower', 'main/prepareInputChange', 'main/setInput', 'netusb/recallRecentItem', 'main/setPureDirect', 'main/setSoundProgram', 'main/setVolume', 'main/setMute'];
+    const positions = steps.map((step) => order.indexOf(step));
+    assert.ok(positions.every((position) => position >= 0), order.join(', '));
+    assert.deepEqual([...positions].sort((a, b) => a - b), positions);
+  });
+
+  it('captures the zones when the play info can not be read', async (t) => {
+    const { device, musiccast } = await connect(t);
+    await musiccast.zone.setInput('main', 'net_radio');
+    device.fail('netusb/getPlayInfo', 2, 5);
+    const scene = await musiccast.captureScene(['main']);
+    assert.equal(scene.zones.main.input, 'net_radio');
+    assert.equal(scene.zones.main.item, undefined);
+    // HDMI inputs have no play info to read
+    await musiccast.zone.setInput('main', 'hdmi2');
+    const reads = device.requests.filter((request) => request.endpoint === 'netusb/getPlayInfo').length;
+    await musiccast.captureScene(['main']);
+    assert.equal(device.requests.filter((request) => request.endpoint === 'netusb/getPlayInfo').length, reads);
+  });
+});
@@ -1,5 +1,7 @@
 const axios = require('axios');
 const dgram = require('dgram');
+const crypto = require('crypto');
+const EventEmitter = require('events');
 
 /**
  * @unit yamaha-musiccast.js
@@ -12,2692 +14,4000 @@ const dgram = require('dgram');
  */
 
 /**
- * @class YamahaMusicCastSystem
- * @description Yamaha MusicCast System API class.
+ * @class MusicCastError
+ * @description Base class of the errors raised by the Yamaha MusicCast API classes. Carries the response code and the endpoint, parameters and zone of the failed call.
  * @version 1.0.0
- * @exports YamahaMusicCastSystem
+ * @exports MusicCastError
+ */
+class MusicCastError extends Error {
+
+  /**
+   * @constructor MusicCastError
+   * @param {string} message
+   * @param {object} details
+   * @param {?number} details.code - The YXC response code, null when the device did not answer.
+   * @param {?string} details.endpoint - The endpoint of the call, e.g. "main/setVolume".
+   * @param {?object} details.params - The parameters of the call.
+   * @param {?string} details.zone - The zone of the call.
+   * @param {?object} details.response - The response of the device.
+   * @param {?Error} details.cause - The underlying error.
+   * @description Creates an instance of MusicCastError.
+   * @version 1.0.0
+   * @public
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = details.code !== undefined ? details.code : null;
+    this.endpoint = details.endpoint || null;
+    this.params = details.params || null;
+    this.zone = details.zone || null;
+    this.response = details.response || null;
+    this.cause = details.cause || null;
+  }
+
+  /**
+   * @method fromResponse
+   * @param {object} res - The response of the device, with a response_code other than 0.
+   * @param {object} details - The endpoint, parameters and zone of the call.
+   * @description Creates the error matching the response code.
+   * @returns {MusicCastError}
+   * @static
+   */
+  static fromResponse(res, details = {}) {
+    const code = res.response_code;
+    const where = details.endpoint ? ` (${details.endpoint})` : '';
+    const ErrorClass = RESPONSE_CODE_ERRORS[code] || (code >= 100 ? MusicCastStreamingServiceError : MusicCastError);
+    const message = RESPONSE_CODE_MESSAGES[code] || `Unknown error`;
+    return new ErrorClass(`${message}, response code ${code}${where}.`, { ...details, code, response: res });
+  }
+
+  /**
+   * @method fromRequestError
+   * @param {Error} error - The error raised while sending the request.
+   * @param {object} details - The endpoint, parameters and zone of the call.
+   * @description Creates a network or timeout error for a request the device did not answer.
+   * @returns {MusicCastError}
+   * @static
+   */
+  static fromRequestError(error, details = {}) {
+    if (error instanceof MusicCastError) {
+      return error;
+    }
+    const where = details.endpoint ? ` (${details.endpoint})` : '';
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+      return new MusicCastRequestTimeoutError(`The device did not respond in time${where}.`, { ...details, cause: error });
+    }
+    return new MusicCastNetworkError(`${error.message}${where}.`, { ...details, cause: error });
+  }
+
+}
+
+/**
+ * @class MusicCastValidationError
+ * @description The call was rejected locally, before it was sent to the device (e.g. a value out of range).
+ * @exports MusicCastValidationError
+ */
+class MusicCastValidationError extends MusicCastError {}
+
+/**
+ * @class MusicCastInitializingError
+ * @description Response code 1: the device is initializing.
+ * @exports MusicCastInitializingError
+ */
+class MusicCastInitializingError extends MusicCastError {}
+
+/**
+ * @class MusicCastInternalError
+ * @description Response code 2: internal error of the device.
+ * @exports MusicCastInternalError
+ */
+class MusicCastInternalError extends MusicCastError {}
+
+/**
+ * @class MusicCastInvalidRequestError
+ * @description Response code 3: invalid request, e.g. a method that does not exist or is not supported.
+ * @exports MusicCastInvalidRequestError
+ */
+class MusicCastInvalidRequestError extends MusicCastError {}
+
+/**
+ * @class MusicCastInvalidParameterError
+ * @description Response code 4: invalid parameter, e.g. a value out of range.
+ * @exports MusicCastInvalidParameterError
+ */
+class MusicCastInvalidParameterError extends MusicCastError {}
+
+/**
+ * @class MusicCastGuardedError
+ * @description Response code 5: guarded, the call is not available in the current status (e.g. the zone is in standby).
+ * @exports MusicCastGuardedError
+ */
+class MusicCastGuardedError extends MusicCastError {}
+
+/**
+ * @class MusicCastTimeoutError
+ * @description Response code 6: the device timed out processing the call.
+ * @exports MusicCastTimeoutError
+ */
+class MusicCastTimeoutError extends MusicCastError {}
+
+/**
+ * @class MusicCastFirmwareUpdatingError
+ * @description Response code 99: the firmware of the device is updating.
+ * @exports MusicCastFirmwareUpdatingError
+ */
+class MusicCastFirmwareUpdatingError extends MusicCastError {}
+
+/**
+ * @class MusicCastStreamingServiceError
+ * @description Response code 100 and up: access error of a streaming service (e.g. wrong password, account expired).
+ * @exports MusicCastStreamingServiceError
+ */
+class MusicCastStreamingServiceError extends MusicCastError {}
+
+/**
+ * @class MusicCastNetworkError
+ * @description The device could not be reached or did not answer (e.g. connection refused).
+ * @exports MusicCastNetworkError
+ */
+class MusicCastNetworkError extends MusicCastError {}
+
+/**
+ * @class MusicCastRequestTimeoutError
+ * @description The device did not answer within the request timeout.
+ * @exports MusicCastRequestTimeoutError
+ */
+class MusicCastRequestTimeoutError extends MusicCastNetworkError {}
+
+/**
+ * @constant RESPONSE_CODE_ERRORS
+ * @description The error classes of the YXC response codes.
+ */
+const RESPONSE_CODE_ERRORS = {
+  1: MusicCastInitializingError,
+  2: MusicCastInternalError,
+  3: MusicCastInvalidRequestError,
+  4: MusicCastInvalidParameterError,
+  5: MusicCastGuardedError,
+  6: MusicCastTimeoutError,
+  99: MusicCastFirmwareUpdatingError,
+};
+
+/**
+ * @constant RESPONSE_CODE_MESSAGES
+ * @description The messages of the YXC response codes.
+ */
+const RESPONSE_CODE_MESSAGES = {
+  1: 'The device is initializing',
+  2: 'Internal error',
+  3: 'Invalid request',
+  4: 'Invalid parameter',
+  5: 'Guarded',
+  6: 'Time out',
+  99: 'The firmware is updating',
+  100: 'Access error',
+  101: 'Other errors',
+  102: 'Wrong user name',
+  103: 'Wrong password',
+  104: 'Account expired',
+  105: 'Account disconnected, gone off or shut down',
+  106: 'Account number reached the limit',
+  107: 'Server maintenance',
+  108: 'Invalid account',
+  109: 'License error',
+  110: 'Read only mode',
+  111: 'Max stations',
+  112: 'Access denied',
+  113: 'There is a need to specify an additional destination playlist',
+  114: 'There is a need to create a new playlist',
+  115: 'Simultaneous logins has reached the upper limit',
+  200: 'Linking in progress',
+  201: 'Unlinking in progress',
+};
+
+/**
+ * @constant SAFE_SETTERS
+ * @description The setters which can be sent again without changing the outcome, as long as they do not use a relative value (e.g. "up", "down" or "toggle").
+ */
+const SAFE_SETTERS = [
+  'setPower', 'setSleep', 'setVolume', 'setActualVolume', 'setMute', 'setInput', 'setSoundProgram', 'set3dSurround', 'setDirect', 'setPureDirect',
+  'setEnhancer', 'setToneControl', 'setEqualizer', 'setBalance', 'setDialogueLevel', 'setDialogueLift', 'setClearVoice', 'setSubwooferVolume',
+  'setBassExtension', 'prepareInputChange', 'setBand', 'setFreq', 'setAutoPowerStandby', 'setIrSensor', 'setSpeakerA', 'setSpeakerB', 'setDimmer',
+  'setZoneBVolumeSync', 'setHdmiOut1', 'setHdmiOut2', 'setNetworkStandby', 'setBluetoothStandby', 'setBluetoothTxSetting', 'setNameText',
+  'setAutoSync', 'setClockFormat', 'setQuality', 'setListSortOption', 'setGroupName',
+];
+
+/**
+ * @constant RELATIVE_VALUES
+ * @description Parameter values which make a setter relative to the current state.
+ */
+const RELATIVE_VALUES = ['up', 'down', 'toggle', 'auto_up', 'auto_down', 'tp_up', 'tp_down', 'cancel'];
+
+/**
+ * @constant TARGET_PARAMS
+ * @description The parameters per setter which select what it changes (e.g. the ID of setNameText or the band of setFreq), rather than the value. Commands are only coalesced when these match, the parameters of other setters (e.g. the input of setInput) are values.
+ */
+const TARGET_PARAMS = {
+  setNameText: ['id'],
+  setFreq: ['band'],
+  setQuality: ['input'],
+  setListSortOption: ['input'],
+};
+
+/**
+ * @class YamahaMusicCastRequestQueue
+ * @description Per-device request queue. Limits the number of concurrent requests and the request rate, and coalesces superseded commands: when a command for the same endpoint, zone and target (see TARGET_PARAMS) is still waiting, only the latest one is sent.
+ * @version 1.0.0
+ * @exports YamahaMusicCastRequestQueue
+ */
+class YamahaMusicCastRequestQueue {
+  #concurrency = 1;
+  #interval = 0;
+  #coalesce = true;
+  #jobs = [];
+  #running = 0;
+  #lastStart = 0;
+  #timer = null;
+
+  /**
+   * @constructor YamahaMusicCastRequestQueue
+   * @param {object} options
+   * @param {number} options.concurrency - The maximum number of requests in flight (default 1).
+   * @param {number} options.interval - The minimum time in milliseconds between the start of two requests (default 0).
+   * @param {boolean} options.coalesce - Whether waiting commands are replaced by newer commands for the same endpoint, zone and target (default true).
+   * @description Creates an instance of YamahaMusicCastRequestQueue.
+   * @version 1.0.0
+   * @public
+   */
+  constructor(options = {}) {
+    this.configure(options);
+  }
+
+  /**
+   * @method configure
+   * @param {object} options - See the constructor.
+   * @description Changes the options of the queue. Options which are not given keep their current value.
+   * @returns {void}
+   * @public
+   */
+  configure(options = {}) {
+    if (options.concurrency !== undefined) {
+      this.#concurrency = Math.max(1, options.concurrency);
+    }
+    if (options.interval !== undefined) {
+      this.#interval = Math.max(0, options.interval);
+    }
+    if (options.coalesce !== undefined) {
+      this.#coalesce = options.coalesce;
+    }
+    this.next();
+  }
+
+  /**
+   * @method push
+   * @param {function} task - Sends the request, must return a promise.
+   * @param {?string} key - The coalescing key, null when the command can not be coalesced.
+   * @description Queues a request. A waiting command with the same key is superseded: it is dropped, and its caller settles with the outcome of the new command.
+   * @returns {Promise}
+   * @public
+   */
+  push(task, key = null) {
+    return new Promise((resolve, reject) => {
+      const callbacks = [{ resolve, reject }];
+      const index = key && this.#coalesce ? this.#jobs.findIndex((job) => job.key === key) : -1;
+      if (index >= 0) {
+        // Move to the end, so the command keeps its order relative to the other commands
+        callbacks.unshift(...this.#jobs[index].callbacks);
+        this.#jobs.splice(index, 1);
+      }
+      this.#jobs.push({ key, task, callbacks });
+      this.next();
+    });
+  }
+
+  /**
+   * @method next
+   * @description Starts the next requests, as far as the concurrency and rate limit allow.
+   * @returns {void}
+   * @private
+   */
+  next() {
+    if (this.#timer) {
+      return;
+    }
+    while (this.#running < this.#concurrency && this.#jobs.length) {
+      // Wait for the rate limit
+      const wait = this.#lastStart + this.#interval - Date.now();
+      if (wait > 0) {
+        this.#timer = setTimeout(() => {
+          this.#timer = null;
+          this.next();
+        }, wait);
+        return;
+      }
+      const job = this.#jobs.shift();
+      this.#running++;
+      this.#lastStart = Date.now();
+      Promise.resolve()
+        .then(() => job.task())
+        .then(
+          (res) => job.callbacks.forEach((callback) => callback.resolve(res)),
+          (error) => job.callbacks.forEach((callback) => callback.reject(error)),
+        )
+        .finally(() => {
+          this.#running--;
+          this.next();
+        });
+    }
+  }
+
+  /**
+   * @method clear
+   * @param {Error} error - The error the waiting requests are rejected with.
+   * @description Drops the waiting requests. Requests in flight are not affected.
+   * @returns {void}
+   * @public
+   */
+  clear(error = new Error('The request queue was cleared.')) {
+    const jobs = this.#jobs;
+    this.#jobs = [];
+    if (this.#timer) {
+      clearTimeout(this.#timer);
+      this.#timer = null;
+    }
+    jobs.forEach((job) => job.callbacks.forEach((callback) => callback.reject(error)));
+  }
+
+  /**
+   * @getter size
+   * @description Gets the number of waiting requests.
+   * @returns {number}
+   */
+  get size() {
+    return this.#jobs.length;
+  }
+
+  /**
+   * @getter running
+   * @description Gets the number of requests in flight.
+   * @returns {number}
+   */
+  get running() {
+    return this.#running;
+  }
+
+}
+
+/**
+ * @class YamahaMusicCastTransport
+ * @description HTTP transport shared by the subsystem classes of a device. Sends the requests with the X-AppName/X-AppPort headers and rejects with a MusicCastError.
+ * @version 1.0.0
+ * @exports YamahaMusicCastTransport
  * @requires axios
  */
-class YamahaMusicCastSystem {
-  #ip;
+class YamahaMusicCastTransport {
+  #host;
+  #port;
+  #basePath;
+  #timeout;
+  #headers;
+  #appName;
   #eventPort;
+  #request;
+  #retry;
+  #queue = new YamahaMusicCastRequestQueue();
+  #retries = new Map();
+  #commands = new Map();
   #axiosInstance;
-  
+
   /**
-   * @constructor YamahaMusicCastSystem
-   * @param {string} ip
-   * @param {number} eventPort
-   * @description Creates an instance of YamahaMusicCastSystem.
-   * @returns {YamahaMusicCastSystem}
-   * @version 1.0.0 
+   * @constructor YamahaMusicCastTransport
+   * @param {object} options
+   * @param {string} options.host - The Yamaha receiver IP address or host name.
+   * @param {number} options.port - The HTTP port (default 80).
+   * @param {string} options.basePath - The base path of the API (default /YamahaExtendedControl/v1).
+   * @param {number} options.timeout - The request timeout in milliseconds (default 15 seconds).
+   * @param {object} options.headers - Additional request headers.
+   * @param {string} options.appName - The X-AppName header (default ERDesigns/1.0).
+   * @param {number} options.eventPort - The X-AppPort header, the UDP port the events are sent to.
+   * @param {function} options.request - Replaces axios with another HTTP stack. Called with {method, url, params, data, headers, timeout}, must resolve with {data}.
+   * @param {object|boolean} options.retry - The retry policy for transient errors, false disables retrying.
+   * @param {number} options.retry.attempts - The maximum number of attempts (default 4).
+   * @param {number} options.retry.delay - The delay in milliseconds before the first retry, doubled for every next retry (default 500).
+   * @param {number} options.retry.maxDelay - The maximum delay in milliseconds between retries (default 5 seconds).
+   * @param {number} options.retry.firmwareUpdateDelay - The delay in milliseconds before retrying while the firmware is updating (default 30 seconds).
+   * @param {boolean} options.retry.timeouts - Whether requests which timed out are retried (default false), as every attempt blocks the queue for the whole timeout.
+   * @param {object} options.queue - The request queue options, see YamahaMusicCastRequestQueue.
+   * @param {number} options.queue.concurrency - The maximum number of requests in flight (default 1).
+   * @param {number} options.queue.interval - The minimum time in milliseconds between the start of two requests (default 0).
+   * @param {boolean} options.queue.coalesce - Whether waiting commands are replaced by newer commands for the same endpoint, zone and target (default true).
+   * @description Creates an instance of YamahaMusicCastTransport.
+   * @version 1.0.0
+   * @public
    */
-  constructor(ip, eventPort) {
-    this.setup(ip, eventPort);
+  constructor(options = {}) {
+    this.setup(options);
   }
 
   /**
    * @method setup
-   * @param {string} ip
-   * @param {number} eventPort
-   * @description Sets up the YamahaMusicCastSystem instance.
+   * @param {object} options - See the constructor.
+   * @description Sets up the YamahaMusicCastTransport instance. Options which are not given keep their current value.
    * @version 1.0.0
-   * @private 
-   */
-  setup(ip, eventPort) {
-    // Set the Yamaha receiver IP address
-    this.#ip = ip;
-    // Set the Yamaha receiver event port (UDP - default 41100)
-    this.#eventPort = eventPort;
+   * @private
+   */
+  setup(options = {}) {
+    const option = (name, current, fallback) => (options[name] !== undefined ? options[name] : (current !== undefined ? current : fallback));
+    this.#host = option('host', this.#host, '');
+    this.#port = option('port', this.#port, 80);
+    this.#basePath = option('basePath', this.#basePath, '/YamahaExtendedControl/v1').replace(/\/+$/, '');
+    this.#timeout = option('timeout', this.#timeout, 15 * 1000);
+    this.#headers = option('headers', this.#headers, {});
+    this.#appName = option('appName', this.#appName, 'ERDesigns/1.0');
+    this.#eventPort = option('eventPort', this.#eventPort, undefined);
+    this.#request = option('request', this.#request, null);
+    this.#retry = {
+      attempts: 4,
+      delay: 500,
+      maxDelay: 5 * 1000,
+      firmwareUpdateDelay: 30 * 1000,
+      timeouts: false,
+      ...this.#retry,
+      ...(options.retry === false ? { attempts: 1 } : options.retry),
+    };
+    this.#queue.configure(options.queue);
     // Create an axios instance
-    this.#axiosInstance = axios.create({
-      baseURL: `http://${this.#ip}:80/YamahaExtendedControl/v1/system`,
-      timeout: 15 * 1000,
-      headers: {
-        'X-AppName': 'ERDesigns/1.0',
-        'X-AppPort': this.#eventPort,
-      },
+    this.#axiosInstance = axios.create();
+  }
+
+  /**
+   * @method configure
+   * @param {object} options - See the constructor.
+   * @description Changes the options of the transport, every subsystem using the transport picks up the change.
+   * @returns {void}
+   * @public
+   */
+  configure(options = {}) {
+    this.setup(options);
+  }
+
+  /**
+   * @method send
+   * @param {object} config - {method, url, params, data, headers, timeout}
+   * @description Sends a request using the custom HTTP stack, or axios.
+   * @returns {Promise<{data: object}>}
+   * @private
+   */
+  send(config) {
+    return this.#request ? Promise.resolve().then(() => this.#request(config)) : this.#axiosInstance.request(config);
+  }
+
+  /**
+   * @method idempotent
+   * @param {string} endpoint - The endpoint, e.g. "main/setVolume".
+   * @param {?object} params - The parameters of the call.
+   * @description Checks if a call can be sent again without changing the outcome: getters, and setters with absolute values.
+   * @returns {boolean}
+   * @public
+   */
+  idempotent(endpoint, params) {
+    const name = endpoint.split('/').pop();
+    if (name.startsWith('get')) {
+      return true;
+    }
+    if (!SAFE_SETTERS.includes(name)) {
+      return false;
+    }
+    return !Object.values(params || {}).some((value) => RELATIVE_VALUES.includes(value));
+  }
+
+  /**
+   * @method retryDelay
+   * @param {MusicCastError} error - The error of the failed attempt.
+   * @param {number} attempt - The number of the failed attempt, starting at 1.
+   * @description Gets the delay before the next attempt, or -1 when the error is not transient.
+   * @returns {number}
+   * @private
+   */
+  retryDelay(error, attempt) {
+    if (error instanceof MusicCastFirmwareUpdatingError) {
+      return this.#retry.firmwareUpdateDelay;
+    }
+    if (error instanceof MusicCastRequestTimeoutError && !this.#retry.timeouts) {
+      return -1;
+    }
+    if (error instanceof MusicCastInitializingError || error instanceof MusicCastNetworkError) {
+      return Math.min(this.#retry.delay * Math.pow(2, attempt - 1), this.#retry.maxDelay);
+    }
+    return -1;
+  }
+
+  /**
+   * @method request
+   * @param {string} method - get, post
+   * @param {string} path - The endpoint relative to the base path, e.g. "system/getFeatures" or "main/setVolume".
+   * @param {object} options
+   * @param {object} options.params - The query parameters.
+   * @param {object} options.data - The JSON body.
+   * @param {boolean} options.retry - Overrides whether the call is retried on transient errors, by default only idempotent calls are.
+   * @description Sends a request to the device through the request queue. Resolves with the response when the response code is 0, otherwise rejects with the MusicCastError matching the response code. Idempotent calls are retried with exponential backoff when the device is initializing, updating its firmware or could not be reached (timeouts only with retry.timeouts). Idempotent setters are coalesced while waiting in the queue, so only the latest command per endpoint, zone and target is sent. A retry waits outside of the queue and is queued again, a newer command for the same target replaces it and its caller settles with the outcome of the newer command.
+   * @returns {Promise<object>}
+   * @public
+   */
+  request(method, path, options = {}) {
+    const endpoint = path.replace(/^\/+/, '');
+    const params = options.params || options.data || null;
+    const segment = endpoint.split('/')[0];
+    const zone = EVENT_ZONES.includes(segment) ? segment : (params && typeof params.zone === 'string' ? params.zone : null);
+    const details = { endpoint, params, zone };
+    const idempotent = this.idempotent(endpoint, params);
+    const retry = options.retry !== undefined ? options.retry : idempotent;
+    const attempts = retry ? this.#retry.attempts : 1;
+    // Only a setter with an absolute value can be superseded by a newer one
+    const func = endpoint.split('/').pop();
+    const target = (TARGET_PARAMS[func] || []).filter((name) => params && params[name] !== undefined).map((name) => `${name}=${params[name]}`).join('&');
+    const key = idempotent && !func.startsWith('get') ? `${endpoint}|${zone || ''}|${target}` : null;
+
+    // A newer command for the same target supersedes this one, also while it waits for a retry
+    const command = { promise: null, supersededBy: null };
+    if (key) {
+      const previous = this.#commands.get(key);
+      if (previous) {
+        previous.supersededBy = command;
+      }
+      this.#commands.set(key, command);
+    }
+    command.promise = new Promise((resolve, reject) => {
+      const attempt = (number) => {
+        this.#queue
+          .push(() => this.send({
+            method,
+            url: `${this.baseURL}/${endpoint}`,
+            params: options.params,
+            data: options.data,
+            headers: this.headers,
+            timeout: this.#timeout,
+          })
+            .then((response) => {
+              const res = response.data;
+              if (res && res.response_code === 0) {
+                return res;
+              }
+              throw MusicCastError.fromResponse(res || {}, details);
+            })
+            .catch((error) => {
+              throw MusicCastError.fromRequestError(error, details);
+            }), key)
+          .then((res) => {
+            resolve(res);
+          })
+          .catch((error) => {
+            const delay = number < attempts ? this.retryDelay(error, number) : -1;
+            if (delay < 0) {
+              return reject(error);
+            }
+            // Wait outside of the queue, so the backoff does not hold up the other requests. The timer is kept, so clear() can cancel the retry
+            const timer = setTimeout(() => {
+              this.#retries.delete(timer);
+              if (command.supersededBy) {
+                command.supersededBy.promise.then(resolve, reject);
+              } else {
+                attempt(number + 1);
+              }
+            }, delay);
+            this.#retries.set(timer, reject);
+          });
+      };
+      attempt(1);
+    });
+    const forget = () => {
+      if (this.#commands.get(key) === command) {
+        this.#commands.delete(key);
+      }
+    };
+    command.promise.then(forget, forget);
+    return command.promise;
+  }
+
+  /**
+   * @method clear
+   * @param {Error} error - The error the dropped requests are rejected with.
+   * @description Drops the requests waiting in the queue and cancels the pending retries.
+   * @returns {void}
+   * @public
+   */
+  clear(error = new Error('The transport was cleared.')) {
+    const retries = this.#retries;
+    this.#retries = new Map();
+    retries.forEach((reject, timer) => {
+      clearTimeout(timer);
+      reject(error);
     });
+    this.#queue.clear(error);
+  }
+
+  /**
+   * @method get
+   * @param {string} path - The endpoint relative to the base path.
+   * @param {object} params - The query parameters.
+   * @description Sends a GET request to the device.
+   * @returns {Promise<object>}
+   * @public
+   */
+  get(path, params) {
+    return this.request('get', path, { params });
+  }
+
+  /**
+   * @method post
+   * @param {string} path - The endpoint relative to the base path.
+   * @param {object} data - The JSON body.
+   * @description Sends a POST request to the device.
+   * @returns {Promise<object>}
+   * @public
+   */
+  post(path, data) {
+    return this.request('post', path, { data });
+  }
+
+  /**
+   * @getter baseURL
+   * @description Gets the base URL of the API.
+   * @returns {string}
+   */
+  get baseURL() {
+    return `http://${this.#host}:${this.#port}${this.#basePath}`;
+  }
+
+  /**
+   * @getter headers
+   * @description Gets the request headers, including X-AppName and X-AppPort.
+   * @returns {object}
+   */
+  get headers() {
+    const headers = { ...this.#headers, 'X-AppName': this.#appName };
+    if (this.#eventPort !== undefined && this.#eventPort !== null) {
+      headers['X-AppPort'] = this.#eventPort;
+    }
+    return headers;
+  }
+
+  /**
+   * @getter host
+   * @description Gets the Yamaha receiver IP address or host name.
+   * @returns {string}
+   */
+  get host() {
+    return this.#host;
+  }
+
+  /**
+   * @getter port
+   * @description Gets the HTTP port.
+   * @returns {number}
+   */
+  get port() {
+    return this.#port;
+  }
+
+  /**
+   * @getter basePath
+   * @description Gets the base path of the API.
+   * @returns {string}
+   */
+  get basePath() {
+    return this.#basePath;
+  }
+
+  /**
+   * @getter timeout
+   * @description Gets the request timeout in milliseconds.
+   * @returns {number}
+   */
+  get timeout() {
+    return this.#timeout;
+  }
+
+  /**
+   * @getter appName
+   * @description Gets the X-AppName header.
+   * @returns {string}
+   */
+  get appName() {
+    return this.#appName;
+  }
+
+  /**
+   * @getter queue
+   * @description Gets the request queue.
+   * @returns {YamahaMusicCastRequestQueue}
+   */
+  get queue() {
+    return this.#queue;
+  }
+
+  /**
+   * @getter retry
+   * @description Gets the retry policy.
+   * @returns {{attempts: number, delay: number, maxDelay: number, firmwareUpdateDelay: number}}
+   */
+  get retry() {
+    return { ...this.#retry };
+  }
+
+  /**
+   * @getter eventPort
+   * @description Gets the X-AppPort header.
+   * @returns {number}
+   */
+  get eventPort() {
+    return this.#eventPort;
+  }
+
+}
+
+/**
+ * @class YamahaMusicCastSystem
+ * @description Yamaha MusicCast System API class.
+ * @version 1.0.0
+ * @exports YamahaMusicCastSystem
+ * @requires YamahaMusicCastTransport
+ */
+class YamahaMusicCastSystem {
+  #transport;
+  
+  /**
+   * @constructor YamahaMusicCastSystem
+   * @param {YamahaMusicCastTransport} transport
+   * @description Creates an instance of YamahaMusicCastSystem.
+   * @version 1.0.0
+   * @public
+   */
+  constructor(transport) {
+    this.setup(transport);
+  }
+
+  /**
+   * @method setup
+   * @param {YamahaMusicCastTransport} transport
+   * @description Sets up the YamahaMusicCastSystem instance.
+   * @version 1.0.0
+   * @private
+   */
+  setup(transport) {
+    // Set the transport shared by the subsystems of the device
+    this.#transport = transport;
+  }
+
+  /**
+   * @method getDeviceInfo
+   * @description Gets the device information.
+   * @returns {Promise}
+   * @public
+   */
+  getDeviceInfo() {
+    return this.#transport.get('system/getDeviceInfo');
+  }
+
+  /**
+   * @method getFeatures
+   * @description Gets the features of the device.
+   * @returns {Promise}
+   * @public
+   */
+  getFeatures() {
+    return this.#transport.get('system/getFeatures');
+  }
+
+  /**
+   * @method getNetworkStatus
+   * @description Gets the network status of the device.
+   * @returns {Promise}
+   * @public
+   */
+  getNetworkStatus() {
+    return this.#transport.get('system/getNetworkStatus');
+  }
+
+  /**
+   * @method setWiredLan
+   * @param {object} options
+   * @param {boolean} options.dhcp
+   * @param {string} options.ipAddress
+   * @param {string} options.subnetMask
+   * @param {string} options.defaultGateway
+   * @param {string} options.dnsServer1
+   * @param {string} options.dnsServer2
+   * @description Sets the wired LAN settings of the device.
+   * @returns {Promise}
+   * @public
+   */
+  setWiredLan(options = { 
+    dhcp: false, 
+    ipAddress: '', 
+    subnetMask: '', 
+    defaultGateway: '', 
+    dnsServer1: '', 
+    dnsServer2: ''
+  }) {
+    return this.#transport.post('system/setWiredLan', options);
+  }
+
+  /**
+   * @method setWirelessLan
+   * @param {object} options
+   * @param {string} options.ssid
+   * @param {string} options.type
+   * @param {string} options.key
+   * @param {boolean} options.dhcp
+   * @param {string} options.ipAddress
+   * @param {string} options.subnetMask
+   * @param {string} options.defaultGateway
+   * @param {string} options.dnsServer1
+   * @param {string} options.dnsServer2
+   * @description Sets the wireless LAN settings of the device.
+   * @returns {Promise}
+   * @public
+   */
+  setWirelessLan(options = {
+    ssid: '',
+    type: 'mixed_mode',
+    key: '',
+    dhcp: '',
+    ipAddress: '',
+    subnetMask: '',
+    defaultGateway: '',
+    dnsServer1: '',
+    dnsServer2: ''
+  }) {
+    return this.#transport.post('system/setWirelessLan', options);
+  }
+
+  /**
+   * @method setIPSettings
+   * @param {object} options
+   * @param {boolean} options.dhcp
+   * @param {string} options.ipAddress
+   * @param {string} options.subnetMask
+   * @param {string} options.defaultGateway
+   * @param {string} options.dnsServer1
+   * @param {string} options.dnsServer2
+   * @description Sets the IP settings of the device.
+   * @returns {Promise}
+   * @public
+   */
+  setIPSettings(options = {
+    dhcp: '',
+    ipAddress: '',
+    subnetMask: '',
+    defaultGateway: '',
+    dnsServer1: '',
+    dnsServer2: ''
+  }) {
+    return this.#transport.post('system/setIpSettings', options);
+  }
+
+  /**
+   * @method setNetworkName
+   * @param {string} name Must not be longer than 32 characters.
+   * @description Sets the network name of the device.
+   * @returns {Promise}
+   * @public
+   */
+  setNetworkName(name) {
+    if (name.length > 32) {
+      return Promise.reject(new MusicCastValidationError('The network name must not be longer than 32 characters.', { endpoint: 'system/setNetworkName', params: { name } }));
+    }
+    return this.#transport.post('system/setNetworkName', { name });
+  }
+
+  /**
+   * @method setAirPlayPin
+   * @param {string} pin
+   * @description Sets the AirPlay PIN of the device.
+   * @returns {Promise}
+   * @public
+   */
+  setAirPlayPin(pin) {
+    return this.#transport.post('system/setAirPlayPin', { pin });
+  }
+
+  /**
+   * @method getMacAddressFilter
+   * @description Gets the MAC address filter of the device.
+   * @returns {Promise}
+   * @public
+   */
+  getMacAddressFilter() {
+    return this.#transport.get('system/getMacAddressFilter').then((res) => res.mac_address_filter);
+  }
+
+  /**
+   * @method setMacAddressFilter
+   * @param {object} options
+   * @param {boolean} options.filter
+   * @param {string} options.address_1
+   * @param {string} options.address_2
+   * @param {string} options.address_3
+   * @param {string} options.address_4
+   * @param {string} options.address_5
+   * @param {string} options.address_6
+   * @param {string} options.address_7
+   * @param {string} options.address_8
+   * @param {string} options.address_9
+   * @param {string} options.address_10
+   * @description Sets the MAC address filter of the device.
+   * @returns {Promise}
+   * @public
+   */
+  setMacAddressFilter(options = {
+    filter: false,
+    address_1: '',
+    address_2: '',
+    address_3: '',
+    address_4: '',
+    address_5: '',
+    address_6: '',
+    address_7: '',
+    address_8: '',
+    address_9: '',
+    address_10: ''
+  }) {
+    return this.#transport.post('system/setMacAddressFilter', options).then((res) => res.mac_address_filter);
+  }
+
+  /**
+   * @method getNetworkStandby
+   * @description Gets the network standby of the device.
+   * @returns {Promise}
+   * @public
+   */
+  getNetworkStandby() {
+    return this.#transport.get('system/getNetworkStandby').then((res) => res.network_standby);
+  }
+
+  /**
+   * @method setNetworkStandby
+   * @param {string} standby 'on', 'off' or 'auto'
+   * @description Sets the network standby of the device.
+   * @returns {Promise} 
+   */
+  setNetworkStandby(standby = 'auto') {
+    return this.#transport.get('system/setNetworkStandby', { standby }).then((res) => res.network_standby);
+  }
+
+  /**
+   * @method getBluetoothInfo
+   * @description Gets the bluetooth info of the device.
+   * @returns {Promise}
+   * @public
+   */
+  getBluetoothInfo() {
+    return this.#transport.get('system/getBluetoothInfo').then((res) => res.bluetooth_info);
+  }
+
+  /**
+   * @method setBluetoothStandby
+   * @param {boolean} standby
+   * @description Sets the bluetooth standby of the device.
+   * @returns {Promise}
+   */
+  setBluetoothStandby(standby = true) {
+    return this.#transport.get('system/setBluetoothStandby', { standby }).then((res) => res.bluetooth_standby);
+  }
+
+  /**
+   * @method setBluetoothTxSetting
+   * @param {boolean} enable
+   * @description Sets the bluetooth tx setting of the device.
+   * @returns {Promise}
+   * @public
+   */
+  setBluetoothTxSetting(enable = true) {
+    return this.#transport.get('system/setBluetoothTxSetting', { enable }).then((res) => res.bluetooth_tx_setting);
+  }
+
+  /**
+   * @method getBluetoothDeviceList
+   * @description Gets the bluetooth device list of the device.
+   * @returns {Promise}
+   * @public
+   */
+  getBluetoothDeviceList() {
+    return this.#transport.get('system/getBluetoothDeviceList');
+  }
+
+  /**
+   * @method updateBluetoothDeviceList
+   * @description Updates the bluetooth device list of the device.
+   * @returns {Promise}
+   * @public
+   */
+  updateBluetoothDeviceList() {
+    return this.#transport.get('system/updateBluetoothDeviceList');
+  }
+
+  /**
+   * @method connectBluetoothDevice
+   * @param {string} address
+   * @description Connects the bluetooth device of the device.
+   * @returns {Promise}
+   */
+  connectBluetoothDevice(address = '') {
+    return this.#transport.get('system/connectBluetoothDevice', { address });
+  }
+
+  /**
+   * @method disconnectBluetoothDevice
+   * @description Disconnects the bluetooth device of the device.
+   * @returns {Promise}
+   * @public
+   */
+  disconnectBluetoothDevice() {
+    return this.#transport.get('system/disconnectBluetoothDevice');
+  }
+
+  /**
+   * @method getFuncStatus
+   * @description Gets the function status of the device.
+   * @returns {Promise}
+   * @public
+   */
+  getFuncStatus() {
+    return this.#transport.get('system/getFuncStatus');
+  }
+
+  /**
+   * @method setAutoPowerStandby
+   * @param {boolean} enable
+   * @description Sets the auto power standby of the device.
+   * @returns {Promise}
+   */
+  setAutoPowerStandby(enable = true) {
+    return this.#transport.get('system/setAutoPowerStandby', { enable });
+  }
+
+  /**
+   * @method setIrSensor
+   * @param {boolean} enable
+   * @description Sets the ir sensor of the device.
+   * @returns {Promise}
+   */
+  setIrSensor(enable = true) {
+    return this.#transport.get('system/setIrSensor', { enable });
+  }
+
+  /**
+   * @method setSpeakerA
+   * @param {boolean} enable
+   * @description For setting Speaker A status
+   * @returns {Promise}
+   * @public
+   */
+  setSpeakerA(enable = true) {
+    return this.#transport.get('system/setSpeakerA', { enable });
+  }
+
+  /**
+   * @method setSpeakerB
+   * @param {boolean} enable
+   * @description For setting Speaker B status
+   * @returns {Promise}
+   * @public
+   */
+  setSpeakerB(enable = true) {
+    return this.#transport.get('system/setSpeakerB', { enable });
+  }
+
+  /**
+   * @method setDimmer
+   * @param {boolean} enable
+   * @description For setting FL/LED Dimmer 
+   */
+  setDimmer(enable = true) {
+    return this.#transport.get('system/setDimmer', { enable });
+  }
+
+  /**
+   * @method setZoneBVolumeSync
+   * @param {boolean} enable
+   * @description For setting Zone B Volume Sync
+   */
+  setZoneBVolumeSync(enable = true) {
+    return this.#transport.get('system/setZoneBVolumeSync', { enable });
+  }
+
+  /**
+   * @method setHdmiOut1
+   * @param {boolean} enable
+   * @description For setting HDMI OUT 1 terminal output status
+   * @returns {Promise}
+   * @public
+   */
+  setHdmiOut1(enable = true) {
+    return this.#transport.get('system/setHdmiOut1', { enable });
+  }
+
+  /**
+   * @method setHdmiOut2
+   * @param {boolean} enable
+   * @description For setting HDMI OUT 2 terminal output status
+   * @returns {Promise}
+   * @public
+   */
+  setHdmiOut2(enable = true) {
+    return this.#transport.get('system/setHdmiOut2', { enable });
+  }
+
+  /**
+   * @method getNameText
+   * @param {string} id
+   * @description For retrieving text information of Zone, Input, Sound program. If they can be renamed, can retrieve text information renamed.
+   * @returns {Promise}
+   */
+  getNameText(id = '') {
+    return this.#transport.get('system/getNameText', { id });
+  }
+
+  /**
+   * @method setNameText
+   * @param {string} id
+   * @param {string} text
+   * @description For setting text information related to each ID of Zone, Input.
+   */
+  setNameText(id, text) {
+    return this.#transport.post('system/setNameText', { id, text });
+  }
+
+  /**
+   * @method getLocationInfo
+   * @description For retrieving location information of the device.
+   * @returns {Promise}
+   * @public
+   */
+  getLocationInfo() {
+    return this.#transport.get('system/getLocationInfo');
+  }
+
+  sendIrCode(code) {
+    return this.#transport.get('system/sendIrCode', { code });
+  }
+
+
+
+}
+
+/**
+ * @constant ZONE_FUNCTION_PARAMS
+ * @description The parameters of the zone functions which can be validated against the features, keyed by the func_list entry.
+ */
+const ZONE_FUNCTION_PARAMS = {
+  sleep: { sleep: { values: [0, 30, 60, 90, 120] } },
+  volume: { volume: { range: 'volume', values: ['up', 'down'] }, step: { min: 1, max: 10 } },
+  actual_volume: { mode: { values: ['db', 'numeric'] }, value: { range: (params) => `actual_volume_${params.mode}` } },
+  sound_program: { program: { list: 'sound_program_list' } },
+  tone_control: { mode: { list: 'tone_control_mode_list' }, bass: { range: 'tone_control' }, treble: { range: 'tone_control' } },
+  equalizer: { mode: { list: 'equalizer_mode_list' }, low: { range: 'equalizer' }, mid: { range: 'equalizer' }, high: { range: 'equalizer' } },
+  balance: { value: { range: 'balance' } },
+  dialogue_level: { value: { range: 'dialogue_level' } },
+  dialogue_lift: { value: { range: 'dialogue_lift' } },
+  subwoofer_volume: { volume: { range: 'subwoofer_volume' } },
+};
+
+/**
+ * @class YamahaMusicCastCapabilities
+ * @description Capability model of a device, parsed from /system/getFeatures. Used to validate calls locally before they are sent to the device.
+ * @version 1.0.0
+ * @exports YamahaMusicCastCapabilities
+ */
+class YamahaMusicCastCapabilities {
+  #features;
+  #zones = new Map();
+
+  /**
+   * @constructor YamahaMusicCastCapabilities
+   * @param {object} features - The response of /system/getFeatures.
+   * @description Creates an instance of YamahaMusicCastCapabilities.
+   * @version 1.0.0
+   * @public
+   */
+  constructor(features) {
+    this.#features = features;
+    (features.zone || []).forEach((zone) => {
+      this.#zones.set(zone.id, {
+        ...zone,
+        func_list: zone.func_list || [],
+        range_step: (zone.range_step || []).reduce((ranges, range) => {
+          ranges[range.id] = { min: range.min, max: range.max, step: range.step };
+          return ranges;
+        }, {}),
+      });
+    });
+  }
+
+  /**
+   * @getter zones
+   * @description Gets the IDs of the zones of the device.
+   * @returns {Array<string>}
+   */
+  get zones() {
+    return [...this.#zones.keys()];
+  }
+
+  /**
+   * @getter features
+   * @description Gets the features the capabilities were parsed from.
+   * @returns {object}
+   */
+  get features() {
+    return this.#features;
+  }
+
+  /**
+   * @method hasZone
+   * @param {string} zone - main, zone2, zone3, zone4
+   * @description Checks if the device has the zone.
+   * @returns {boolean}
+   * @public
+   */
+  hasZone(zone) {
+    return this.#zones.has(zone);
+  }
+
+  /**
+   * @method supports
+   * @param {string} zone - main, zone2, zone3, zone4
+   * @param {string} func - A func_list entry, e.g. "tone_control".
+   * @description Checks if the zone supports the function.
+   * @returns {boolean}
+   * @public
+   */
+  supports(zone, func) {
+    return this.hasZone(zone) && this.#zones.get(zone).func_list.includes(func);
+  }
+
+  /**
+   * @method range
+   * @param {string} zone - main, zone2, zone3, zone4
+   * @param {string} id - A range_step ID, e.g. "volume".
+   * @description Gets the value range of the zone.
+   * @returns {?{min: number, max: number, step: number}}
+   * @public
+   */
+  range(zone, id) {
+    return this.hasZone(zone) ? this.#zones.get(zone).range_step[id] || null : null;
+  }
+
+  /**
+   * @method list
+   * @param {string} zone - main, zone2, zone3, zone4
+   * @param {string} id - A list of the zone, e.g. "input_list" or "sound_program_list".
+   * @description Gets a value list of the zone, or null when the device does not report the list.
+   * @returns {?Array<string>}
+   * @public
+   */
+  list(zone, id) {
+    return this.hasZone(zone) && Array.isArray(this.#zones.get(zone)[id]) ? this.#zones.get(zone)[id] : null;
+  }
+
+  /**
+   * @method validate
+   * @param {string} zone - main, zone2, zone3, zone4
+   * @param {?string} func - The func_list entry of the call, or null when the call does not depend on a function.
+   * @param {object} params - The parameters of the call, undefined parameters are not validated.
+   * @description Validates a zone call against the capabilities.
+   * @returns {?MusicCastValidationError} The validation error, or null when the call is valid.
+   * @public
+   */
+  validate(zone, func, params = {}) {
+    if (!this.hasZone(zone)) {
+      return new MusicCastValidationError(`Zone "${zone}" is not available, available zones: ${this.zones.join(', ')}.`, { zone, params });
+    }
+    if (func && !this.supports(zone, func)) {
+      return new MusicCastValidationError(`Function "${func}" is not supported by zone "${zone}".`, { zone, params });
+    }
+    const rules = ZONE_FUNCTION_PARAMS[func] || {};
+    const names = Object.keys(params).filter((name) => params[name] !== undefined);
+    for (const name of names) {
+      const value = params[name];
+      const rule = rules[name] || (name === 'input' ? { list: 'input_list' } : null);
+      if (!rule || (rule.values && rule.values.includes(value))) {
+        continue;
+      }
+      if (rule.list) {
+        const list = this.list(zone, rule.list);
+        if (list && !list.includes(value)) {
+          return new MusicCastValidationError(`Invalid ${name} "${value}" for zone "${zone}", allowed values: ${list.join(', ')}.`, { zone, params });
+        }
+        continue;
+      }
+      if (rule.values && !rule.range && rule.min === undefined) {
+        return new MusicCastValidationError(`Invalid ${name} "${value}" for zone "${zone}", allowed values: ${rule.values.join(', ')}.`, { zone, params });
+      }
+      // Ranges can depend on another parameter, e.g. the actual volume range on the mode
+      const rangeId = typeof rule.range === 'function' ? rule.range(params) : rule.range;
+      const range = rangeId ? this.range(zone, rangeId) : { min: rule.min, max: rule.max, step: 1 };
+      if (!range) {
+        continue;
+      }
+      const number = Number(value);
+      // Allow for floating point errors in steps like 0.5
+      const steps = (number - range.min) / range.step;
+      if (typeof value === 'boolean' || value === '' || !Number.isFinite(number) || number < range.min || number > range.max || Math.abs(steps - Math.round(steps)) > 1e-6) {
+        return new MusicCastValidationError(`Invalid ${name} ${value} for zone "${zone}", must be between ${range.min} and ${range.max} in steps of ${range.step}.`, { zone, params });
+      }
+    }
+    return null;
+  }
+
+}
+
+/**
+ * @class YamahaMusicCastZone
+ * @description For retrieving basic information of each Zone like power, volume, input and so on
+ * @version 1.0.0
+ * @exports YamahaMusicCastZone
+ * @requires YamahaMusicCastTransport
+ */
+class YamahaMusicCastZone {
+  #transport;
+  #capabilities = null;
+  #policies = {};
+  
+  /**
+   * @constructor YamahaMusicCastZone
+   * @param {YamahaMusicCastTransport} transport
+   * @description Creates an instance of YamahaMusicCastZone.
+   * @version 1.0.0
+   * @public
+   */
+  constructor(transport) {
+    this.setup(transport);
+  }
+
+  /**
+   * @method setup
+   * @param {YamahaMusicCastTransport} transport
+   * @description Sets up the YamahaMusicCastZone instance.
+   * @version 1.0.0
+   * @private
+   */
+  setup(transport) {
+    // Set the transport shared by the subsystems of the device
+    this.#transport = transport;
+  }
+
+  /**
+   * @method normalize
+   * @param {string} zone - A zone ID, or a legacy zone name like Main_Zone or Zone_2.
+   * @description Normalizes a zone name to the zone ID the YXC API expects, e.g. "Main_Zone" becomes "main" and "Zone_2" becomes "zone2". Unknown names are returned as they are.
+   * @returns {string}
+   * @static
+   */
+  static normalize(zone) {
+    if (typeof zone !== 'string') {
+      return zone;
+    }
+    const name = zone.trim().toLowerCase();
+    if (/^main(_?zone)?$/.test(name)) {
+      return 'main';
+    }
+    const match = /^zone_?([2-4])$/.exec(name);
+    return match ? `zone${match[1]}` : zone;
+  }
+
+  /**
+   * @getter capabilities
+   * @description Gets the capabilities the calls are validated against.
+   * @returns {?YamahaMusicCastCapabilities}
+   */
+  get capabilities() {
+    return this.#capabilities;
+  }
+
+  /**
+   * @setter capabilities
+   * @param {?YamahaMusicCastCapabilities} capabilities
+   * @description Sets the capabilities the calls are validated against. Calls are not validated when no capabilities are set.
+   * @returns {void}
+   */
+  set capabilities(capabilities) {
+    this.#capabilities = capabilities;
+  }
+
+  /**
+   * @getter policies
+   * @description Gets the volume policies keyed by zone ID.
+   * @returns {Object<string, {maxVolume: number, maxStep: number, quietHours: Array<{start: string, end: string, maxVolume: number}>, startupVolume: number}>}
+   */
+  get policies() {
+    return this.#policies;
+  }
+
+  /**
+   * @setter policies
+   * @param {Object<string, object>} policies - The volume policies keyed by zone ID, e.g. { main: { maxVolume: 120, maxStep: 10, quietHours: [{ start: '22:00', end: '07:00', maxVolume: 60 }], startupVolume: 50 } }. All settings are optional and in raw volume steps.
+   * @description Sets the volume policies which guard the volume calls: the volume is capped at maxVolume and at the maxVolume of the active quiet hours (which may cross midnight, the start and end must differ), and raised by at most maxStep per call (lowering the volume is never limited). The startupVolume is applied by YamahaMusicCast when the zone powers on.
+   * @returns {void}
+   */
+  set policies(policies) {
+    const normalized = {};
+    Object.keys(policies || {}).forEach((zone) => {
+      const policy = policies[zone] || {};
+      ['maxVolume', 'maxStep', 'startupVolume'].forEach((name) => {
+        const value = policy[name];
+        if (value !== undefined && (typeof value !== 'number' || !Number.isFinite(value) || value < (name === 'maxStep' ? 1 : 0))) {
+          throw new MusicCastValidationError(`Invalid ${name} "${value}" for zone "${zone}", must be a number of volume steps.`, { zone });
+        }
+      });
+      (policy.quietHours || []).forEach((hours) => {
+        if (this.minutes(hours.start) === null || this.minutes(hours.end) === null || typeof hours.maxVolume !== 'number') {
+          throw new MusicCastValidationError(`Invalid quiet hours ${JSON.stringify(hours)} for zone "${zone}", use e.g. { start: '22:00', end: '07:00', maxVolume: 60 }.`, { zone });
+        }
+        // An empty range would never be active, a limit for the whole day is maxVolume
+        if (this.minutes(hours.start) === this.minutes(hours.end)) {
+          throw new MusicCastValidationError(`Invalid quiet hours ${JSON.stringify(hours)} for zone "${zone}", the start and end must differ, use maxVolume to limit the whole day.`, { zone });
+        }
+      });
+      normalized[YamahaMusicCastZone.normalize(zone)] = policy;
+    });
+    this.#policies = normalized;
+  }
+
+  /**
+   * @method minutes
+   * @param {string} time - A time of day, e.g. 22:00.
+   * @description Converts a time of day to minutes since midnight, or null when the time is invalid.
+   * @returns {?number}
+   * @private
+   */
+  minutes(time) {
+    const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(time));
+    return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+  }
+
+  /**
+   * @method volumeLimit
+   * @param {string} zone
+   * @param {Date} date - The time to check the quiet hours for (default now).
+   * @description Gets the highest volume allowed by the policy of the zone at the given time, Infinity when there is no limit.
+   * @returns {number}
+   * @public
+   */
+  volumeLimit(zone, date = new Date()) {
+    const policy = this.#policies[YamahaMusicCastZone.normalize(zone)];
+    if (!policy) {
+      return Infinity;
+    }
+    const now = date.getHours() * 60 + date.getMinutes();
+    return (policy.quietHours || []).reduce((limit, hours) => {
+      const start = this.minutes(hours.start);
+      const end = this.minutes(hours.end);
+      // Quiet hours like 22:00-07:00 cross midnight
+      const active = start <= end ? now >= start && now < end : now >= start || now < end;
+      return active ? Math.min(limit, hours.maxVolume) : limit;
+    }, policy.maxVolume !== undefined ? policy.maxVolume : Infinity);
+  }
+
+  /**
+   * @method guardVolume
+   * @param {string} zone
+   * @param {number|string} volume - The volume, or up/down.
+   * @param {number} step
+   * @description Applies the policy of the zone to a volume call. Relative volumes and the maximum step need the current volume, which is read from the zone status.
+   * @returns {Promise<number|string>} The volume to send.
+   * @private
+   */
+  guardVolume(zone, volume, step) {
+    const policy = this.#policies[zone];
+    const limit = this.volumeLimit(zone);
+    const relative = volume === 'up' || volume === 'down';
+    // Without the features the volume is not validated, so it is checked here to never send NaN
+    if (relative ? typeof step !== 'number' || !Number.isFinite(step) : typeof volume !== 'number' || !Number.isFinite(volume)) {
+      return Promise.reject(new MusicCastValidationError(`Invalid volume "${volume}" with step "${step}" for zone "${zone}".`, { zone, params: { volume, step } }));
+    }
+    if (!relative && !policy.maxStep) {
+      return Promise.resolve(Math.min(volume, limit));
+    }
+    return this.getStatus(zone).then((status) => {
+      const current = status.volume;
+      const range = this.volumeRange(zone);
+      let target = relative ? current + (volume === 'up' ? step : -step) : volume;
+      // Only raising the volume is limited, lowering it must always be possible
+      if (policy.maxStep) {
+        target = Math.min(target, current + policy.maxStep);
+      }
+      return Math.max(Math.min(target, limit), range ? range.min : 0);
+    });
+  }
+
+  /**
+   * @method validate
+   * @param {string} zone
+   * @param {?string} func
+   * @param {object} params
+   * @description Validates a call against the capabilities, when they are set.
+   * @returns {?MusicCastValidationError}
+   * @private
+   */
+  validate(zone, func, params = {}) {
+    return this.#capabilities ? this.#capabilities.validate(zone, func, params) : null;
+  }
+
+  /**
+   * @method getStatus
+   * @param {string} zone - main, zone2, zone3, zone4 (legacy names like Main_Zone and Zone_2 are accepted)
+   * @description For retrieving basic information of each Zone like power, volume, input and so on.
+   * @returns {Promise}
+   */
+  getStatus(zone) {
+    zone = YamahaMusicCastZone.normalize(zone);
+    const error = this.validate(zone, null);
+    if (error) {
+      return Promise.reject(error);
+    }
+    return this.#transport.get(`${zone}/getStatus`);
+  }
+
+  /**
+   * @method getSoundProgramList
+   * @param {string} zone - main, zone2, zone3, zone4 (legacy names like Main_Zone and Zone_2 are accepted)
+   * @description For retrieving list of Sound programs.
+   * @returns {Promise}
+   * @public
+   */
+  getSoundProgramList(zone) {
+    zone = YamahaMusicCastZone.normalize(zone);
+    const error = this.validate(zone, null);
+    if (error) {
+      return Promise.reject(error);
+    }
+    return this.#transport.get(`${zone}/getSoundProgramList`);
+  }
+
+  /**
+   * @method setPower
+   * @param {string} zone - main, zone2, zone3, zone4 (legacy names like Main_Zone and Zone_2 are accepted)
+   * @param {string} power - on, standby, toggle
+   */
+  setPower(zone, power = 'on') {
+    zone = YamahaMusicCastZone.normalize(zone);
+    const error = this.validate(zone, 'power');
+    if (error) {
+      return Promise.reject(error);
+    }
+    return this.#transport.get(`${zone}/setPower`, { power });
+  }
+
+  /**
+   * @method setSleep
+   * @param {string} zone - main, zone2, zone3, zone4 (legacy names like Main_Zone and Zone_2 are accepted)
+   * @param {number} sleep - 0, 30, 60, 90, 120 (minutes)
+   * @description For setting sleep timer.
+   * @returns {Promise}
+   * @public 
+   */
+  setSleep(zone, sleep = 0) {
+    zone = YamahaMusicCastZone.normalize(zone);
+    const error = this.validate(zone, 'sleep', { sleep });
+    if (error) {
+      return Promise.reject(error);
+    }
+    return this.#transport.get(`${zone}/setSleep`, { sleep });
+  }
+
+  /**
+   * @method setVolume
+   * @param {string} zone - main, zone2, zone3, zone4 (legacy names like Main_Zone and Zone_2 are accepted)
+   * @param {number} volume
+   * @param {number} step - 1-10
+   * @description For setting volume.
+   * @returns {Promise}
+   */
+  setVolume(zone, volume, step = 1) {
+    zone = YamahaMusicCastZone.normalize(zone);
+    const error = this.validate(zone, 'volume', { volume, step });
+    if (error) {
+      return Promise.reject(error);
+    }
+    if (this.#policies[zone]) {
+      return this.guardVolume(zone, volume, step).then((guarded) => this.#transport.get(`${zone}/setVolume`, { volume: guarded, step }));
+    }
+    return this.#transport.get(`${zone}/setVolume`, { volume, step });
+  }
+
+  /**
+   * @method setActualVolume
+   * @param {string} zone - main, zone2, zone3, zone4 (legacy names like Main_Zone and Zone_2 are accepted)
+   * @param {string} mode - db, numeric
+   * @param {number} value - The volume in dB or on the numeric scale of the device.
+   * @description For setting volume in the unit of the display of the device. Only available when "actual_volume" is in the func_list.
+   * @returns {Promise}
+   * @public
+   */
+  setActualVolume(zone, mode = 'db', value) {
+    zone = YamahaMusicCastZone.normalize(zone);
+    const error = this.validate(zone, 'actual_volume', { mode, value });
+    if (error) {
+      return Promise.reject(error);
+    }
+    // The policies are in raw steps, so the volume is mapped onto the raw range of the features
+    if (this.#policies[zone]) {
+      const raw = this.volumeRange(zone);
+      const actual = this.#capabilities ? this.#capabilities.range(zone, `actual_volume_${mode}`) : null;
+      if (!raw || !actual) {
+        return Promise.reject(new MusicCastValidationError(`Zone "${zone}" has a volume policy, which needs the features to set the volume in ${mode}, call connect() first.`, { zone, params: { mode, value } }));
+      }
+      return this.setVolume(zone, Math.round(raw.min + ((value - actual.min) / (actual.max - actual.min)) * (raw.max - raw.min)));
+    }
+    return this.#transport.get(`${zone}/setActualVolume`, { mode, value });
+  }
+
+  /**
+   * @method volumeRange
+   * @param {string} zone
+   * @description Gets the raw volume range of the zone from the features, e.g. 0-161 on AV receivers and 0-60 on speakers. Null when the features are not loaded.
+   * @returns {?{min: number, max: number, step: number}}
+   * @private
+   */
+  volumeRange(zone) {
+    return this.#capabilities ? this.#capabilities.range(zone, 'volume') : null;
+  }
+
+  /**
+   * @method setVolumeDb
+   * @param {string} zone - main, zone2, zone3, zone4 (legacy names like Main_Zone and Zone_2 are accepted)
+   * @param {number} db - The volume in dB, e.g. -35.5. Rounded to the dB step of the device when the features are loaded.
+   * @description For setting volume in dB, using setActualVolume.
+   * @returns {Promise}
+   * @public
+   */
+  setVolumeDb(zone, db) {
+    zone = YamahaMusicCastZone.normalize(zone);
+    const range = this.#capabilities ? this.#capabilities.range(zone, 'actual_volume_db') : null;
+    // Snap to the step, rounded to avoid floating point errors in steps like 0.1
+    const value = range && typeof db === 'number' ? Math.round((Math.round((db - range.min) / range.step) * range.step + range.min) * 100) / 100 : db;
+    return this.setActualVolume(zone, 'db', value);
+  }
+
+  /**
+   * @method setVolumePercent
+   * @param {string} zone - main, zone2, zone3, zone4 (legacy names like Main_Zone and Zone_2 are accepted)
+   * @param {number} percent - 0-100
+   * @description For setting volume as a percentage of the volume range of the device. Without loaded features the range is read from the zone status (0 up to the max_volume).
+   * @returns {Promise}
+   * @public
+   */
+  setVolumePercent(zone, percent) {
+    zone = YamahaMusicCastZone.normalize(zone);
+    if (typeof percent !== 'number' || !Number.isFinite(percent) || percent < 0 || percent > 100) {
+      return Promise.reject(new MusicCastValidationError(`Invalid percent ${percent} for zone "${zone}", must be between 0 and 100.`, { zone, params: { percent } }));
+    }
+    const range = this.volumeRange(zone);
+    const loaded = range ? Promise.resolve(range) : this.getStatus(zone).then((status) => ({ min: 0, max: status.max_volume, step: 1 }));
+    return loaded.then(({ min, max, step }) => {
+      const volume = Math.round((percent / 100) * (max - min) / step) * step + min;
+      return this.setVolume(zone, volume);
+    });
+  }
+
+  /**
+   * @method getVolume
+   * @param {string} zone - main, zone2, zone3, zone4 (legacy names like Main_Zone and Zone_2 are accepted)
+   * @description For retrieving the volume as raw value, in dB (null when the device does not report the actual volume in dB) and as percentage of the volume range.
+   * @returns {Promise<{raw: number, db: ?number, percent: number, min: number, max: number, mute: boolean}>}
+   * @public
+   */
+  getVolume(zone) {
+    zone = YamahaMusicCastZone.normalize(zone);
+    return this.getStatus(zone).then((status) => {
+      const { min, max } = this.volumeRange(zone) || { min: 0, max: status.max_volume };
+      const actual = status.actual_volume;
+      return {
+        raw: status.volume,
+        db: actual && actual.mode === 'db' ? actual.value : null,
+        percent: max > min ? Math.round(((status.volume - min) / (max - min)) * 1000) / 10 : 0,
+        min,
+        max,
+        mute: status.mute,
+      };
+    });
+  }
+
+  /**
+   * @method setMute
+   * @param {string} zone - main, zone2, zone3, zone4 (legacy names like Main_Zone and Zone_2 are accepted)
+   * @param {boolean} enable
+   * @description For setting mute.
+   * @returns {Promise}
+   * @public
+   */
+  setMute(zone, enable = true) {
+    zone = YamahaMusicCastZone.normalize(zone);
+    const error = this.validate(zone, 'mute');
+    if (error) {
+      return Promise.reject(error);
+    }
+    return this.#transport.get(`${zone}/setMute`, { enable });
+  }
+
+  /**
+   * @method setInput
+   * @param {string} zone - main, zone2, zone3, zone4 (legacy names like Main_Zone and Zone_2 are accepted)
+   * @param {string} input Input IDs gotten via /getFeatures
+   * @param {string} mode - autoplay_enabled, autoplay_disabled.
+   * @description For setting input.
+   * @returns {Promise}
+   * @public
+   */
+  setInput(zone, input, mode = 'autoplay_disabled') {
+    zone = YamahaMusicCastZone.normalize(zone);
+    const error = this.validate(zone, null, { input });
+    if (error) {
+      return Promise.reject(error);
+    }
+    return this.#transport.get(`${zone}/setInput`, { input, mode });
+  }
+
+  /**
+   * @method setSoundProgram
+   * @param {string} zone - main, zone2, zone3, zone4 (legacy names like Main_Zone and Zone_2 are accepted)
+   * @param {string} program - Program IDs gotten via /getFeatures
+   * @description For setting sound program.
+   * @returns {Promise}
+   * @public
+   */
+  setSoundProgram(zone, program) {
+    zone = YamahaMusicCastZone.normalize(zone);
+    const error = this.validate(zone, 'sound_program', { program });
+    if (error) {
+      return Promise.reject(error);
+    }
+    return this.#transport.get(`${zone}/setSoundProgram`, { program });
+  }
+
+  /**
+   * @method set3dSurround
+   * @param {string} zone - main, zone2, zone3, zone4 (legacy names like Main_Zone and Zone_2 are accepted)
+   * @param {boolean} enable
+   * @description For setting 3D surround status.
+   * @returns {Promise}
+   * @public
+   */
+  set3dSurround(zone, enable = false) {
+    zone = YamahaMusicCastZone.normalize(zone);
+    const error = this.validate(zone, null);
+    if (error) {
+      return Promise.reject(error);
+    }
+    return this.#transport.get(`${zone}/set3dSurround`, { enable });
+  }
+
+  /**
+   * @method setDirect  
+   * @param {string} zone - main, zone2, zone3, zone4 (legacy names like Main_Zone and Zone_2 are accepted)
+   * @param {boolean} enable
+   * @description For setting direct status.
+   * @returns {Promise}
+   * @public
+   */
+  setDirect(zone, enable = false) {
+    zone = YamahaMusicCastZone.normalize(zone);
+    const error = this.validate(zone, 'direct');
+    if (error) {
+      return Promise.reject(error);
+    }
+    return this.#transport.get(`${zone}/setDirect`, { enable });
+  }
+
+  /**
+   * @method setPureDirect
+   * @param {string} zone - main, zone2, zone3, zone4 (legacy names like Main_Zone and Zone_2 are accepted)
+   * @param {boolean} enable
+   * @description For setting pure direct status.
+   * @returns {Promise}
+   * @public
+   */
+  setPureDirect(zone, enable = false) {
+    zone = YamahaMusicCastZone.normalize(zone);
+    const error = this.validate(zone, 'pure_direct');
+    if (error) {
+      return Promise.reject(error);
+    }
+    return this.#transport.get(`${zone}/setPureDirect`, { enable });
+  }
+
+  /**
+   * @method setEnhancer
+   * @param {string} zone - main, zone2, zone3, zone4 (legacy names like Main_Zone and Zone_2 are accepted)
+   * @param {boolean} enable
+   * @description For setting enhancer status.
+   * @returns {Promise}
+   * @public
+   */
+  setEnhancer(zone, enable = true) {
+    zone = YamahaMusicCastZone.normalize(zone);
+    const error = this.validate(zone, 'enhancer');
+    if (error) {
+      return Promise.reject(error);
+    }
+    return this.#transport.get(`${zone}/setEnhancer`, { enable });
+  }
+
+  /**
+   * @method setToneControl
+   * @param {string} zone - main, zone2, zone3, zone4 (legacy names like Main_Zone and Zone_2 are accepted)
+   * @param {string} mode - manual, bypass (left out when undefined, for devices without tone_control_mode_list)
+   * @param {number} bass - Value range calculated by minimum/maximum/step values gotten via /getFeatures
+   * @param {number} treble - Value range calculated by minimum/maximum/step values gotten via /getFeatures
+   * @description For setting tone control.
+   * @returns {Promise}
+   * @public
+   */
+  setToneControl(zone, mode, bass, treble) {
+    zone = YamahaMusicCastZone.normalize(zone);
+    const error = this.validate(zone, 'tone_control', { mode, bass, treble });
+    if (error) {
+      return Promise.reject(error);
+    }
+    // Devices without a mode list do not take the mode
+    const params = { mode, bass, treble };
+    Object.keys(params).forEach((name) => params[name] === undefined && delete params[name]);
+    return this.#transport.get(`${zone}/setToneControl`, params);
+  }
+
+  /**
+   * @method setEqualizer
+   * @param {string} zone - main, zone2, zone3, zone4 (legacy names like Main_Zone and Zone_2 are accepted)
+   * @param {string} mode - manual, bypass (left out when undefined, for devices without equalizer_mode_list)
+   * @param {number} low - Value range calculated by minimum/maximum/step values gotten via /getFeatures
+   * @param {number} mid - Value range calculated by minimum/maximum/step values gotten via /getFeatures
+   * @param {number} high - Value range calculated by minimum/maximum/step values gotten via /getFeatures
+   * @description For setting equalizer.
+   * @returns {Promise}
+   * @public
+   */
+  setEqualizer(zone, mode, low, mid, high) {
+    zone = YamahaMusicCastZone.normalize(zone);
+    const error = this.validate(zone, 'equalizer', { mode, low, mid, high });
+    if (error) {
+      return Promise.reject(error);
+    }
+    // Devices without a mode list do not take the mode
+    const params = { mode, low, mid, high };
+    Object.keys(params).forEach((name) => params[name] === undefined && delete params[name]);
+    return this.#transport.get(`${zone}/setEqualizer`, params);
+  }
+
+  /**
+   * @method setBalance
+   * @param {string} zone - main, zone2, zone3, zone4 (legacy names like Main_Zone and Zone_2 are accepted)
+   * @param {number} value - For setting L/R Balance in each Zone’s speaker. Values of specifying range and steps are different.
+   * @description For setting L/R Balance in each Zone’s speaker. Values of specifying range and steps are different.
+   * @returns {Promise}
+   * @public
+   */
+  setBalance(zone, value) {
+    zone = YamahaMusicCastZone.normalize(zone);
+    const error = this.validate(zone, 'balance', { value });
+    if (error) {
+      return Promise.reject(error);
+    }
+    return this.#transport.get(`${zone}/setBalance`, { value });
+  }
+
+  /**
+   * @method setDialogueLevel
+   * @param {string} zone - main, zone2, zone3, zone4 (legacy names like Main_Zone and Zone_2 are accepted)
+   * @param {number} value - Specifies Dialogue Level value Values: Value range calculated by minimum/maximum/step values gotten via /getFeatures
+   * @description For setting Dialogue Level in each Zone’s speaker. Values of specifying range and steps are different.
+   * @returns {Promise}
+   * @public
+   */
+  setDialogueLevel(zone, value) {
+    zone = YamahaMusicCastZone.normalize(zone);
+    const error = this.validate(zone, 'dialogue_level', { value });
+    if (error) {
+      return Promise.reject(error);
+    }
+    return this.#transport.get(`${zone}/setDialogueLevel`, { value });
+  }
+
+  /**
+   * @method setDialogueLift
+   * @param {string} zone - main, zone2, zone3, zone4 (legacy names like Main_Zone and Zone_2 are accepted)
+   * @param {number} value - Specifies Dialogue Lift value Values: Value range calculated by minimum/maximum/step values gotten via /getFeatures
+   * @description For setting Dialogue Lift in each Zone’s speaker. Values of specifying range and steps are different.
+   * @returns {Promise}
+   * @public
+   */
+  setDialogueLift(zone, value) {
+    zone = YamahaMusicCastZone.normalize(zone);
+    const error = this.validate(zone, 'dialogue_lift', { value });
+    if (error) {
+      return Promise.reject(error);
+    }
+    return this.#transport.get(`${zone}/setDialogueLift`, { value });
+  }
+
+  /**
+   * @method setClearVoice
+   * @param {string} zone - main, zone2, zone3, zone4 (legacy names like Main_Zone and Zone_2 are accepted)
+   * @param {boolean} enable - Specifies Clear Voice value Values: true, false
+   * @description For setting Clear Voice in each Zone.
+   * @returns {Promise}
+   * @public
+   */
+  setClearVoice(zone, enable) {
+    zone = YamahaMusicCastZone.normalize(zone);
+    const error = this.validate(zone, 'clear_voice');
+    if (error) {
+      return Promise.reject(error);
+    }
+    return this.#transport.get(`${zone}/setClearVoice`, { enable });
+  }
+
+  /**
+   * @method setSubwooferVolume
+   * @param {string} zone - main, zone2, zone3, zone4 (legacy names like Main_Zone and Zone_2 are accepted)
+   * @param {number} volume - Specifies Subwoofer Volume value Values: Value range calculated by minimum/maximum/step values gotten via /getFeatures
+   * @description For setting Subwoofer Volume in each Zone.
+   * @returns {Promise}
+   * @public
+   */
+  setSubwooferVolume(zone, volume) {
+    zone = YamahaMusicCastZone.normalize(zone);
+    const error = this.validate(zone, 'subwoofer_volume', { volume });
+    if (error) {
+      return Promise.reject(error);
+    }
+    return this.#transport.get(`${zone}/setSubwooferVolume`, { volume });
+  }
+
+  /**
+   * @method setBassExtension
+   * @param {string} zone - main, zone2, zone3, zone4 (legacy names like Main_Zone and Zone_2 are accepted)
+   * @param {boolean} enable - Specifies Bass Extension value Values: true, false
+   * @description For setting Bass Extension in each Zone.
+   * @returns {Promise}
+   * @public
+   */
+  setBassExtension(zone, enable) {
+    zone = YamahaMusicCastZone.normalize(zone);
+    const error = this.validate(zone, 'bass_extension');
+    if (error) {
+      return Promise.reject(error);
+    }
+    return this.#transport.get(`${zone}/setBassExtension`, { enable });
+  }
+
+  /**
+   * @method getSignalInfo
+   * @param {string} zone - main, zone2, zone3, zone4 (legacy names like Main_Zone and Zone_2 are accepted)
+   * @description For retrieving current playback signal information in each Zone
+   * @returns {Promise}
+   * @public
+   */
+  getSignalInfo(zone) {
+    zone = YamahaMusicCastZone.normalize(zone);
+    const error = this.validate(zone, 'signal_info');
+    if (error) {
+      return Promise.reject(error);
+    }
+    return this.#transport.get(`${zone}/getSignalInfo`);
+  }
+
+  /**
+   * @method prepareInputChange 
+   * @param {string} zone - main, zone2, zone3, zone4 (legacy names like Main_Zone and Zone_2 are accepted)
+   * @param {string} input - Specifies input name Values: gotten via /getFeatures
+   * @description Let a Device do necessary process before changing input in a specific zone. This is valid only when “prepare_input_change” exists in “func_list” found in /getFuncStatus. MusicCast CONTROLLER executes this API when an input icon is selected in a Room, right before sending various APIs (of retrieving list information etc.) regarding selecting input.
+   * @returns {Promise}
+   * @public
+   */
+  prepareInputChange(zone, input) {
+    zone = YamahaMusicCastZone.normalize(zone);
+    const error = this.validate(zone, 'prepare_input_change', { input });
+    if (error) {
+      return Promise.reject(error);
+    }
+    return this.#transport.get(`${zone}/prepareInputChange`, { input });
+  }
+}
+
+/**
+ * @constant FADE_CURVES
+ * @description The easing curves of a volume fade, mapping the elapsed fraction of the fade to the fraction of the volume change.
+ */
+const FADE_CURVES = {
+  linear: (t) => t,
+  'ease-in': (t) => t * t,
+  'ease-out': (t) => 1 - (1 - t) * (1 - t),
+  'ease-in-out': (t) => (t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t)),
+};
+
+/**
+ * @constant FADE_ECHO_TIMEOUT
+ * @description The time in milliseconds a volume event with a volume set by a fade is taken for the echo of that change, instead of a change by someone else.
+ */
+const FADE_ECHO_TIMEOUT = 2000;
+
+/**
+ * @class YamahaMusicCastZoneFacade
+ * @description Zone-scoped access to the YamahaMusicCastZone calls, e.g. musiccast.zones.zone2.volume(40) instead of musiccast.zone.setVolume('zone2', 40).
+ * @version 1.0.0
+ * @exports YamahaMusicCastZoneFacade
+ * @requires YamahaMusicCastZone
+ */
+class YamahaMusicCastZoneFacade {
+  #zone;
+  #id;
+  #musiccast;
+  #fade = null;
+  #fadeVolumes = new Map();
+
+  /**
+   * @constructor YamahaMusicCastZoneFacade
+   * @param {YamahaMusicCastZone} zone - The zone subsystem of the device.
+   * @param {string} id - main, zone2, zone3, zone4 (legacy names like Main_Zone and Zone_2 are accepted)
+   * @param {?YamahaMusicCast} musiccast - The device, whose volume events cancel a running fade.
+   * @description Creates an instance of YamahaMusicCastZoneFacade.
+   * @version 1.0.0
+   * @public
+   */
+  constructor(zone, id, musiccast = null) {
+    this.#zone = zone;
+    this.#id = YamahaMusicCastZone.normalize(id);
+    this.#musiccast = musiccast;
   }
 
   /**
-   * @method getDeviceInfo
-   * @description Gets the device information.
+   * @method status
+   * @description Gets the status of the zone, like power, volume and input.
    * @returns {Promise}
    * @public
    */
-  getDeviceInfo() {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/getDeviceInfo')
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  status() {
+    return this.#zone.getStatus(this.#id);
   }
 
   /**
-   * @method getFeatures
-   * @description Gets the features of the device.
+   * @method soundProgramList
+   * @description Gets the sound programs of the zone.
    * @returns {Promise}
    * @public
    */
-  getFeatures() {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/getFeatures')
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  soundProgramList() {
+    return this.#zone.getSoundProgramList(this.#id);
   }
 
   /**
-   * @method getNetworkStatus
-   * @description Gets the network status of the device.
+   * @method power
+   * @param {string} power - on, standby, toggle
+   * @description Sets the power of the zone.
    * @returns {Promise}
    * @public
    */
-  getNetworkStatus() {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/getNetworkStatus')
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  power(power = 'on') {
+    return this.#zone.setPower(this.#id, power);
   }
 
   /**
-   * @method setWiredLan
-   * @param {object} options
-   * @param {boolean} options.dhcp
-   * @param {string} options.ipAddress
-   * @param {string} options.subnetMask
-   * @param {string} options.defaultGateway
-   * @param {string} options.dnsServer1
-   * @param {string} options.dnsServer2
-   * @description Sets the wired LAN settings of the device.
+   * @method sleep
+   * @param {number} sleep - 0, 30, 60, 90, 120 (minutes)
+   * @description Sets the sleep timer of the zone.
    * @returns {Promise}
    * @public
    */
-  setWiredLan(options = { 
-    dhcp: false, 
-    ipAddress: '', 
-    subnetMask: '', 
-    defaultGateway: '', 
-    dnsServer1: '', 
-    dnsServer2: ''
-  }) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .post('/setWiredLan', options)
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  sleep(sleep = 0) {
+    return this.#zone.setSleep(this.#id, sleep);
   }
 
   /**
-   * @method setWirelessLan
-   * @param {object} options
-   * @param {string} options.ssid
-   * @param {string} options.type
-   * @param {string} options.key
-   * @param {boolean} options.dhcp
-   * @param {string} options.ipAddress
-   * @param {string} options.subnetMask
-   * @param {string} options.defaultGateway
-   * @param {string} options.dnsServer1
-   * @param {string} options.dnsServer2
-   * @description Sets the wireless LAN settings of the device.
+   * @method volume
+   * @param {number|string} volume - The volume, or up/down.
+   * @param {number} step - 1-10
+   * @description Sets the volume of the zone.
    * @returns {Promise}
    * @public
    */
-  setWirelessLan(options = {
-    ssid: '',
-    type: 'mixed_mode',
-    key: '',
-    dhcp: '',
-    ipAddress: '',
-    subnetMask: '',
-    defaultGateway: '',
-    dnsServer1: '',
-    dnsServer2: ''
-  }) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .post('/setWirelessLan', options)
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  volume(volume, step = 1) {
+    this.cancelFade('manual');
+    return this.#zone.setVolume(this.#id, volume, step);
   }
 
   /**
-   * @method setIPSettings
-   * @param {object} options
-   * @param {boolean} options.dhcp
-   * @param {string} options.ipAddress
-   * @param {string} options.subnetMask
-   * @param {string} options.defaultGateway
-   * @param {string} options.dnsServer1
-   * @param {string} options.dnsServer2
-   * @description Sets the IP settings of the device.
+   * @method volumeDb
+   * @param {number} db - The volume in dB, e.g. -35.5.
+   * @description Sets the volume of the zone in dB.
    * @returns {Promise}
    * @public
    */
-  setIPSettings(options = {
-    dhcp: '',
-    ipAddress: '',
-    subnetMask: '',
-    defaultGateway: '',
-    dnsServer1: '',
-    dnsServer2: ''
-  }) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .post('/setIpSettings', options)
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  volumeDb(db) {
+    this.cancelFade('manual');
+    return this.#zone.setVolumeDb(this.#id, db);
   }
 
   /**
-   * @method setNetworkName
-   * @param {string} name Must not be longer than 32 characters.
-   * @description Sets the network name of the device.
+   * @method volumePercent
+   * @param {number} percent - 0-100
+   * @description Sets the volume of the zone as a percentage of the volume range.
    * @returns {Promise}
    * @public
    */
-  setNetworkName(name) {
-    return new Promise((resolve, reject) => {
-      if (name.length > 32) {
-        return reject(new Error('The network name must not be longer than 32 characters.'));
-      }
-      this.#axiosInstance
-        .post('/setNetworkName', { name })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  volumePercent(percent) {
+    this.cancelFade('manual');
+    return this.#zone.setVolumePercent(this.#id, percent);
   }
 
   /**
-   * @method setAirPlayPin
-   * @param {string} pin
-   * @description Sets the AirPlay PIN of the device.
-   * @returns {Promise}
+   * @method fadeVolume
+   * @param {number} target - The raw volume to fade to.
+   * @param {number} durationMs - The duration of the fade in milliseconds (default 3 seconds).
+   * @param {string|Function} curve - linear, ease-in, ease-out, ease-in-out, or a function mapping the elapsed fraction (0-1) to the fraction of the volume change.
+   * @param {object} options
+   * @param {number} options.interval - The minimum time in milliseconds between two volume changes (default 250).
+   * @param {number} options.from - The volume to start from, read from the zone status when not given.
+   * @param {boolean} options.standby - Switch the zone to standby when the fade is done, e.g. after fading out.
+   * @description Ramps the volume with repeated setVolume calls. The volume policy of the zone applies to every step, so a fade above the limit stops at the limit. Every call waits for the previous one, so the fade never queues up on a slow receiver. The fade is cancelled by a new fade, by cancelFade(), by the volume methods of this facade and by a volume event of the zone which was not caused by the fade (e.g. the remote or another app).
+   * @returns {Promise<{volume: number, cancelled: boolean, reason: ?string}>} Resolves with the last volume set and, when cancelled, the reason (superseded, manual, external or a custom reason).
    * @public
    */
-  setAirPlayPin(pin) {
+  fadeVolume(target, durationMs = 3000, curve = 'linear', options = {}) {
+    this.cancelFade('superseded');
+    const ease = typeof curve === 'function' ? curve : FADE_CURVES[curve];
+    if (!ease) {
+      return Promise.reject(new MusicCastValidationError(`Invalid curve "${curve}", allowed values: ${Object.keys(FADE_CURVES).join(', ')}.`, { zone: this.#id }));
+    }
+    if (!Number.isInteger(target)) {
+      return Promise.reject(new MusicCastValidationError(`Invalid volume ${target} for zone "${this.#id}", must be an integer.`, { zone: this.#id }));
+    }
+    const interval = options.interval || 250;
+
     return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .post('/setAirPlayPin', { pin })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
+      // Remember the volumes set by the fades, their (late) events do not cancel a fade
+      const sent = (volume) => {
+        const now = Date.now();
+        this.#fadeVolumes.forEach((time, value) => {
+          if (now - time >= FADE_ECHO_TIMEOUT) {
+            this.#fadeVolumes.delete(value);
           }
-        })
-        .catch((error) => {
-          reject(error);
         });
+        this.#fadeVolumes.set(volume, now);
+      };
+      const echo = (volume) => this.#fadeVolumes.has(volume) && Date.now() - this.#fadeVolumes.get(volume) < FADE_ECHO_TIMEOUT;
+      let last = null;
+      let timer = null;
+      let done = false;
+
+      const finish = (result, error) => {
+        if (done) {
+          return;
+        }
+        done = true;
+        clearTimeout(timer);
+        if (this.#musiccast) {
+          this.#musiccast.removeListener('volume', onVolume);
+        }
+        if (this.#fade === fade) {
+          this.#fade = null;
+        }
+        if (error) {
+          reject(error);
+        } else {
+          resolve(result);
+        }
+      };
+      const fade = { cancel: (reason) => finish({ volume: last, cancelled: true, reason }) };
+      const onVolume = (event) => {
+        // Events before the start volume is known belong to earlier changes
+        if (event.zone === this.#id && last !== null && !echo(event.value)) {
+          fade.cancel('external');
+        }
+      };
+      this.#fade = fade;
+      if (this.#musiccast) {
+        this.#musiccast.on('volume', onVolume);
+      }
+
+      const start = options.from !== undefined ? Promise.resolve(options.from) : this.#zone.getStatus(this.#id).then((status) => status.volume);
+      start
+        .then((from) => {
+          if (done) {
+            return;
+          }
+          last = from;
+          sent(from);
+          // One change per raw step, limited by the interval
+          const steps = Math.max(1, Math.min(Math.abs(target - from), Math.floor(durationMs / interval)));
+          const startTime = Date.now();
+          const tick = (index) => {
+            if (done) {
+              return;
+            }
+            const volume = Math.round(from + (target - from) * ease(index / steps));
+            // Apply the volume policy first, the receiver echoes the guarded volume
+            const guard = volume !== last && this.#zone.policies[this.#id] ? this.#zone.guardVolume(this.#id, volume) : Promise.resolve(volume);
+            guard
+              .then((guarded) => {
+                if (done || guarded === last) {
+                  return null;
+                }
+                sent(guarded);
+                last = guarded;
+                return this.#zone.setVolume(this.#id, guarded);
+              })
+              .then(() => {
+                if (done) {
+                  return;
+                }
+                if (index < steps) {
+                  // Schedule against the start time, so slow responses do not stretch the fade
+                  timer = setTimeout(() => tick(index + 1), Math.max(0, startTime + ((index + 1) * durationMs) / steps - Date.now()));
+                  return;
+                }
+                const standby = options.standby ? this.#zone.setPower(this.#id, 'standby') : Promise.resolve();
+                standby.then(() => finish({ volume: last, cancelled: false, reason: null })).catch((error) => finish(null, error));
+              })
+              .catch((error) => finish(null, error));
+          };
+          timer = setTimeout(() => tick(1), durationMs / steps);
+        })
+        .catch((error) => finish(null, error));
     });
   }
 
   /**
-   * @method getMacAddressFilter
-   * @description Gets the MAC address filter of the device.
-   * @returns {Promise}
+   * @method cancelFade
+   * @param {string} reason - The reason the fade resolves with (default cancelled).
+   * @description Cancels the running fade, if any. The volume stays where the fade was.
+   * @returns {boolean} Whether a fade was cancelled.
    * @public
    */
-  getMacAddressFilter() {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/getMacAddressFilter')
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res.mac_address_filter);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  cancelFade(reason = 'cancelled') {
+    if (!this.#fade) {
+      return false;
+    }
+    this.#fade.cancel(reason);
+    return true;
   }
 
   /**
-   * @method setMacAddressFilter
-   * @param {object} options
-   * @param {boolean} options.filter
-   * @param {string} options.address_1
-   * @param {string} options.address_2
-   * @param {string} options.address_3
-   * @param {string} options.address_4
-   * @param {string} options.address_5
-   * @param {string} options.address_6
-   * @param {string} options.address_7
-   * @param {string} options.address_8
-   * @param {string} options.address_9
-   * @param {string} options.address_10
-   * @description Sets the MAC address filter of the device.
-   * @returns {Promise}
+   * @method getVolume
+   * @description Gets the volume of the zone as raw value, in dB and as percentage.
+   * @returns {Promise<{raw: number, db: ?number, percent: number, min: number, max: number, mute: boolean}>}
    * @public
    */
-  setMacAddressFilter(options = {
-    filter: false,
-    address_1: '',
-    address_2: '',
-    address_3: '',
-    address_4: '',
-    address_5: '',
-    address_6: '',
-    address_7: '',
-    address_8: '',
-    address_9: '',
-    address_10: ''
-  }) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .post('/setMacAddressFilter', options)
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res.mac_address_filter);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  getVolume() {
+    return this.#zone.getVolume(this.#id);
   }
 
   /**
-   * @method getNetworkStandby
-   * @description Gets the network standby of the device.
+   * @method mute
+   * @param {boolean} enable
+   * @description Mutes or unmutes the zone.
    * @returns {Promise}
    * @public
    */
-  getNetworkStandby() {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/getNetworkStandby')
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res.network_standby);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  mute(enable = true) {
+    return this.#zone.setMute(this.#id, enable);
   }
 
   /**
-   * @method setNetworkStandby
-   * @param {string} standby 'on', 'off' or 'auto'
-   * @description Sets the network standby of the device.
-   * @returns {Promise} 
+   * @method input
+   * @param {string} input - The input, e.g. hdmi1.
+   * @param {string} mode - autoplay_disabled
+   * @description Selects the input of the zone.
+   * @returns {Promise}
+   * @public
    */
-  setNetworkStandby(standby = 'auto') {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/setNetworkStandby', { params: { standby } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res.network_standby);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  input(input, mode = 'autoplay_disabled') {
+    return this.#zone.setInput(this.#id, input, mode);
   }
 
   /**
-   * @method getBluetoothInfo
-   * @description Gets the bluetooth info of the device.
+   * @method soundProgram
+   * @param {string} program - The sound program, e.g. straight.
+   * @description Selects the sound program of the zone.
    * @returns {Promise}
    * @public
    */
-  getBluetoothInfo() {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/getBluetoothInfo')
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res.bluetooth_info);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  soundProgram(program) {
+    return this.#zone.setSoundProgram(this.#id, program);
+  }
+
+  /**
+   * @getter id
+   * @description Gets the zone ID.
+   * @returns {string}
+   */
+  get id() {
+    return this.#id;
+  }
+
+  /**
+   * @getter fading
+   * @description Gets whether a fade is running.
+   * @returns {boolean}
+   */
+  get fading() {
+    return this.#fade !== null;
   }
 
   /**
-   * @method setBluetoothStandby
-   * @param {boolean} standby
-   * @description Sets the bluetooth standby of the device.
-   * @returns {Promise}
+   * @getter zone
+   * @description Gets the YamahaMusicCastZone instance, for the calls without a facade method.
+   * @returns {YamahaMusicCastZone}
    */
-  setBluetoothStandby(standby = true) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/setBluetoothStandby', { params: { standby } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res.bluetooth_standby);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  get zone() {
+    return this.#zone;
   }
 
+}
+
+/**
+ * @class YamahaMusicCastTuner
+ * @description APIs in regard to Tuner setting and getting information.
+ * @version 1.0.0
+ * @exports YamahaMusicCastTuner
+ * @requires YamahaMusicCastTransport
+ */
+class YamahaMusicCastTuner {
+  #transport;
+  
   /**
-   * @method setBluetoothTxSetting
-   * @param {boolean} enable
-   * @description Sets the bluetooth tx setting of the device.
-   * @returns {Promise}
+   * @constructor YamahaMusicCastTuner
+   * @param {YamahaMusicCastTransport} transport
+   * @description Creates an instance of YamahaMusicCastTuner.
+   * @version 1.0.0
    * @public
    */
-  setBluetoothTxSetting(enable = true) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/setBluetoothTxSetting', { params: { enable } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res.bluetooth_tx_setting);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  constructor(transport) {
+    this.setup(transport);
   }
 
   /**
-   * @method getBluetoothDeviceList
-   * @description Gets the bluetooth device list of the device.
-   * @returns {Promise}
-   * @public
+   * @method setup
+   * @param {YamahaMusicCastTransport} transport
+   * @description Sets up the YamahaMusicCastTuner instance.
+   * @version 1.0.0
+   * @private
    */
-  getBluetoothDeviceList() {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/getBluetoothDeviceList')
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  setup(transport) {
+    // Set the transport shared by the subsystems of the device
+    this.#transport = transport;
   }
 
   /**
-   * @method updateBluetoothDeviceList
-   * @description Updates the bluetooth device list of the device.
+   * @method getTunerInfo
+   * @param {string} band - fm, am, dab
+   * @description For retrieving Tuner preset information.
    * @returns {Promise}
    * @public
    */
-  updateBluetoothDeviceList() {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/updateBluetoothDeviceList')
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  getPresetInfo(band = 'fm') {
+    return this.#transport.get('tuner/getPresetInfo', { band });
   }
 
   /**
-   * @method connectBluetoothDevice
-   * @param {string} address
-   * @description Connects the bluetooth device of the device.
+   * @method getPlayInfo
+   * @description For retrieving Tuner playback information.
    * @returns {Promise}
+   * @public
    */
-  connectBluetoothDevice(address = '') {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/connectBluetoothDevice', { params: { address } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  getPlayInfo() {
+    return this.#transport.get('tuner/getPlayInfo');
   }
 
   /**
-   * @method disconnectBluetoothDevice
-   * @description Disconnects the bluetooth device of the device.
+   * @method setBand
+   * @param {string} band - fm, am, dab
+   * @description For setting Tuner band.
    * @returns {Promise}
    * @public
    */
-  disconnectBluetoothDevice() {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/disconnectBluetoothDevice')
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  setBand(band = 'fm') {
+    return this.#transport.get('tuner/setBand', { band });
   }
 
   /**
-   * @method getFuncStatus
-   * @description Gets the function status of the device.
+   * @method setFreq
+   * @param {string} band - fm, am
+   * @param {string} tuning - Specifies a tuning method. Use "tp_up" and "tp_down" only when Band is RDS. Values: "up" / "down" / "cancel" / "auto_up" / "auto_down" / "tp_up" / "tp_down" / "direct"
+   * @param {number} num - 1-40
+   * @description For setting Tuner frequency.
    * @returns {Promise}
    * @public
    */
-  getFuncStatus() {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/getFuncStatus')
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  setFreq(band, tuning, num) {
+    return this.#transport.get('tuner/setFreq', { band, tuning, num });
   }
 
   /**
-   * @method setAutoPowerStandby
-   * @param {boolean} enable
-   * @description Sets the auto power standby of the device.
+   * @method recallPreset
+   * @param {string} zone - main, zone2, zone3, zone4 (legacy names like Main_Zone and Zone_2 are accepted)
+   * @param {string} band - fm, am, dab
+   * @param {number} num - Specifies Preset number. Value: one in the range gotten via /getFeatures
+   * @description For recalling Tuner preset.
    * @returns {Promise}
+   * @public
    */
-  setAutoPowerStandby(enable = true) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/setAutoPowerStandby', { params: { enable } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  recallPreset(zone, band, num) {
+    return this.#transport.get('tuner/recallPreset', { zone: YamahaMusicCastZone.normalize(zone), band, num });
   }
 
   /**
-   * @method setIrSensor
-   * @param {boolean} enable
-   * @description Sets the ir sensor of the device.
+   * @method switchPreset
+   * @param {string} dir - Specifies change direction of preset. Values: "next" / "previous"
+   * @description For switching Tuner preset.
    * @returns {Promise}
+   * @public
    */
-  setIrSensor(enable = true) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/setIrSensor', { params: { enable } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  switchPreset(dir) {
+    return this.#transport.get('tuner/switchPreset', { dir });
   }
 
   /**
-   * @method setSpeakerA
-   * @param {boolean} enable
-   * @description For setting Speaker A status
+   * @method storePreset
+   * @param {number} num - Specifies Preset number. Value: one in the range gotten via /getFeatures
+   * @description For storing Tuner preset.
    * @returns {Promise}
    * @public
    */
-  setSpeakerA(enable = true) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/setSpeakerA', { params: { enable } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  storePreset(num) {
+    return this.#transport.get('tuner/storePreset', { num });
   }
 
   /**
-   * @method setSpeakerB
-   * @param {boolean} enable
-   * @description For setting Speaker B status
+   * @method clearPreset
+   * @param {string} band - fm, am, dab
+   * @param {number} num - Specifies Preset number. Value: one in the range gotten via /getFeatures
+   * @description For clearing Tuner preset.
    * @returns {Promise}
    * @public
    */
-  setSpeakerB(enable = true) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/setSpeakerB', { params: { enable } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  clearPreset(band, num) {
+    return this.#transport.get('tuner/clearPreset', { band, num });
   }
 
   /**
-   * @method setDimmer
-   * @param {boolean} enable
-   * @description For setting FL/LED Dimmer 
+   * @method startAutoPreset
+   * @param {string} band - fm, am, dab
+   * @description For starting Tuner auto preset.
+   * @returns {Promise}
+   * @public
    */
-  setDimmer(enable = true) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/setDimmer', { params: { enable } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res)
-          } else {
-            reject(res)
-          }
-        })
-        .catch((error) => {
-          reject(error)
-        });
-    });
+  startAutoPreset(band) {
+    return this.#transport.get('tuner/startAutoPreset', { band });
   }
 
   /**
-   * @method setZoneBVolumeSync
-   * @param {boolean} enable
-   * @description For setting Zone B Volume Sync
+   * @method cancelAutoPreset
+   * @param {string} band - fm
+   * @description For canceling Auto Preset. Available only when "fm_auto_preset" exists in tuner - func_list under /getFeatures
+   * @returns {Promise}
+   * @public
    */
-  setZoneBVolumeSync(enable = true) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/setZoneBVolumeSync', { params: { enable } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res)
-          } else {
-            reject(res)
-          }
-        })
-        .catch((error) => {
-          reject(error)
-        });
-    });
+  cancelAutoPreset(band = 'fm') {
+    return this.#transport.get('tuner/cancelAutoPreset', { band });
   }
 
   /**
-   * @method setHdmiOut1
-   * @param {boolean} enable
-   * @description For setting HDMI OUT 1 terminal output status
+   * @method movePreset
+   * @param {string} band - fm, am, dab
+   * @param {number} from - Specifies Preset number. Value: one in the range gotten via /getFeatures
+   * @param {number} to - Specifies Preset number. Value: one in the range gotten via /getFeatures
+   * @description For moving Tuner preset.
    * @returns {Promise}
    * @public
    */
-  setHdmiOut1(enable = true) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/setHdmiOut1', { params: { enable } })
-        .then((response) => {
-          const res = response.data
-          if (res.response_code === 0) {
-            resolve(res)
-          } else {
-            reject(res)
-          }
-        })
-        .catch((error) => {
-          reject(error)
-        });
-    });
+  movePreset(band, from, to) {
+    return this.#transport.get('tuner/movePreset', { band, from, to });
   }
-
-  /**
-   * @method setHdmiOut2
-   * @param {boolean} enable
-   * @description For setting HDMI OUT 2 terminal output status
+
+  /**
+   * @method startDabInitialScan 
+   * @description For starting DAB Initial Scan. Available only when " dab_initial_scan " exists in tuner - func_list under /getFeatures.
    * @returns {Promise}
    * @public
    */
-  setHdmiOut2(enable = true) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/setHdmiOut2', { params: { enable } })
-        .then((response) => {
-          const res = response.data
-          if (res.response_code === 0) {
-            resolve(res)
-          } else {
-            reject(res)
-          }
-        })
-        .catch((error) => {
-          reject(error)
-        });
-    });
+  startDabInitialScan() {
+    return this.#transport.get('tuner/startDabInitialScan');
   }
 
   /**
-   * @method getNameText
-   * @param {string} id
-   * @description For retrieving text information of Zone, Input, Sound program. If they can be renamed, can retrieve text information renamed.
+   * @method cancelDabInitialScan
+   * @description For canceling DAB Initial Scan. Available only when " dab_initial_scan " exists in tuner - func_list under /getFeatures.
    * @returns {Promise}
+   * @public
    */
-  getNameText(id = '') {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/getNameText', { params: { id } })
-        .then((response) => {
-          const res = response.data
-          if (res.response_code === 0) {
-            resolve(res)
-          } else {
-            reject(res)
-          }
-        })
-        .catch((error) => {
-          reject(error)
-        });
-    });
+  cancelDabInitialScan() {
+    return this.#transport.get('tuner/cancelDabInitialScan');
   }
 
   /**
-   * @method setNameText
-   * @param {string} id
-   * @param {string} text
-   * @description For setting text information related to each ID of Zone, Input.
+   * @method setDabTuneAid
+   * @param {string} action - start, stop, up, down 
+   * @description For setting DAB Tune Aid. Available only when " dab_tune_aid " exists in tuner - func_list under /getFeatures.
+   * @returns {Promise}
+   * @public
    */
-  setNameText(id, text) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .post('/setNameText', { id, text })
-        .then((response) => {
-          const res = response.data
-          if (res.response_code === 0) {
-            resolve(res)
-          } else {
-            reject(res)
-          }
-        })
-        .catch((error) => {
-          reject(error)
-        });
-    });
+  setDabTuneAid(action) {
+    return this.#transport.get('tuner/setDabTuneAid', { action });
   }
 
   /**
-   * @method getLocationInfo
-   * @description For retrieving location information of the device.
+   * @method setDabService
+   * @param {string} dir - up, down
+   * @description For setting DAB Service. Available only when " dab_service " exists in tuner - func_list under /getFeatures.
    * @returns {Promise}
    * @public
    */
-  getLocationInfo() {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/getLocationInfo')
-        .then((response) => {
-          const res = response.data
-          if (res.response_code === 0) {
-            resolve(res)
-          } else {
-            reject(res)
-          }
-        })
-        .catch((error) => {
-          reject(error)
-        });
-    });
-  }
-
-  sendIrCode(code) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/sendIrCode', { params: { code } })
-        .then((response) => {
-          const res = response.data
-          if (res.response_code === 0) {
-            resolve(res)
-          } else {
-            reject(res)
-          }
-        })
-        .catch((error) => {
-          reject(error)
-        })
-    })
+  setDabService(dir = 'up') {
+    return this.#transport.get('tuner/setDabService', { dir });
   }
 
-
-
 }
 
 /**
- * @class YamahaMusicCastZone
- * @description For retrieving basic information of each Zone like power, volume, input and so on
+ * @class YamahaMusicCastNetworkUSB
+ * @description Class that handles all the Yamaha MusicCast Network USB API endpoints.
  * @version 1.0.0
- * @exports YamahaMusicCastZone
- * @requires axios
+ * @exports YamahaMusicCastNetworkUSB
+ * @requires YamahaMusicCastTransport
  */
-class YamahaMusicCastZone {
-  #ip;
-  #eventPort;
-  #axiosInstance;
-  
+class YamahaMusicCastNetworkUSB {
+  #transport;
+
   /**
-   * @constructor YamahaMusicCastZone
-   * @param {string} ip
-   * @param {number} eventPort
-   * @description Creates an instance of YamahaMusicCastZone.
+   * @method constructor
+   * @param {YamahaMusicCastTransport} transport
+   * @description Creates an instance of YamahaMusicCastNetworkUSB.
    * @version 1.0.0
-   * @public 
+   * @public
    */
-  constructor(ip, eventPort) {
-    this.setup(ip, eventPort);
+  constructor(transport) {
+    this.setup(transport);
   }
 
   /**
    * @method setup
-   * @param {string} ip
-   * @param {number} eventPort
-   * @description Sets up the YamahaMusicCastZone instance.
+   * @param {YamahaMusicCastTransport} transport
+   * @description Sets up the YamahaMusicCastNetworkUSB instance.
    * @version 1.0.0
-   * @private 
+   * @private
    */
-  setup(ip, eventPort) {
-    // Set the Yamaha receiver IP address
-    this.#ip = ip;
-    // Set the Yamaha receiver event port (UDP - default 41100)
-    this.#eventPort = eventPort;
-    // Create an axios instance
-    this.#axiosInstance = axios.create({
-      baseURL: `http://${this.#ip}:80/YamahaExtendedControl/v1`,
-      timeout: 15 * 1000,
-      headers: {
-        'X-AppName': 'ERDesigns/1.0',
-        'X-AppPort': this.#eventPort,
-      },
-    });
+  setup(transport) {
+    // Set the transport shared by the subsystems of the device
+    this.#transport = transport;
   }
 
   /**
-   * @method getStatus
-   * @param {string} zone - Main_Zone, Zone_2, Zone_3, Zone_4
-   * @description For retrieving basic information of each Zone like power, volume, input and so on.
+   * @method getPresetInfo
+   * @description For retrieving preset information. Presets are common use among Net/USB related input sources.
    * @returns {Promise}
+   * @public
    */
-  getStatus(zone) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get(`${zone}/getStatus`)
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  getPresetInfo() {
+    return this.#transport.get('netusb/getPresetInfo');
   }
 
   /**
-   * @method getSoundProgramList
-   * @param {string} zone - Main_Zone, Zone_2, Zone_3, Zone_4
-   * @description For retrieving list of Sound programs.
+   * @method getPlayInfo
+   * @description For retrieving playback information.
    * @returns {Promise}
    * @public
    */
-  getSoundProgramList(zone) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get(`${zone}/getSoundProgramList`)
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  getPlayInfo() {
+    return this.#transport.get('netusb/getPlayInfo');
   }
 
   /**
-   * @method setPower
-   * @param {string} zone - Main_Zone, Zone_2, Zone_3, Zone_4
-   * @param {string} power - on, standby, toggle
+   * @method setPlayback
+   * @param {string} playback - Specifies playback status. Values: "play" / "stop" / "pause" / "play_pause" / "previous" / "next" / "fast_reverse_start" / "fast_reverse_end" / "fast_forward_start" / "fast_forward_end"
+   * @description For controlling playback status
+   * @returns {Promise}
+   * @public
    */
-  setPower(zone, power = 'on') {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get(`${zone}/setPower`, { params: { power } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  setPlayback(playback) {
+    return this.#transport.get('netusb/setPlayback', { playback });
   }
 
   /**
-   * @method setSleep
-   * @param {string} zone - Main_Zone, Zone_2, Zone_3, Zone_4
-   * @param {number} sleep - 0, 30, 60, 90, 120 (minutes)
-   * @description For setting sleep timer.
+   * @method setPlayPosition  
+   * @param {number} position - Specifies play position (sec). Value : no fewer than total_time gotten via getPlayInfo, nor more than 0
+   * @description For setting track play position. This API is available only when input is Server.
    * @returns {Promise}
-   * @public 
+   * @public
    */
-  setSleep(zone, sleep = 0) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get(`${zone}/setSleep`, { params: { sleep } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  setPlayPosition(position) {
+    return this.#transport.get('netusb/setPlayPosition', { position });
   }
 
   /**
-   * @method setVolume
-   * @param {string} zone - Main_Zone, Zone_2, Zone_3, Zone_4
-   * @param {number} volume
-   * @param {number} step - 1-10
-   * @description For setting volume.
+   * @method toggleRepeat
+   * @description For toggling repeat setting. No direct / discrete setting commands available
    * @returns {Promise}
+   * @public
    */
-  setVolume(zone, volume, step = 1) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get(`${zone}/setVolume`, { params: { volume, step } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  toggleRepeat() {
+    return this.#transport.get('netusb/toggleRepeat');
   }
 
   /**
-   * @method setMute
-   * @param {string} zone - Main_Zone, Zone_2, Zone_3, Zone_4
-   * @param {boolean} enable
-   * @description For setting mute.
+   * @method toggleShuffle
+   * @description For toggling shuffle setting. No direct / discrete setting commands available
    * @returns {Promise}
    * @public
    */
-  setMute(zone, enable = true) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get(`${zone}/setMute`, { params: { enable } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  toggleShuffle() {
+    return this.#transport.get('netusb/toggleShuffle');
   }
 
   /**
-   * @method setInput
-   * @param {string} zone - Main_Zone, Zone_2, Zone_3, Zone_4
-   * @param {string} input Input IDs gotten via /getFeatures
-   * @param {string} mode - autoplay_enabled, autoplay_disabled.
-   * @description For setting input.
-   * @returns {Promise}
-   * @public
+   * @method getListInfo
+   * @param {string} list_id - Specifies list ID. If nothing specified, "main" is chosen implicitly. Values: "main" (common for all Net/USB sources), "auto_complete" (Pandora), "search_artist" (Pandora), "search_track" (Pandora)
+   * @param {string} input Specifies target Input ID. Controls for setListControl are to work with the input specified here. Values: Input IDs for Net/USB related sources
+   * @param {number} index - Specifies the reference index (offset from the beginning of the list). Note that this index must be in multiple of 8. If nothing was specified, the reference index previously specified would be used. Values: 0, 8, 16, 24, ..., 64984, 64992
+   * @param {number} size - Specifies max list size retrieved at a time.
+   * @param {string} lang - Specifies list language. But menu names or text info are not always necessarily pulled in a language specified here. If nothing specified, English ("en") is used implicitly. Values: "en" (English)/ "ja" (Japanese)/ "fr" (French)/ "de" (German)/ "es" (Spanish)/ "ru" (Russian)/ "it" (Italy)/ "zh" (Chinese)
    */
-  setInput(zone, input, mode = 'autoplay_disabled') {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get(`${zone}/setInput`, { params: { input, mode } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  getListInfo(list_id, input, index, size, lang) {
+    return this.#transport.get('netusb/getListInfo', { list_id, input, index, size, lang });
   }
 
   /**
-   * @method setSoundProgram
-   * @param {string} zone - Main_Zone, Zone_2, Zone_3, Zone_4
-   * @param {string} program - Program IDs gotten via /getFeatures
-   * @description For setting sound program.
+   * @method setListControl
+   * @param {string} list_id - Specifies list ID. If nothing specified, "main" is chosen implicitly. Values: "main" (common for all Net/USB sources), "auto_complete" (Pandora), "search_artist" (Pandora), "search_track" (Pandora)
+   * @param {string} type - Specifies list transition type. "select" is to enter and get into one deeper layer than the current layer where the element specified by the index belongs to. "play" is to start playback current index element, "return" is to go back one upper layer than current. "select" and "play" needs to specify an index at the same time. In case to “select” an element with its attribute being "Capable of Search", specify search text using setSearchString in advance. (Or it is possible to specify search text and move layers at the same time by specifying an index in setSearchString). Values: "select" / "play" / "return".
+   * @param {number} index - Specifies an element position in the list being selected (offset from the beginning of the list). This is mandatory to specify if the type is "select" or "play". Value Range: 0 - 64999
+   * @param {string} zone - Specifies target zone ID. If nothing specified, "main" is chosen implicitly. Values: "main" / "zone2" / "zone3" / "zone4"
+   */
+  setListControl(list_id, type, index, zone) {
+    return this.#transport.get('netusb/setListControl', { list_id, type, index, zone: YamahaMusicCastZone.normalize(zone) });
+  }
+  
+  /**
+   * @method setSearchString
+   * @description For setting search string. This is to specify search text for "Capable of Search" element. This is also to specify search text and move layers at the same time by specifying an index in setSearchString. If nothing specified, "main" is chosen implicitly. Values: "main" (common for all Net/USB sources), "auto_complete" (Pandora), "search_artist" (Pandora), "search_track" (Pandora)
+   * @param {string} list_id - Specifies list ID. If nothing specified, "main" is chosen implicitly. Values: "main" (common for all Net/USB sources), "auto_complete" (Pandora), "search_artist" (Pandora), "search_track" (Pandora)
+   * @param {string} string - Specifies search text. Values: Any text string
+   * @param {number} index - Specifies an element position in the list being selected (offset from the beginning of the list). This is mandatory to specify if the type is "select" or "play". Value Range: 0 - 64999
    * @returns {Promise}
    * @public
    */
-  setSoundProgram(zone, program) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get(`${zone}/setSoundProgram`, { params: { program } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  setSearchString(list_id, string, index) {
+    return this.#transport.get('netusb/setSearchString', { list_id, string, index });
   }
 
   /**
-   * @method set3dSurround
-   * @param {string} zone - Main_Zone, Zone_2, Zone_3, Zone_4
-   * @param {boolean} enable
-   * @description For setting 3D surround status.
+   * @method recallPreset
+   * @description For recalling a preset. This is to recall a preset registered by setStorePreset. Values: "main" (common for all Net/USB sources), "auto_complete" (Pandora), "search_artist" (Pandora), "search_track" (Pandora)
+   * @param {string} zone - Specifies target zone ID. If nothing specified, "main" is chosen implicitly. Values: "main" / "zone2" / "zone3" / "zone4"
+   * @param {number} num - Specifies preset number. Value Range: 1 - 40
    * @returns {Promise}
    * @public
    */
-  set3dSurround(zone, enable = false) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get(`${zone}/set3dSurround`, { params: { enable } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  recallPreset(zone, num) {
+    return this.#transport.get('netusb/recallPreset', { zone: YamahaMusicCastZone.normalize(zone), num });
   }
 
   /**
-   * @method setDirect  
-   * @param {string} zone - Main_Zone, Zone_2, Zone_3, Zone_4
-   * @param {boolean} enable
-   * @description For setting direct status.
+   * @method storePreset
+   * @description For storing a preset. This is to store a preset. Values: "main" (common for all Net/USB sources), "auto_complete" (Pandora), "search_artist" (Pandora), "search_track" (Pandora)
+   * @param {number} num - Specifies preset number. Value Range: 1 - 40
    * @returns {Promise}
    * @public
    */
-  setDirect(zone, enable = false) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get(`${zone}/setDirect`, { params: { enable } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  storePreset(num) {
+    return this.#transport.get('netusb/storePreset', { num });
   }
 
   /**
-   * @method setPureDirect
-   * @param {string} zone - Main_Zone, Zone_2, Zone_3, Zone_4
-   * @param {boolean} enable
-   * @description For setting pure direct status.
+   * @method clearPreset
+   * @description For clearing a preset. This is to clear a preset registered by setStorePreset. Values: "main" (common for all Net/USB sources), "auto_complete" (Pandora), "search_artist" (Pandora), "search_track" (Pandora)
+   * @param {number} num - Specifies preset number. Value Range: 1 - 40
    * @returns {Promise}
    * @public
    */
-  setPureDirect(zone, enable = false) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get(`${zone}/setPureDirect`, { params: { enable } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  clearPreset(num) {
+    return this.#transport.get('netusb/clearPreset', { num });
   }
 
   /**
-   * @method setEnhancer
-   * @param {string} zone - Main_Zone, Zone_2, Zone_3, Zone_4
-   * @param {boolean} enable
-   * @description For setting enhancer status.
+   * @method movePreset
+   * @description For moving a preset. This is to move a preset registered by setStorePreset. Values: "main" (common for all Net/USB sources), "auto_complete" (Pandora), "search_artist" (Pandora), "search_track" (Pandora)
+   * @param {number} from - Specifies preset number. Value Range: 1 - 40
+   * @param {number} to - Specifies preset number. Value Range: 1 - 40
    * @returns {Promise}
    * @public
    */
-  setEnhancer(zone, enable = true) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get(`${zone}/setEnhancer`, { params: { enable } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res)
-          } else {
-            reject(res)
-          }
-        })
-        .catch((error) => {
-          reject(error)
-        });
-    });
+  movePreset(from, to) {
+    return this.#transport.get('netusb/movePreset', { from, to });
   }
 
   /**
-   * @method setToneControl
-   * @param {string} zone - Main_Zone, Zone_2, Zone_3, Zone_4
-   * @param {string} mode - manual, bypass
-   * @param {number} bass - Value range calculated by minimum/maximum/step values gotten via /getFeatures
-   * @param {number} treble - Value range calculated by minimum/maximum/step values gotten via /getFeatures
-   * @description For setting tone control.
+   * @method getSettings
+   * @description For retrieving setup of Net/USB.
    * @returns {Promise}
    * @public
    */
-  setToneControl(zone, mode, bass, treble) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get(`${zone}/setToneControl`, { params: { mode, bass, treble } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res)
-          } else {
-            reject(res)
-          }
-        })
-        .catch((error) => {
-          reject(error)
-        });
-    });
+  getSettings() {
+    return this.#transport.get('netusb/getSettings');
   }
 
   /**
-   * @method setEqualizer
-   * @param {string} zone - Main_Zone, Zone_2, Zone_3, Zone_4
-   * @param {string} mode - manual, bypass
-   * @param {number} low - Value range calculated by minimum/maximum/step values gotten via /getFeatures
-   * @param {number} mid - Value range calculated by minimum/maximum/step values gotten via /getFeatures
-   * @param {number} high - Value range calculated by minimum/maximum/step values gotten via /getFeatures
-   * @description For setting equalizer.
+   * @method setQuality
+   * @description For setting up quality of Net/USB.
+   * @param {string} input - Specifies target Input ID. Values: "qobuz".
+   * @param {string} value - Specifies reproduction quality. Refer to available value in each input via /getSettings. Values: "hr_192_24" / "hr_96_24" / "cd_44_16" / "mp3_320"
    * @returns {Promise}
    * @public
    */
-  setEqualizer(zone, mode, low, mid, high) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get(`${zone}/setEqualizer`, { params: { mode, low, mid, high } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res)
-          } else {
-            reject(res)
-          }
-        })
-        .catch((error) => {
-          reject(error)
-        });
-    });
+  setQuality(input = 'qobuz', value) {
+    return this.#transport.get('netusb/setQuality', { input, value });
   }
 
   /**
-   * @method setBalance
-   * @param {string} zone - Main_Zone, Zone_2, Zone_3, Zone_4
-   * @param {number} value - For setting L/R Balance in each Zone’s speaker. Values of specifying range and steps are different.
-   * @description For setting L/R Balance in each Zone’s speaker. Values of specifying range and steps are different.
+   * @method getRecentInfo
+   * @description For retrieving playback history. History is shared among all Net/USB Input sources.
    * @returns {Promise}
    * @public
    */
-  setBalance(zone, value) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get(`${zone}/setBalance`, { params: { value } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res)
-          } else {
-            reject(res)
-          }
-        })
-        .catch((error) => {
-          reject(error)
-        });
-    });
+  getRecentInfo() {
+    return this.#transport.get('netusb/getRecentInfo');
   }
 
   /**
-   * @method setDialogueLevel
-   * @param {string} zone - Main_Zone, Zone_2, Zone_3, Zone_4
-   * @param {number} value - Specifies Dialogue Level value Values: Value range calculated by minimum/maximum/step values gotten via /getFeatures
-   * @description For setting Dialogue Level in each Zone’s speaker. Values of specifying range and steps are different.
+   * @method recallRecentItem
+   * @description For recalling a content via playback history.
+   * @param {string} zone - Specifies target Zone ID. Values: "main", "zone2", "zone3", "zone4"
+   * @param {number} num - Specifies preset number. Value Range: 1 - 40
    * @returns {Promise}
    * @public
    */
-  setDialogueLevel(zone, value) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get(`${zone}/setDialogueLevel`, { params: { value } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res)
-          } else {
-            reject(res)
-          }
-        })
-        .catch((error) => {
-          reject(error)
-        });
-    });
+  recallRecentItem(zone, num) {
+    return this.#transport.get('netusb/recallRecentItem', { zone: YamahaMusicCastZone.normalize(zone), num });
   }
 
   /**
-   * @method setDialogueLift
-   * @param {string} zone - Main_Zone, Zone_2, Zone_3, Zone_4
-   * @param {number} value - Specifies Dialogue Lift value Values: Value range calculated by minimum/maximum/step values gotten via /getFeatures
-   * @description For setting Dialogue Lift in each Zone’s speaker. Values of specifying range and steps are different.
+   * @method clearRecentInfo
+   * @description For clearing all recent history informaiton.
    * @returns {Promise}
    * @public
    */
-  setDialogueLift(zone, value) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get(`${zone}/setDialogueLift`, { params: { value } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res)
-          } else {
-            reject(res)
-          }
-        })
-        .catch((error) => {
-          reject(error)
-        });
-    });
+  clearRecentInfo() {
+    return this.#transport.get('netusb/clearRecentInfo');
   }
 
   /**
-   * @method setClearVoice
-   * @param {string} zone - Main_Zone, Zone_2, Zone_3, Zone_4
-   * @param {boolean} enable - Specifies Clear Voice value Values: true, false
-   * @description For setting Clear Voice in each Zone.
+   * @method managePlay
+   * @description For controlling playback of Net/USB.
+   * @param {string} type - Specifies type of special processing. Value: "add_bookmark" (Net Radio), "add_track" (Rhapsody / Napster / Pandora / JUKE / Qobuz), "add_album" (Rhapsody / Napster / JUKE), "add_channel_track" (Pandora), "add_channel_artist" (Pandora), "add_playlist" (Qobuz), "thumbs_up" (Pandora), "thumbs_down" (Pandora), "mark_tired" (Pandora)
+   * @param {number} timeout - Specifies timeout duration(ms) for this API process. If specifies 0, treat as maximum vale. Value: 0 ～ 60000
    * @returns {Promise}
    * @public
    */
-  setClearVoice(zone, enable) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get(`${zone}/setClearVoice`, { params: { enable } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  managePlay(type, timeout = 5000) {
+    return this.#transport.get('netusb/managePlay', { type, timeout });
   }
 
   /**
-   * @method setSubwooferVolume
-   * @param {string} zone - Main_Zone, Zone_2, Zone_3, Zone_4
-   * @param {number} volume - Specifies Subwoofer Volume value Values: Value range calculated by minimum/maximum/step values gotten via /getFeatures
-   * @description For setting Subwoofer Volume in each Zone.
-   * @returns {Promise}
-   * @public
+   * @method manageList
+   * @description For controlling playback of Net/USB.
+   * @param {string} list_id - Specifies type of special processing. Value: "add_bookmark" (Net Radio), "add_track" (Rhapsody / Napster / JUKE / Qobuz), "add_album" (Rhapsody / Napster / JUKE / Qobuz), "add_artist" (Qobuz), "add_channel" (Rhasody / Napster / Pandora), "add_playlist" (Qobuz), "remove_bookmark" (Net Radio), "remove_track" (Rhapsody / Napster / JUKE / Qobuz), "remove_album" (Rhapsody / Napster / JUKE / Qobuz), "remove_artist" (Qobuz), "remove_channel" (Rhapsody / Napster / Pandora), "remove_playlist" (Rhapsody / Napster / Qobuz), "end_auto_complete" (Pandora), "end_auto_complete" must be excuted when make a Auto Complete window (Pandora) disappear. (certification requirement)
+   * @param {string} type - Specifies type of special processing. Value: "play", "play_next", "play_previous", "select_track", "select_album", "select_playlist", "select_channel", "select_preset"
+   * @param {number} index - Specifies the reference index (offset from the beginning of the list). No parameter set if type is "end_auto_complete". Vaule: 0 ~ 64999
+   * @param {string} zone - Specifies target Zone ID. Values: "main", "zone2", "zone3", "zone4"
+   * @param {number} timeout - Specifies timeout duration(ms) for this API process. If specifies 0, treat as maximum vale. Value: 0 ～ 60000
    */
-  setSubwooferVolume(zone, volume) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get(`${zone}/setSubwooferVolume`, { params: { volume } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  manageList(list_id, type, index, zone, timeout = 5000) {
+    return this.#transport.get('netusb/manageList', { list_id, type, index, zone: YamahaMusicCastZone.normalize(zone), timeout });
   }
 
   /**
-   * @method setBassExtension
-   * @param {string} zone - Main_Zone, Zone_2, Zone_3, Zone_4
-   * @param {boolean} enable - Specifies Bass Extension value Values: true, false
-   * @description For setting Bass Extension in each Zone.
+   * @method getPlayDescription
+   * @description For retrieving track’s detail information.
+   * @param {string} type - Specifies type of information to retrieve. Value: "why_this_song", "why_this_album", "why_this_artist", "why_this_playlist", "why_this_channel"
+   * @param {number} timeout - Specifies timeout duration(ms) for this API process. If specifies 0, treat as maximum vale. Value: 0 ～ 60000
    * @returns {Promise}
    * @public
    */
-  setBassExtension(zone, enable) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get(`${zone}/setBassExtension`, { params: { enable } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  getPlayDescription(type = 'why_this_song', timeout = 5000) {
+    return this.#transport.get('netusb/getPlayDescription', { type, timeout });
   }
 
   /**
-   * @method getSignalInfo
-   * @param {string} zone - Main_Zone, Zone_2, Zone_3, Zone_4
-   * @description For retrieving current playback signal information in each Zone
+   * @method setListSortOption
+   * @description For setting List sorting method. Retrieve List information via /getListInfo after setting
+   * @param {string} input - Specifies target Input ID. Controls for setListControl are to work with the input specified here. Value : "pandora"
+   * @param {string} type - Specifies type of sorting. Value: "date", "alphabet", "new", "old", "track", "album", "artist", "genre", "none"
+   */
+  setListSortOption(input = 'pandora', type = 'date') {
+    return this.#transport.get('netusb/setListSortOption', { input, type });
+  }
+
+  /**
+   * @method getAccountStatus
+   * @description For retrieving account information registered on Device.
    * @returns {Promise}
    * @public
    */
-  getSignalInfo(zone) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get(`${zone}/getSignalInfo`)
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  getAccountStatus() {
+    return this.#transport.get('netusb/getAccountStatus');
   }
 
   /**
-   * @method prepareInputChange 
-   * @param {string} zone - Main_Zone, Zone_2, Zone_3, Zone_4
-   * @param {string} input - Specifies input name Values: gotten via /getFeatures
-   * @description Let a Device do necessary process before changing input in a specific zone. This is valid only when “prepare_input_change” exists in “func_list” found in /getFuncStatus. MusicCast CONTROLLER executes this API when an input icon is selected in a Room, right before sending various APIs (of retrieving list information etc.) regarding selecting input.
+   * @method switchAccount
+   * @description For switching account for service corresponding multi account.
+   * @param {string} input - Specifies target Input ID. Controls for setListControl are to work with the input specified here. Value : "pandora"
+   * @param {number} index - Specifies switch account index. Value : 0 ~ 7 (Pandora)
+   * @param {number} timeout - Specifies timeout duration(ms) for this API process. If specifies 0, treat as maximum vale. Value: 0 ～ 60000
    * @returns {Promise}
    * @public
    */
-  prepareInputChange(zone, input) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get(`${zone}/prepareInputChange`, { params: { input } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  switchAccount(input, index, timeout = 5000) {
+    return this.#transport.get('netusb/switchAccount', { input, index, timeout });
+  }
+
+  /**
+   * @method getServiceInfo
+   * @description For retrieving service information.
+   * @param {string} input - Specifies target Input ID. Value: "pandora" / "rhapsody" / "napster"
+   * @param {string} type - Specifies type of retrieving info. Value: "account_list" (Pandora), "licensing" (Rhapsody / Napster / Pandora), "activation_code" (Pandora)
+   * @param {number} timeout - Specifies timeout duration(ms) for this API process. If specifies 0, treat as maximum vale. Value: 0 ～ 60000
+   * @returns {Promise}
+   * @public
+   */
+  getServiceInfo(input, type, timeout = 5000) {
+    return this.#transport.get('netusb/getServiceInfo', { input, type, timeout });
   }
+
 }
 
 /**
- * @class YamahaMusicCastTuner
- * @description APIs in regard to Tuner setting and getting information.
+ * @class YamahaMusicCastCD
+ * @description Yamaha MusicCast CD Class.
  * @version 1.0.0
- * @exports YamahaMusicCastTuner
- * @requires axios
+ * @exports YamahaMusicCastCD
+ * @requires YamahaMusicCastTransport
  */
-class YamahaMusicCastTuner {
-  #ip;
-  #eventPort;
-  #axiosInstance;
-  
+class YamahaMusicCastCD {
+  #transport;
+
   /**
-   * @constructor YamahaMusicCastTuner
-   * @param {string} ip
-   * @param {number} eventPort
-   * @description Creates an instance of YamahaMusicCastTuner.
+   * @method constructor
+   * @param {YamahaMusicCastTransport} transport
+   * @description Creates an instance of YamahaMusicCastCD.
    * @version 1.0.0
-   * @public 
+   * @public
    */
-  constructor(ip, eventPort) {
-    this.setup(ip, eventPort);
+  constructor(transport) {
+    this.setup(transport);
   }
 
   /**
    * @method setup
-   * @param {string} ip
-   * @param {number} eventPort
-   * @description Sets up the YamahaMusicCastTuner instance.
+   * @param {YamahaMusicCastTransport} transport
+   * @description Sets up the YamahaMusicCastCD instance.
    * @version 1.0.0
-   * @private 
+   * @private
    */
-  setup(ip, eventPort) {
-    // Set the Yamaha receiver IP address
-    this.#ip = ip;
-    // Set the Yamaha receiver event port (UDP - default 41100)
-    this.#eventPort = eventPort;
-    // Create an axios instance
-    this.#axiosInstance = axios.create({
-      baseURL: `http://${this.#ip}:80/YamahaExtendedControl/v1/tuner`,
-      timeout: 15 * 1000,
-      headers: {
-        'X-AppName': 'ERDesigns/1.0',
-        'X-AppPort': this.#eventPort,
-      },
-    });
+  setup(transport) {
+    // Set the transport shared by the subsystems of the device
+    this.#transport = transport;
   }
 
   /**
-   * @method getTunerInfo
-   * @param {string} band - fm, am, dab
-   * @description For retrieving Tuner preset information.
+   * @method getPlayInfo
+   * @description For retrieving playback information.
    * @returns {Promise}
    * @public
    */
-  getPresetInfo(band = 'fm') {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get(`/getPresetInfo`, { params: { band } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  getPlayInfo() {
+    return this.#transport.get('cd/getPlayInfo');
   }
 
   /**
-   * @method getPlayInfo
-   * @description For retrieving Tuner playback information.
+   * @method setPlayback
+   * @description For setting playback.
+   * @param {string} playback - Specifies playback. Values: "play" / "stop" / "pause" / "previous" / "next" / "fast_reverse_start" / "fast_reverse_end" / "fast_forward_start" / "fast_forward_end" / "track_select "
+   * @param {number} num - Specifies track number. Value: 1 ~ 512
    * @returns {Promise}
    * @public
    */
-  getPlayInfo() {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get(`/getPlayInfo`)
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        })
-    });
+  setPlayback(playback, num) {
+    return this.#transport.get('cd/setPlayback', { playback, num });
   }
 
   /**
-   * @method setBand
-   * @param {string} band - fm, am, dab
-   * @description For setting Tuner band.
+   * @method toggleTray
+   * @description For toggling CD tray Open/Close setting.
    * @returns {Promise}
    * @public
    */
-  setBand(band = 'fm') {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get(`/setBand`, { params: { band } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error)
-        });
-    });
+  toggleTray() {
+    return this.#transport.get('cd/toggleTray');
   }
 
   /**
-   * @method setFreq
-   * @param {string} band - fm, am
-   * @param {string} tuning - Specifies a tuning method. Use "tp_up" and "tp_down" only when Band is RDS. Values: "up" / "down" / "cancel" / "auto_up" / "auto_down" / "tp_up" / "tp_down" / "direct"
-   * @param {number} num - 1-40
-   * @description For setting Tuner frequency.
+   * @method toggleRepeat
+   * @description For toggling repeat setting. No direct / discrete setting commands available.
    * @returns {Promise}
    * @public
    */
-  setFreq(band, tuning, num) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get(`/setFreq`, { params: { band, tuning, num } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res)
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  toggleRepeat() {
+    return this.#transport.get('cd/toggleRepeat');
   }
 
   /**
-   * @method recallPreset
-   * @param {string} zone - Main_Zone, Zone_2, Zone_3, Zone_4
-   * @param {string} band - fm, am, dab
-   * @param {number} num - Specifies Preset number. Value: one in the range gotten via /getFeatures
-   * @description For recalling Tuner preset.
+   * @method toggleShuffle
+   * @description For toggling shuffle setting. No direct / discrete setting commands available.
    * @returns {Promise}
    * @public
    */
-  recallPreset(zone, band, num) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/recallPreset', { params: { zone, band, num } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res)
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  toggleShuffle() {
+    return this.#transport.get('cd/toggleShuffle');
+  }
+
+}
+
+/**
+ * @class YamahaMusicCastClock
+ * @description Yamaha MusicCast Clock Class.
+ * @version 1.0.0
+ * @exports YamahaMusicCastClock
+ * @requires YamahaMusicCastTransport
+ */
+class YamahaMusicCastClock {
+  #transport;
+
+  /**
+   * @method constructor
+   * @param {YamahaMusicCastTransport} transport
+   * @description Creates an instance of YamahaMusicCastClock.
+   * @version 1.0.0
+   * @public
+   */
+  constructor(transport) {
+    this.setup(transport);
   }
 
   /**
-   * @method switchPreset
-   * @param {string} dir - Specifies change direction of preset. Values: "next" / "previous"
-   * @description For switching Tuner preset.
+   * @method setup
+   * @param {YamahaMusicCastTransport} transport
+   * @description Sets up the YamahaMusicCastClock instance.
+   * @version 1.0.0
+   * @private
+   */
+  setup(transport) {
+    // Set the transport shared by the subsystems of the device
+    this.#transport = transport;
+  }
+
+  /**
+   * @method getSettings
+   * @description For retrieving setting related to Clock function.
    * @returns {Promise}
    * @public
    */
-  switchPreset(dir) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/switchPreset', { params: { dir } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res)
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  getSettings() {
+    return this.#transport.get('clock/getSettings');
   }
 
   /**
-   * @method storePreset
-   * @param {number} num - Specifies Preset number. Value: one in the range gotten via /getFeatures
-   * @description For storing Tuner preset.
+   * @method setSettings
+   * @description For setting clock time auto sync. Available only when "date_and_time" exists in clock - func_list under /system/getFeatures.
+   * @param {boolean} clockMode - Specifies whether or not clock auto sync is valid.
    * @returns {Promise}
    * @public
    */
-  storePreset(num) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/storePreset', { params: { num } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res)
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  setAutoSync(enable) {
+    return this.#transport.get('clock/setAutoSync', { enable });
   }
 
   /**
-   * @method clearPreset
-   * @param {string} band - fm, am, dab
-   * @param {number} num - Specifies Preset number. Value: one in the range gotten via /getFeatures
-   * @description For clearing Tuner preset.
+   * @method setDateAndTime
+   * @description For setting date and clock time. Available only when "date_and_time" exists in clock - func_list under /system/getFeatures.
+   * @param {string} date_time - Specifies date and time set on device. Format is "YYMMDDhhmmss".
    * @returns {Promise}
    * @public
    */
-  clearPreset(band, num) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/clearPreset', { params: { band, num } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res)
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  setDateAndTime(date_time) {
+    return this.#transport.get('clock/setDateAndTime', { date_time });
   }
 
   /**
-   * @method startAutoPreset
-   * @param {string} band - fm, am, dab
-   * @description For starting Tuner auto preset.
+   * @method setClockFormat
+   * @description For setting clock format. Available only when "clock_format" exists in clock - func_list under /system/getFeatures.
+   * @param {string} format - Specifies clock format. "12h" or "24h".
    * @returns {Promise}
    * @public
    */
-  startAutoPreset(band) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/startAutoPreset', { params: { band } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res)
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  setClockFormat(format = '24h') {
+    return this.#transport.get('clock/setClockFormat', { format });
+  }
+
+  /**
+   * @method setAlarmSettings
+   * @description For setting aram function.
+   * @param {boolean} alarm_on - Specifies alarm function status on/off.
+   * @param {number} volume - pecifies alarm volume value. Vaule Range : calculated by minimum/maximum/step value gotten via /system/getFeatures "alarm_volume"
+   * @param {number} fade_interval - Specifies fade interval value. Vaule Range : calculated by minimum/maximum/step value gotten via /system/getFeatures "alarm_fade_interval"
+   * @param {string} fade_type - Specifies alarm fade type. Value : 1 ~ fade_type_max ( value gotten via /system/getFeatures)
+   * @param {string} mode - Specifies alarm mode. Value : one gotten via /system/getFeatures "alarm_mode_list"
+   * @param {string} repeat - Specifies repeat setting.This parameter is valid only when alarm mode "oneday" is specified
+   * @param {object} detail - Setting detail information of alarm function
+   * @param {string} detail.day - Specifies target date for alarm setting. This parameter is specified certainly when set detail parameters. Value : "oneday" / "sunday" / "monday" / "tuesday" / "wednesday " / "thursday" / "friday" / "saturday"
+   * @param {boolean} detail.enable - Specifies whether or not alarm function is valid.
+   * @param {string} detail.time - Specifies alarm time. Format is "hhmm".
+   * @param {boolean} detail.beep - Specifies whether or not beep sound is valid.
+   * @param {string} detail.playback_type - Specifies playback type. Value : "resume" / "preset"
+   * @param {object} detail.resume - Specifies resume playback setting. This parameter is valid only when playback type "resume" is specified.
+   * @param {string} detail.resume.input - Specifies target Input ID to playback. No playback when "none" is specified. Values: Input IDs gotten via /system/getFeatures "alarm_input_list"
+   * @param {object} detail.preset - Specifies detail infomarion when preset is specified. This parameter is valid only when playback_type "preset" is specified
+   * @param {string} detail.preset.type - Specifies preset type. Values : Type gotten via /system/getFeatures "alarm_preset_list"
+   * @param {number} detail.preset.num - Specifies preset number. Selectable preset number in each preset type is readable in /system/getFeatures.
+
+   */
+  setAlarmSettings(alarm_on, volume, fade_interval, fade_type, mode, repeat, detail = {
+    day: 'oneday',
+    enable: false,
+    time: '0000',
+    beep: false,
+    playback_type: 'resume',
+    resume: {
+      input: 'none',
+    },
+    preset: {
+      type: 'none',
+      num: 1,
+    }
+  }) {
+    return this.#transport.post('clock/setAlarmSettings', { alarm_on, volume, fade_interval, fade_type, mode, repeat, detail });
+  }
+
+}
+
+/**
+ * @class YamahaMusicCastDist
+ * @description APIs in regard to MusicCast Link (distribution) setting and getting information.
+ * @version 1.0.0
+ * @exports YamahaMusicCastDist
+ * @requires YamahaMusicCastTransport
+ */
+class YamahaMusicCastDist {
+  #transport;
+
+  /**
+   * @method constructor
+   * @param {YamahaMusicCastTransport} transport
+   * @description Creates an instance of YamahaMusicCastDist.
+   * @version 1.0.0
+   * @public
+   */
+  constructor(transport) {
+    this.setup(transport);
+  }
+
+  /**
+   * @method setup
+   * @param {YamahaMusicCastTransport} transport
+   * @description Sets up the YamahaMusicCastDist instance.
+   * @version 1.0.0
+   * @private
+   */
+  setup(transport) {
+    // Set the transport shared by the subsystems of the device
+    this.#transport = transport;
   }
 
   /**
-   * @method cancelAutoPreset
-   * @param {string} band - fm
-   * @description For canceling Auto Preset. Available only when "fm_auto_preset" exists in tuner - func_list under /getFeatures
+   * @method getDistributionInfo
+   * @description For retrieving Link distribution information, like the group ID, group name, role (server / client) and the list of clients.
    * @returns {Promise}
    * @public
    */
-  cancelAutoPreset(band = 'fm') {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/cancelAutoPreset', { params: { band } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res)
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  getDistributionInfo() {
+    return this.#transport.get('dist/getDistributionInfo');
   }
 
   /**
-   * @method movePreset
-   * @param {string} band - fm, am, dab
-   * @param {number} from - Specifies Preset number. Value: one in the range gotten via /getFeatures
-   * @param {number} to - Specifies Preset number. Value: one in the range gotten via /getFeatures
-   * @description For moving Tuner preset.
+   * @method setServerInfo
+   * @description For setting a Device as Link distribution server. Clients must be set up via setClientInfo on every client Device first.
+   * @param {string} group_id - Specifies Group ID in 32-digit hex. An empty string ("") cancels the distribution server setting.
+   * @param {string} zone - Specifies the zone of the server that is distributed. Values: "main" / "zone2" / "zone3" / "zone4"
+   * @param {string} type - Specifies the type of the client list change. Values: "add" / "remove"
+   * @param {Array<string>} client_list - Specifies the IP addresses of the clients to add or remove.
    * @returns {Promise}
    * @public
    */
-  movePreset(band, from, to) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/movePreset', { params: { band, from, to } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res)
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  setServerInfo(group_id, zone = 'main', type = 'add', client_list = []) {
+    return this.#transport.post('dist/setServerInfo', { group_id, zone, type, client_list });
   }
 
   /**
-   * @method startDabInitialScan 
-   * @description For starting DAB Initial Scan. Available only when " dab_initial_scan " exists in tuner - func_list under /getFeatures.
+   * @method setClientInfo
+   * @description For setting a Device as Link distribution client.
+   * @param {string} group_id - Specifies Group ID in 32-digit hex. An empty string ("") cancels the distribution client setting.
+   * @param {Array<string>} zone - Specifies the zones of the client that play the distributed audio. Values: "main" / "zone2" / "zone3" / "zone4"
+   * @param {string} server_ip_address - Specifies the IP address of the distribution server.
    * @returns {Promise}
    * @public
    */
-  startDabInitialScan() {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/startDabInitialScan')
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res)
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  setClientInfo(group_id, zone = ['main'], server_ip_address) {
+    return this.#transport.post('dist/setClientInfo', { group_id, zone, server_ip_address });
   }
 
   /**
-   * @method cancelDabInitialScan
-   * @description For canceling DAB Initial Scan. Available only when " dab_initial_scan " exists in tuner - func_list under /getFeatures.
+   * @method startDistribution
+   * @description For initiating Link distribution on the server, after the server and clients have been set up.
+   * @param {number} num - Specifies a unique number for this distribution. Values: 0 ~ 9
    * @returns {Promise}
    * @public
    */
-  cancelDabInitialScan() {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/cancelDabInitialScan')
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res)
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  startDistribution(num = 0) {
+    return this.#transport.get('dist/startDistribution', { num });
   }
 
   /**
-   * @method setDabTuneAid
-   * @param {string} action - start, stop, up, down 
-   * @description For setting DAB Tune Aid. Available only when " dab_tune_aid " exists in tuner - func_list under /getFeatures.
+   * @method stopDistribution
+   * @description For quitting Link distribution on the server.
    * @returns {Promise}
    * @public
    */
-  setDabTuneAid(action) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/setDabTuneAid', { params: { action } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res)
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  stopDistribution() {
+    return this.#transport.get('dist/stopDistribution');
   }
 
   /**
-   * @method setDabService
-   * @param {string} dir - up, down
-   * @description For setting DAB Service. Available only when " dab_service " exists in tuner - func_list under /getFeatures.
+   * @method setGroupName
+   * @description For setting the Link group name.
+   * @param {string} name - Specifies the group name. Must not be longer than 128 characters.
    * @returns {Promise}
    * @public
    */
-  setDabService(dir = 'up') {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/setDabService', { params: { dir } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res)
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  setGroupName(name) {
+    if (name.length > 128) {
+      return Promise.reject(new MusicCastValidationError('The group name must not be longer than 128 characters.', { endpoint: 'dist/setGroupName', params: { name } }));
+    }
+    return this.#transport.post('dist/setGroupName', { name });
   }
 
 }
 
 /**
- * @class YamahaMusicCastNetworkUSB
- * @description Class that handles all the Yamaha MusicCast Network USB API endpoints.
+ * @constant SSDP_ADDR
+ * @description The SSDP multicast address.
+ */
+const SSDP_ADDR = '239.255.255.250';
+
+/**
+ * @constant SSDP_PORT
+ * @description The SSDP port.
+ */
+const SSDP_PORT = 1900;
+
+/**
+ * @constant SSDP_SEARCH_TARGET
+ * @description The SSDP search target, MusicCast devices announce themselves as media renderer.
+ */
+const SSDP_SEARCH_TARGET = 'urn:schemas-upnp-org:device:MediaRenderer:1';
+
+/**
+ * @class YamahaMusicCastDiscovery
+ * @description Discovers Yamaha MusicCast devices on the network using SSDP. Can search once, or monitor the network continuously for devices coming and going.
  * @version 1.0.0
- * @exports YamahaMusicCastNetworkUSB
+ * @exports YamahaMusicCastDiscovery
  * @requires axios
+ * @requires dgram
+ * @requires events
  */
-class YamahaMusicCastNetworkUSB {
-  #ip;
+class YamahaMusicCastDiscovery extends EventEmitter {
+  #timeout;
+  #retries;
+  #retryInterval;
+  #clients;
   #eventPort;
-  #axiosInstance;
+  #keepAlive;
+  #transport;
+  #socket = null;
+  #devices = new Map();
+  #expiryTimers = new Map();
+  #pending = new Set();
+  #ignored = new Set();
 
   /**
-   * @method constructor
-   * @param {string} ip
-   * @param {number} eventPort
-   * @description Creates an instance of YamahaMusicCastNetworkUSB.
-   * @version 1.0.0 
+   * @constructor YamahaMusicCastDiscovery
+   * @param {object} options
+   * @param {number} options.timeout - The time in milliseconds to wait for replies to a search.
+   * @param {number} options.retries - The number of times the M-SEARCH request is repeated, as UDP packets may get lost.
+   * @param {number} options.retryInterval - The time in milliseconds between the M-SEARCH requests.
+   * @param {boolean} options.clients - Resolve searches with connected YamahaMusicCast instances keyed by UUID instead of the device descriptions.
+   * @param {number} options.eventPort - The event port of the YamahaMusicCast instances.
+   * @param {boolean} options.keepAlive - Whether the YamahaMusicCast instances keep their event subscription alive (default true).
+   * @param {object} options.transport - The transport options of the YamahaMusicCast instances.
+   * @description Creates an instance of YamahaMusicCastDiscovery.
+   * @version 1.0.0
+   * @public
    */
-  constructor(ip, eventPort) {
-    this.setup(ip, eventPort);
+  constructor(options = {}) {
+    super();
+    this.#timeout = options.timeout || 3000;
+    this.#retries = options.retries !== undefined ? options.retries : 2;
+    this.#retryInterval = options.retryInterval || 500;
+    this.#clients = options.clients || false;
+    this.#eventPort = options.eventPort !== undefined ? options.eventPort : 50001;
+    this.#keepAlive = options.keepAlive !== false;
+    this.#transport = options.transport || {};
   }
 
   /**
-   * @method setup
-   * @param {string} ip
-   * @param {number} eventPort
-   * @description Sets up the YamahaMusicCastNetworkUSB instance.
-   * @version 1.0.0
-   * @private 
+   * @method connect
+   * @param {Array<object>} devices - The devices found by a search.
+   * @description Creates a YamahaMusicCast instance for every device and loads its device information and features. Devices which fail to connect are skipped. Errors of the instances are emitted as "warning".
+   * @returns {Promise<Object<string, YamahaMusicCast>>}
+   * @public
    */
-  setup(ip, eventPort) {
-    // Set the Yamaha receiver IP address
-    this.#ip = ip;
-    // Set the Yamaha receiver event port (UDP - default 41100)
-    this.#eventPort = eventPort;
-    // Create an axios instance
-    this.#axiosInstance = axios.create({
-      baseURL: `http://${this.#ip}:80/YamahaExtendedControl/v1/netusb`,
-      timeout: 15 * 1000,
-      headers: {
-        'X-AppName': 'ERDesigns/1.0',
-        'X-AppPort': this.#eventPort,
-      },
+  connect(devices) {
+    const clients = devices.map((device) => {
+      const client = new YamahaMusicCast({ ip: device.ip, eventPort: this.#eventPort, keepAlive: this.#keepAlive, transport: { ...this.#transport } });
+      client.on('error', (error) => {
+        this.emit('warning', error);
+      });
+      return client;
+    });
+    return Promise.allSettled(clients.map((client) => client.connect())).then((results) => {
+      const connected = {};
+      results.forEach((result, index) => {
+        if (result.status === 'fulfilled') {
+          connected[devices[index].uuid] = clients[index];
+        } else {
+          clients[index].close();
+          this.emit('warning', result.reason);
+        }
+      });
+      return connected;
     });
   }
 
   /**
-   * @method getPresetInfo
-   * @description For retrieving preset information. Presets are common use among Net/USB related input sources.
-   * @returns {Promise}
-   * @public
+   * @method parseHeaders
+   * @param {string} message - The SSDP message.
+   * @description Parses the headers of a SSDP message. Header names are lower-cased.
+   * @returns {object}
+   * @private
    */
-  getPresetInfo() {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/getPresetInfo')
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res)
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
+  parseHeaders(message) {
+    const headers = {};
+    message.split('\r\n').slice(1).forEach((line) => {
+      const index = line.indexOf(':');
+      if (index > 0) {
+        headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+      }
     });
+    return headers;
   }
 
   /**
-   * @method getPlayInfo
-   * @description For retrieving playback information.
-   * @returns {Promise}
-   * @public
+   * @method parseUUID
+   * @param {string} usn - The USN header, e.g. "uuid:9ab0c000-f668-11de-9976-00a0ded12345::upnp:rootdevice".
+   * @description Gets the (upper-cased) UUID from the USN header.
+   * @returns {?string}
+   * @private
    */
-  getPlayInfo() {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/getPlayInfo')
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res)
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  parseUUID(usn) {
+    const match = /uuid:([^:]+)/i.exec(usn || '');
+    return match ? match[1].toUpperCase() : null;
   }
 
   /**
-   * @method setPlayback
-   * @param {string} playback - Specifies playback status. Values: "play" / "stop" / "pause" / "play_pause" / "previous" / "next" / "fast_reverse_start" / "fast_reverse_end" / "fast_forward_start" / "fast_forward_end"
-   * @description For controlling playback status
-   * @returns {Promise}
-   * @public
+   * @method parseMaxAge
+   * @param {object} headers - The parsed headers.
+   * @description Gets the max-age of the CACHE-CONTROL header: the time in seconds an announcement or search reply is valid.
+   * @returns {?number}
+   * @private
    */
-  setPlayback(playback) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/setPlayback', { params: { playback } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res)
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  parseMaxAge(headers) {
+    const match = /max-age\s*=\s*(\d+)/i.exec(headers['cache-control'] || '');
+    return match ? Number(match[1]) : null;
   }
 
   /**
-   * @method setPlayPosition  
-   * @param {number} position - Specifies play position (sec). Value : no fewer than total_time gotten via getPlayInfo, nor more than 0
-   * @description For setting track play position. This API is available only when input is Server.
-   * @returns {Promise}
-   * @public
+   * @method parseTag
+   * @param {string} xml
+   * @param {string} tag
+   * @description Gets the content of a tag in the device description, or null when the tag is missing.
+   * @returns {?string}
+   * @private
    */
-  setPlayPosition(position) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/setPlayPosition', { params: { position } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res)
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  parseTag(xml, tag) {
+    const match = new RegExp(`<${tag}>([^<]*)</${tag}>`, 'i').exec(xml);
+    return match ? match[1] : null;
   }
 
   /**
-   * @method toggleRepeat
-   * @description For toggling repeat setting. No direct / discrete setting commands available
-   * @returns {Promise}
-   * @public
+   * @method describe
+   * @param {string} ip - The IP address of the device.
+   * @param {string} location - The location of the device description.
+   * @description Gets the device description. Resolves with null when the device is not a MusicCast device, which is recognized by the "yamaha:X_device" element and the YXC control URL.
+   * @returns {Promise<?object>}
+   * @private
    */
-  toggleRepeat() {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/toggleRepeat')
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res)
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
+  describe(ip, location) {
+    return axios.get(location, { timeout: this.#timeout }).then((response) => {
+      const xml = String(response.data);
+      if (!/<yamaha:X_device>/i.test(xml) || !/<yamaha:X_yxcControlURL>/i.test(xml)) {
+        return null;
+      }
+      const udn = this.parseTag(xml, 'UDN');
+      return {
+        ip,
+        name: this.parseTag(xml, 'friendlyName'),
+        manufacturer: this.parseTag(xml, 'manufacturer'),
+        manufacturerURL: this.parseTag(xml, 'manufacturerURL'),
+        modelDescription: this.parseTag(xml, 'modelDescription'),
+        modelName: this.parseTag(xml, 'modelName'),
+        modelNumber: this.parseTag(xml, 'modelNumber'),
+        modelURL: this.parseTag(xml, 'modelURL'),
+        serialNumber: this.parseTag(xml, 'serialNumber'),
+        uuid: udn ? udn.replace(/^uuid:/i, '').toUpperCase() : null,
+      };
     });
   }
 
   /**
-   * @method toggleShuffle
-   * @description For toggling shuffle setting. No direct / discrete setting commands available
-   * @returns {Promise}
+   * @method search
+   * @param {number} timeout - The time in milliseconds to wait for replies.
+   * @description Searches the network for MusicCast devices. The M-SEARCH request is repeated, replies are deduplicated and devices which do not answer with a description are skipped instead of failing the search.
+   * @returns {Promise<Array<object>|Object<string, YamahaMusicCast>>} The devices found, or the connected clients keyed by UUID when the "clients" option is set.
    * @public
    */
-  toggleShuffle() {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/toggleShuffle')
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res)
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  search(timeout = this.#timeout) {
+    return this.find(timeout)
+      .then((results) => results.map((result) => result.device))
+      .then((devices) => (this.#clients ? this.connect(devices) : devices));
   }
 
   /**
-   * @method getListInfo
-   * @param {string} list_id - Specifies list ID. If nothing specified, "main" is chosen implicitly. Values: "main" (common for all Net/USB sources), "auto_complete" (Pandora), "search_artist" (Pandora), "search_track" (Pandora)
-   * @param {string} input Specifies target Input ID. Controls for setListControl are to work with the input specified here. Values: Input IDs for Net/USB related sources
-   * @param {number} index - Specifies the reference index (offset from the beginning of the list). Note that this index must be in multiple of 8. If nothing was specified, the reference index previously specified would be used. Values: 0, 8, 16, 24, ..., 64984, 64992
-   * @param {number} size - Specifies max list size retrieved at a time.
-   * @param {string} lang - Specifies list language. But menu names or text info are not always necessarily pulled in a language specified here. If nothing specified, English ("en") is used implicitly. Values: "en" (English)/ "ja" (Japanese)/ "fr" (French)/ "de" (German)/ "es" (Spanish)/ "ru" (Russian)/ "it" (Italy)/ "zh" (Chinese)
+   * @method find
+   * @param {number} timeout - The time in milliseconds to wait for replies.
+   * @description Sends the M-SEARCH requests and gets the description of every MusicCast device that replied.
+   * @returns {Promise<Array<{device: object, maxAge: ?number}>>} The devices, with the time in seconds their reply is valid.
+   * @private
    */
-  getListInfo(list_id, input, index, size, lang) {
+  find(timeout) {
     return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/getListInfo', { params: { list_id, input, index, size, lang } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res)
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
+      // Create a new UDP client
+      const client = dgram.createSocket('udp4');
+      // Locations of the devices that replied, keyed by UUID (or location when there is no USN)
+      const replies = new Map();
+      const timers = [];
+
+      // Listen for 'message' events
+      client.on('message', (msg, rinfo) => {
+        const message = msg.toString();
+        const headers = this.parseHeaders(message);
+        if (!headers.location || !String(headers.st || headers.nt).includes(SSDP_SEARCH_TARGET)) {
+          return;
+        }
+        const key = this.parseUUID(headers.usn) || headers.location;
+        if (!replies.has(key)) {
+          replies.set(key, { ip: rinfo.address, location: headers.location, maxAge: this.parseMaxAge(headers) });
+        }
+      });
+
+      // Listen for 'error' events
+      client.on('error', (error) => {
+        timers.forEach((timer) => clearTimeout(timer));
+        client.close();
+        reject(error);
+      });
+
+      // Bind the client to a random port
+      client.bind(() => {
+        // Set the client to broadcast mode
+        client.setBroadcast(true);
+
+        // Format the search request
+        const searchRequest =
+          `M-SEARCH * HTTP/1.1\r\n` +
+          `HOST: ${SSDP_ADDR}:${SSDP_PORT}\r\n` +
+          `MAN: "ssdp:discover"\r\n` +
+          `MX: 3\r\n` +
+          `ST: ${SSDP_SEARCH_TARGET}\r\n` +
+          `\r\n`;
+
+        // Send the search request, repeated as UDP packets may get lost
+        for (let attempt = 0; attempt <= this.#retries; attempt++) {
+          timers.push(setTimeout(() => {
+            client.send(searchRequest, 0, searchRequest.length, SSDP_PORT, SSDP_ADDR, (error) => {
+              if (error) {
+                this.emit('warning', error);
+              }
+            });
+          }, attempt * this.#retryInterval));
+        }
+
+        timers.push(setTimeout(() => {
+          // Cancel the repeats which are still scheduled
+          timers.forEach((timer) => clearTimeout(timer));
+          client.close();
+
+          // Get the device information for each receiver, one unreachable device does not fail the search
+          const promises = [...replies.values()].map((reply) => this.describe(reply.ip, reply.location).then((device) => device && { device, maxAge: reply.maxAge }));
+          Promise.allSettled(promises).then((results) => {
+            const devices = new Map();
+            results.forEach((result) => {
+              if (result.status === 'fulfilled' && result.value && !devices.has(result.value.device.uuid)) {
+                devices.set(result.value.device.uuid, result.value);
+              }
+            });
+            // Resolve the promise with the list of devices found.
+            resolve([...devices.values()]);
+          });
+        }, timeout));
+      });
     });
   }
 
   /**
-   * @method setListControl
-   * @param {string} list_id - Specifies list ID. If nothing specified, "main" is chosen implicitly. Values: "main" (common for all Net/USB sources), "auto_complete" (Pandora), "search_artist" (Pandora), "search_track" (Pandora)
-   * @param {string} type - Specifies list transition type. "select" is to enter and get into one deeper layer than the current layer where the element specified by the index belongs to. "play" is to start playback current index element, "return" is to go back one upper layer than current. "select" and "play" needs to specify an index at the same time. In case to “select” an element with its attribute being "Capable of Search", specify search text using setSearchString in advance. (Or it is possible to specify search text and move layers at the same time by specifying an index in setSearchString). Values: "select" / "play" / "return".
-   * @param {number} index - Specifies an element position in the list being selected (offset from the beginning of the list). This is mandatory to specify if the type is "select" or "play". Value Range: 0 - 64999
-   * @param {string} zone - Specifies target zone ID. If nothing specified, "main" is chosen implicitly. Values: "main" / "zone2" / "zone3" / "zone4"
+   * @method alive
+   * @param {string} uuid
+   * @param {string} ip
+   * @param {string} location
+   * @param {number} maxAge - The time in seconds the announcement is valid.
+   * @description Handles a device announcing itself. Emits "deviceFound" for new MusicCast devices.
+   * @returns {void}
+   * @private
+   */
+  alive(uuid, ip, location, maxAge) {
+    if (this.#ignored.has(uuid)) {
+      return;
+    }
+    // Renew the expiry of the announcement
+    this.expire(uuid, maxAge);
+
+    if (this.#devices.has(uuid) || this.#pending.has(uuid)) {
+      return;
+    }
+    this.#pending.add(uuid);
+    this.describe(ip, location)
+      .then((device) => {
+        if (!device) {
+          this.#ignored.add(uuid);
+          clearTimeout(this.#expiryTimers.get(uuid));
+          this.#expiryTimers.delete(uuid);
+          return;
+        }
+        if (this.#socket && this.#expiryTimers.has(uuid)) {
+          this.#devices.set(uuid, device);
+          this.emit('deviceFound', device);
+        }
+      })
+      .catch((error) => {
+        // Try again with the next announcement
+        clearTimeout(this.#expiryTimers.get(uuid));
+        this.#expiryTimers.delete(uuid);
+        this.emit('warning', error);
+      })
+      .finally(() => {
+        this.#pending.delete(uuid);
+      });
+  }
+
+  /**
+   * @method expire
+   * @param {string} uuid
+   * @param {number} maxAge - The time in seconds the announcement or search reply is valid (default 1800).
+   * @description Arms the expiry of a device, replacing the previous one. The device is lost when it does not announce itself again in time.
+   * @returns {void}
+   * @private
    */
-  setListControl(list_id, type, index, zone) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/setListControl', { params: { list_id, type, index, zone } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res)
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  expire(uuid, maxAge) {
+    clearTimeout(this.#expiryTimers.get(uuid));
+    const timer = setTimeout(() => this.byebye(uuid), (maxAge || 1800) * 1000);
+    timer.unref();
+    this.#expiryTimers.set(uuid, timer);
   }
-  
+
   /**
-   * @method setSearchString
-   * @description For setting search string. This is to specify search text for "Capable of Search" element. This is also to specify search text and move layers at the same time by specifying an index in setSearchString. If nothing specified, "main" is chosen implicitly. Values: "main" (common for all Net/USB sources), "auto_complete" (Pandora), "search_artist" (Pandora), "search_track" (Pandora)
-   * @param {string} list_id - Specifies list ID. If nothing specified, "main" is chosen implicitly. Values: "main" (common for all Net/USB sources), "auto_complete" (Pandora), "search_artist" (Pandora), "search_track" (Pandora)
-   * @param {string} string - Specifies search text. Values: Any text string
-   * @param {number} index - Specifies an element position in the list being selected (offset from the beginning of the list). This is mandatory to specify if the type is "select" or "play". Value Range: 0 - 64999
-   * @returns {Promise}
-   * @public
-   */
-  setSearchString(list_id, string, index) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/setSearchString', { params: { list_id, string, index } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res)
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+   * @method byebye
+   * @param {string} uuid
+   * @description Handles a device leaving the network or its announcement expiring. Emits "deviceLost" for known devices.
+   * @returns {void}
+   * @private
+   */
+  byebye(uuid) {
+    clearTimeout(this.#expiryTimers.get(uuid));
+    this.#expiryTimers.delete(uuid);
+    const device = this.#devices.get(uuid);
+    if (device) {
+      this.#devices.delete(uuid);
+      this.emit('deviceLost', device);
+    }
   }
 
   /**
-   * @method recallPreset
-   * @description For recalling a preset. This is to recall a preset registered by setStorePreset. Values: "main" (common for all Net/USB sources), "auto_complete" (Pandora), "search_artist" (Pandora), "search_track" (Pandora)
-   * @param {string} zone - Specifies target zone ID. If nothing specified, "main" is chosen implicitly. Values: "main" / "zone2" / "zone3" / "zone4"
-   * @param {number} num - Specifies preset number. Value Range: 1 - 40
+   * @method start
+   * @description Starts monitoring the network. Listens for NOTIFY alive/byebye announcements and emits "deviceFound" and "deviceLost". A search is done right away, so devices already on the network are found too. Rejects when the SSDP socket can not be set up, later socket errors are emitted as "error" (or as "warning" when there is no error listener).
    * @returns {Promise}
    * @public
    */
-  recallPreset(zone, num) {
+  start() {
     return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/recallPreset', { params: { zone, num } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res)
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
+      if (this.#socket) {
+        return resolve();
+      }
+      // Other SSDP clients on this machine listen on the same port
+      const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+      this.#socket = socket;
+
+      socket.on('message', (msg, rinfo) => {
+        const message = msg.toString();
+        if (!message.startsWith('NOTIFY')) {
+          return;
+        }
+        const headers = this.parseHeaders(message);
+        const uuid = this.parseUUID(headers.usn);
+        if (!uuid) {
+          return;
+        }
+        if (headers.nts === 'ssdp:byebye') {
+          this.byebye(uuid);
+        } else if (headers.nts === 'ssdp:alive' && headers.location && headers.nt === SSDP_SEARCH_TARGET) {
+          this.alive(uuid, rinfo.address, headers.location, this.parseMaxAge(headers));
+        }
+      });
+
+      // Errors while starting reject start(), later errors are emitted
+      let started = false;
+      socket.on('error', (error) => {
+        this.stop();
+        if (!started) {
           reject(error);
-        });
+        } else {
+          this.emit(this.listenerCount('error') > 0 ? 'error' : 'warning', error);
+        }
+      });
+
+      socket.bind(SSDP_PORT, () => {
+        try {
+          socket.addMembership(SSDP_ADDR);
+        } catch (error) {
+          this.stop();
+          reject(error);
+          return;
+        }
+        started = true;
+        resolve();
+        // Find the devices which are already on the network, they expire like announced devices
+        this.find(this.#timeout)
+          .then((results) => {
+            results.forEach(({ device, maxAge }) => {
+              if (this.#socket && !this.#devices.has(device.uuid) && !this.#ignored.has(device.uuid)) {
+                this.#devices.set(device.uuid, device);
+                this.expire(device.uuid, maxAge);
+                this.emit('deviceFound', device);
+              }
+            });
+          })
+          .catch((error) => {
+            this.emit('warning', error);
+          });
+      });
     });
   }
 
   /**
-   * @method storePreset
-   * @description For storing a preset. This is to store a preset. Values: "main" (common for all Net/USB sources), "auto_complete" (Pandora), "search_artist" (Pandora), "search_track" (Pandora)
-   * @param {number} num - Specifies preset number. Value Range: 1 - 40
-   * @returns {Promise}
+   * @method stop
+   * @description Stops monitoring the network.
+   * @returns {void}
    * @public
    */
-  storePreset(num) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/storePreset', { params: { num } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res)
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  stop() {
+    if (this.#socket) {
+      this.#socket.close();
+      this.#socket = null;
+    }
+    this.#expiryTimers.forEach((timer) => clearTimeout(timer));
+    this.#expiryTimers.clear();
+    this.#devices.clear();
   }
 
   /**
-   * @method clearPreset
-   * @description For clearing a preset. This is to clear a preset registered by setStorePreset. Values: "main" (common for all Net/USB sources), "auto_complete" (Pandora), "search_artist" (Pandora), "search_track" (Pandora)
-   * @param {number} num - Specifies preset number. Value Range: 1 - 40
-   * @returns {Promise}
-   * @public
+   * @getter devices
+   * @description Gets the devices currently found by the monitor.
+   * @returns {Array<object>}
    */
-  clearPreset(num) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/clearPreset', { params: { num } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res)
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  get devices() {
+    return [...this.#devices.values()];
   }
 
   /**
-   * @method movePreset
-   * @description For moving a preset. This is to move a preset registered by setStorePreset. Values: "main" (common for all Net/USB sources), "auto_complete" (Pandora), "search_artist" (Pandora), "search_track" (Pandora)
-   * @param {number} from - Specifies preset number. Value Range: 1 - 40
-   * @param {number} to - Specifies preset number. Value Range: 1 - 40
-   * @returns {Promise}
-   * @public
+   * @getter monitoring
+   * @description Gets whether the network is being monitored.
+   * @returns {boolean}
    */
-  movePreset(from, to) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/movePreset', { params: { from, to } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  get monitoring() {
+    return this.#socket !== null;
   }
 
-  /**
-   * @method getSettings
-   * @description For retrieving setup of Net/USB.
-   * @returns {Promise}
+}
+
+/**
+ * @constant EVENT_ZONES
+ * @description The zones that can be found in the event notifications sent by the Yamaha receiver.
+ */
+const EVENT_ZONES = ['main', 'zone2', 'zone3', 'zone4'];
+
+/**
+ * @constant EVENT_KEYS
+ * @description The keys of the event notifications per subsystem which are emitted as typed events. Other keys are only emitted as "event", so a notification can not emit reserved event names like "error" or "listening".
+ */
+const EVENT_KEYS = {
+  zone: ['power', 'input', 'volume', 'actual_volume', 'mute', 'sleep', 'status_updated', 'signal_info_updated'],
+  system: ['bluetooth_info_updated', 'func_status_updated', 'speaker_settings_updated', 'name_text_updated', 'tag_updated', 'location_info_updated', 'stereo_pair_info_updated'],
+  tuner: ['play_info_updated', 'preset_info_updated'],
+  netusb: ['play_error', 'multiple_play_errors', 'play_message', 'account_updated', 'play_time', 'preset_info_updated', 'recent_info_updated', 'preset_control', 'trial_status', 'trial_time_left', 'play_info_updated', 'list_info_updated'],
+  cd: ['device_status', 'play_time', 'play_info_updated'],
+  clock: ['settings_updated'],
+  dist: ['dist_info_updated'],
+};
+
+/**
+ * @constant SUBSCRIPTION_TIMEOUT
+ * @description The time in milliseconds a Yamaha receiver keeps sending events after the last request with the X-AppName/X-AppPort headers.
+ */
+const SUBSCRIPTION_TIMEOUT = 10 * 60 * 1000;
+
+/**
+ * @class YamahaMusicCastEventHub
+ * @description Receives the event notifications of many Yamaha receivers on one UDP socket and routes them to the YamahaMusicCast instances by the source address and the device ID in the payload. The socket is bound when the first instance registers and closed when the last one leaves.
+ * @version 1.0.0
+ * @exports YamahaMusicCastEventHub
+ * @requires dgram
+ * @requires events
+ */
+class YamahaMusicCastEventHub extends EventEmitter {
+  static #shared = new Map();
+  #port;
+  #rebindDelay;
+  #maxRebindDelay;
+  #socket = null;
+  #address = null;
+  #devices = new Set();
+  #rebindTimer = null;
+  #rebindAttempts = 0;
+  #stats = { packetsReceived: 0, packetsDropped: 0, parseErrors: 0, socketErrors: 0, rebinds: 0, lastEventTime: null };
+
+  /**
+   * @constructor YamahaMusicCastEventHub
+   * @param {number} port - The UDP port to bind, 0 lets the operating system pick a free port (default 50001).
+   * @param {object} options
+   * @param {number} options.rebindDelay - The time in milliseconds before the socket is bound again after an error, doubled on every failed attempt (default 1 second).
+   * @param {number} options.maxRebindDelay - The maximum time in milliseconds between the rebind attempts (default 1 minute).
+   * @description Creates an instance of YamahaMusicCastEventHub. Use YamahaMusicCastEventHub.shared() to get the hub all instances on a port share.
+   * @version 1.0.0
    * @public
    */
-  getSettings() {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/getSettings')
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  constructor(port = 50001, options = {}) {
+    super();
+    this.#port = port;
+    this.#rebindDelay = options.rebindDelay || 1000;
+    this.#maxRebindDelay = options.maxRebindDelay || 60 * 1000;
   }
 
   /**
-   * @method setQuality
-   * @description For setting up quality of Net/USB.
-   * @param {string} input - Specifies target Input ID. Values: "qobuz".
-   * @param {string} value - Specifies reproduction quality. Refer to available value in each input via /getSettings. Values: "hr_192_24" / "hr_96_24" / "cd_44_16" / "mp3_320"
-   * @returns {Promise}
+   * @method shared
+   * @param {number} port - The UDP port, 0 for an automatically selected port.
+   * @description Gets the hub shared by all YamahaMusicCast instances using the port. Instances asking for port 0 share one automatically selected port.
+   * @returns {YamahaMusicCastEventHub}
    * @public
    */
-  setQuality(input = 'qobuz', value) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/setQuality', { params: { input, value } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  static shared(port = 50001) {
+    if (!YamahaMusicCastEventHub.#shared.has(port)) {
+      YamahaMusicCastEventHub.#shared.set(port, new YamahaMusicCastEventHub(port));
+    }
+    return YamahaMusicCastEventHub.#shared.get(port);
   }
 
   /**
-   * @method getRecentInfo
-   * @description For retrieving playback history. History is shared among all Net/USB Input sources.
-   * @returns {Promise}
+   * @method register
+   * @param {YamahaMusicCast} device
+   * @description Routes the events of the device to the instance, binding the socket if needed. When the socket is already listening, the instance is told the effective port right away.
+   * @returns {void}
    * @public
    */
-  getRecentInfo() {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/getRecentInfo')
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  register(device) {
+    this.#devices.add(device);
+    if (!this.#socket) {
+      this.bind();
+    } else if (this.#address) {
+      device.handleListening(this.#address);
+    }
   }
 
   /**
-   * @method recallRecentItem
-   * @description For recalling a content via playback history.
-   * @param {string} zone - Specifies target Zone ID. Values: "main", "zone2", "zone3", "zone4"
-   * @param {number} num - Specifies preset number. Value Range: 1 - 40
-   * @returns {Promise}
+   * @method unregister
+   * @param {YamahaMusicCast} device
+   * @description Stops routing events to the instance. The socket is closed when no instances are left.
+   * @returns {void}
    * @public
    */
-  recallRecentItem(zone, num) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/recallRecentItem', { params: { zone, num } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res)
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  unregister(device) {
+    this.#devices.delete(device);
+    if (this.#devices.size === 0) {
+      this.close();
+    }
   }
 
   /**
-   * @method clearRecentInfo
-   * @description For clearing all recent history informaiton.
-   * @returns {Promise}
-   * @public
+   * @method bind
+   * @description Creates the UDP socket and binds it to the port.
+   * @returns {void}
+   * @private
    */
-  clearRecentInfo() {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/clearRecentInfo')
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res)
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
+  bind() {
+    // Create a UDP server
+    const socket = dgram.createSocket('udp4');
+    this.#socket = socket;
+
+    // Listen for error events
+    socket.on('error', (error) => {
+      this.#stats.socketErrors += 1;
+      socket.close();
+      if (this.#socket === socket) {
+        this.#socket = null;
+        this.#address = null;
+        this.rebind();
+      }
+      this.#devices.forEach((device) => device.handleEventError(error));
+    });
+
+    // Listen for message events
+    socket.on('message', (msg, rinfo) => {
+      this.#stats.packetsReceived += 1;
+      // A malformed or truncated packet must not take the socket down
+      let json;
+      try {
+        json = JSON.parse(msg.toString());
+      } catch (error) {
+        this.#stats.packetsDropped += 1;
+        this.#stats.parseErrors += 1;
+        const parseError = { error, raw: msg, address: rinfo.address, port: rinfo.port };
+        this.emit('parseError', parseError);
+        this.dispatch(this.route(null, rinfo), (device) => device.emit('parseError', parseError));
+        return;
+      }
+      this.#stats.lastEventTime = Date.now();
+      this.emit('message', rinfo, json);
+      const devices = this.route(json, rinfo);
+      if (devices.length === 0) {
+        this.#stats.packetsDropped += 1;
+        this.emit('unrouted', rinfo, json);
+      }
+      this.dispatch(devices, (device) => device.handleEvent(json, rinfo));
+    });
+
+    // Listen for listening events
+    socket.on('listening', () => {
+      this.#rebindAttempts = 0;
+      this.#address = socket.address();
+      this.emit('listening', this.#address);
+      this.#devices.forEach((device) => device.handleListening(this.#address));
     });
+
+    // Bind the server to the event port
+    socket.bind(this.#port);
   }
 
   /**
-   * @method managePlay
-   * @description For controlling playback of Net/USB.
-   * @param {string} type - Specifies type of special processing. Value: "add_bookmark" (Net Radio), "add_track" (Rhapsody / Napster / Pandora / JUKE / Qobuz), "add_album" (Rhapsody / Napster / JUKE), "add_channel_track" (Pandora), "add_channel_artist" (Pandora), "add_playlist" (Qobuz), "thumbs_up" (Pandora), "thumbs_down" (Pandora), "mark_tired" (Pandora)
-   * @param {number} timeout - Specifies timeout duration(ms) for this API process. If specifies 0, treat as maximum vale. Value: 0 ～ 60000
-   * @returns {Promise}
-   * @public
-   */
-  managePlay(type, timeout = 5000) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/managePlay', { params: { type, timeout } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res)
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+   * @method rebind
+   * @description Binds the socket again after an error. The delay doubles with every attempt until the socket is listening again.
+   * @returns {void}
+   * @private
+   */
+  rebind() {
+    const delay = Math.min(this.#rebindDelay * 2 ** this.#rebindAttempts, this.#maxRebindDelay);
+    this.#rebindAttempts += 1;
+    this.#rebindTimer = setTimeout(() => {
+      this.#rebindTimer = null;
+      if (this.#devices.size > 0 && !this.#socket) {
+        this.#stats.rebinds += 1;
+        this.bind();
+      }
+    }, delay);
+    // Do not keep the process alive for the rebind timer only
+    this.#rebindTimer.unref();
   }
 
   /**
-   * @method manageList
-   * @description For controlling playback of Net/USB.
-   * @param {string} list_id - Specifies type of special processing. Value: "add_bookmark" (Net Radio), "add_track" (Rhapsody / Napster / JUKE / Qobuz), "add_album" (Rhapsody / Napster / JUKE / Qobuz), "add_artist" (Qobuz), "add_channel" (Rhasody / Napster / Pandora), "add_playlist" (Qobuz), "remove_bookmark" (Net Radio), "remove_track" (Rhapsody / Napster / JUKE / Qobuz), "remove_album" (Rhapsody / Napster / JUKE / Qobuz), "remove_artist" (Qobuz), "remove_channel" (Rhapsody / Napster / Pandora), "remove_playlist" (Rhapsody / Napster / Qobuz), "end_auto_complete" (Pandora), "end_auto_complete" must be excuted when make a Auto Complete window (Pandora) disappear. (certification requirement)
-   * @param {string} type - Specifies type of special processing. Value: "play", "play_next", "play_previous", "select_track", "select_album", "select_playlist", "select_channel", "select_preset"
-   * @param {number} index - Specifies the reference index (offset from the beginning of the list). No parameter set if type is "end_auto_complete". Vaule: 0 ~ 64999
-   * @param {string} zone - Specifies target Zone ID. Values: "main", "zone2", "zone3", "zone4"
-   * @param {number} timeout - Specifies timeout duration(ms) for this API process. If specifies 0, treat as maximum vale. Value: 0 ～ 60000
+   * @method close
+   * @description Closes the UDP socket and forgets the shared hub.
+   * @returns {void}
+   * @private
    */
-  manageList(list_id, type, index, zone, timeout = 5000) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/manageList', { params: { list_id, type, index, zone, timeout } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res)
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  close() {
+    if (this.#rebindTimer) {
+      clearTimeout(this.#rebindTimer);
+      this.#rebindTimer = null;
+    }
+    this.#rebindAttempts = 0;
+    if (this.#socket) {
+      this.#socket.close();
+      this.#socket = null;
+      this.#address = null;
+    }
+    if (YamahaMusicCastEventHub.#shared.get(this.#port) === this) {
+      YamahaMusicCastEventHub.#shared.delete(this.#port);
+    }
   }
 
   /**
-   * @method getPlayDescription
-   * @description For retrieving track’s detail information.
-   * @param {string} type - Specifies type of information to retrieve. Value: "why_this_song", "why_this_album", "why_this_artist", "why_this_playlist", "why_this_channel"
-   * @param {number} timeout - Specifies timeout duration(ms) for this API process. If specifies 0, treat as maximum vale. Value: 0 ～ 60000
-   * @returns {Promise}
-   * @public
+   * @method route
+   * @param {object} json - The event notification.
+   * @param {object} rinfo - The remote address information of the sender.
+   * @description Finds the instances the notification is meant for. The instances with the source address as IP address are used, narrowed down by the device ID when more devices share the address (e.g. behind a NAT). Without an address match, the device ID is used alone, which covers instances created with a host name. Notifications matching neither are not routed.
+   * @returns {Array<YamahaMusicCast>}
+   * @private
    */
-  getPlayDescription(type = 'why_this_song', timeout = 5000) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/getPlayDescription', { params: { type, timeout } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res)
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
+  route(json, rinfo) {
+    const devices = [...this.#devices];
+    const deviceId = json && json.device_id;
+    const matchesId = (device) => Boolean(deviceId && device.deviceInfo && device.deviceInfo.device_id === deviceId);
+
+    // Route by the source address first
+    const byAddress = devices.filter((device) => device.ip === rinfo.address);
+    if (byAddress.length > 1 && byAddress.some(matchesId)) {
+      return byAddress.filter(matchesId);
+    }
+    if (byAddress.length > 0) {
+      return byAddress;
+    }
+    // Fall back to the device ID
+    return devices.filter(matchesId);
+  }
+
+  /**
+   * @method dispatch
+   * @param {Array<YamahaMusicCast>} devices - The instances the notification is routed to.
+   * @param {function} handler - Called with every instance.
+   * @description Hands a notification to the instances. An error thrown while one instance handles it (e.g. by an event listener) is reported by that instance and does not keep the others from receiving it.
+   * @returns {void}
+   * @private
+   */
+  dispatch(devices, handler) {
+    devices.forEach((device) => {
+      try {
+        handler(device);
+      } catch (error) {
+        device.report(error);
+      }
     });
   }
 
   /**
-   * @method setListSortOption
-   * @description For setting List sorting method. Retrieve List information via /getListInfo after setting
-   * @param {string} input - Specifies target Input ID. Controls for setListControl are to work with the input specified here. Value : "pandora"
-   * @param {string} type - Specifies type of sorting. Value: "date", "alphabet", "new", "old", "track", "album", "artist", "genre", "none"
+   * @getter port
+   * @description Gets the effective UDP port, which differs from the requested port when it was 0. Null while the socket is not listening.
+   * @returns {?number}
    */
-  setListSortOption(input = 'pandora', type = 'date') {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/setListSortOption', { params: { input, type } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res)
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  get port() {
+    return this.#address ? this.#address.port : null;
   }
 
   /**
-   * @method getAccountStatus
-   * @description For retrieving account information registered on Device.
-   * @returns {Promise}
-   * @public
+   * @getter listening
+   * @description Gets whether the socket is listening.
+   * @returns {boolean}
    */
-  getAccountStatus() {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/getAccountStatus')
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res)
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  get listening() {
+    return this.#address !== null;
   }
 
   /**
-   * @method switchAccount
-   * @description For switching account for service corresponding multi account.
-   * @param {string} input - Specifies target Input ID. Controls for setListControl are to work with the input specified here. Value : "pandora"
-   * @param {number} index - Specifies switch account index. Value : 0 ~ 7 (Pandora)
-   * @param {number} timeout - Specifies timeout duration(ms) for this API process. If specifies 0, treat as maximum vale. Value: 0 ～ 60000
-   * @returns {Promise}
-   * @public
+   * @getter stats
+   * @description Gets the listener health: the packets received and dropped (malformed or not meant for a registered instance), the parse and socket errors, the rebinds and the time of the last event.
+   * @returns {{packetsReceived: number, packetsDropped: number, parseErrors: number, socketErrors: number, rebinds: number, lastEventTime: ?number, listening: boolean}}
    */
-  switchAccount(input, index, timeout = 5000) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/switchAccount', { params: { input, index, timeout } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res)
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  get stats() {
+    return { ...this.#stats, listening: this.listening };
   }
 
   /**
-   * @method getServiceInfo
-   * @description For retrieving service information.
-   * @param {string} input - Specifies target Input ID. Value: "pandora" / "rhapsody" / "napster"
-   * @param {string} type - Specifies type of retrieving info. Value: "account_list" (Pandora), "licensing" (Rhapsody / Napster / Pandora), "activation_code" (Pandora)
-   * @param {number} timeout - Specifies timeout duration(ms) for this API process. If specifies 0, treat as maximum vale. Value: 0 ～ 60000
-   * @returns {Promise}
-   * @public
+   * @getter devices
+   * @description Gets the registered YamahaMusicCast instances.
+   * @returns {Array<YamahaMusicCast>}
    */
-  getServiceInfo(input, type, timeout = 5000) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/getServiceInfo', { params: { input, type, timeout } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res)
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  get devices() {
+    return [...this.#devices];
   }
 
 }
 
 /**
- * @class YamahaMusicCastCD
- * @description Yamaha MusicCast CD Class.
+ * @class YamahaMusicCastState
+ * @description Local state cache mirroring the Yamaha receiver. Populated via refresh() and kept current by the event notifications.
  * @version 1.0.0
- * @exports YamahaMusicCastCD
- * @requires axios
+ * @exports YamahaMusicCastState
  */
-class YamahaMusicCastCD {
-  #ip;
-  #eventPort;
-  #axiosInstance;
+class YamahaMusicCastState {
+  #musiccast;
+  #loaded = false;
+  #zones = {};
+  #netusb = null;
+  #tuner = null;
+  #cd = null;
+  #clock = null;
+
+  /**
+   * @constructor YamahaMusicCastState
+   * @param {YamahaMusicCast} musiccast - The YamahaMusicCast instance the state belongs to.
+   * @description Creates an instance of YamahaMusicCastState.
+   * @version 1.0.0
+   * @public
+   */
+  constructor(musiccast) {
+    this.#musiccast = musiccast;
+  }
 
   /**
-   * @method constructor
-   * @param {string} ip
-   * @param {number} eventPort
-   * @description Creates an instance of YamahaMusicCastCD.
-   * @version 1.0.0 
+   * @method strip
+   * @param {object} res
+   * @description Removes the response code from a response.
+   * @returns {object}
+   * @private
    */
-  constructor(ip, eventPort) {
-    this.setup(ip, eventPort);
+  strip(res) {
+    const { response_code, ...data } = res;
+    return data;
   }
 
   /**
-   * @method setup
-   * @param {string} ip
-   * @param {number} eventPort
-   * @description Sets up the YamahaMusicCastCD instance.
-   * @version 1.0.0
-   * @private 
+   * @method changed
+   * @param {string} subsystem - The changed subsystem (features, main, zone2, zone3, zone4, netusb, tuner, cd, clock).
+   * @description Emits "stateChanged" on the YamahaMusicCast instance.
+   * @returns {void}
+   * @private
    */
-  setup(ip, eventPort) {
-    // Set the Yamaha receiver IP address
-    this.#ip = ip;
-    // Set the Yamaha receiver event port (UDP - default 41100)
-    this.#eventPort = eventPort;
-    // Create an axios instance
-    this.#axiosInstance = axios.create({
-      baseURL: `http://${this.#ip}:80/YamahaExtendedControl/v1/cd`,
-      timeout: 15 * 1000,
-      headers: {
-        'X-AppName': 'ERDesigns/1.0',
-        'X-AppPort': this.#eventPort,
-      },
-    });
+  changed(subsystem) {
+    this.#musiccast.emit('stateChanged', { subsystem, state: this });
   }
 
   /**
-   * @method getPlayInfo
-   * @description For retrieving playback information.
-   * @returns {Promise}
+   * @method refresh
+   * @description Populates the state from getFeatures, getStatus for every zone, the netusb, tuner and cd play info and the clock settings. Subsystems which are not supported by the device are skipped.
+   * @returns {Promise<YamahaMusicCastState>}
    * @public
    */
-  getPlayInfo() {
+  refresh() {
     return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/getPlayInfo')
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
+      this.#musiccast.system
+        .getFeatures()
+        .then((res) => {
+          this.#musiccast.applyFeatures(this.strip(res));
+          this.changed('features');
+          const features = this.features;
+          const inputs = (features.system && features.system.input_list) || [];
+          const promises = (features.zone || []).map((zone) => this.refreshZone(zone.id));
+          if (features.netusb) {
+            promises.push(this.refreshNetUSB());
           }
+          if (features.tuner) {
+            promises.push(this.refreshTuner());
+          }
+          if (inputs.some((input) => input.id === 'cd')) {
+            promises.push(this.refreshCD());
+          }
+          if (features.clock) {
+            promises.push(this.refreshClock());
+          }
+          return Promise.all(promises);
+        })
+        .then(() => {
+          this.#loaded = true;
+          resolve(this);
         })
         .catch((error) => {
           reject(error);
@@ -2706,306 +4016,233 @@ class YamahaMusicCastCD {
   }
 
   /**
-   * @method setPlayback
-   * @description For setting playback.
-   * @param {string} playback - Specifies playback. Values: "play" / "stop" / "pause" / "previous" / "next" / "fast_reverse_start" / "fast_reverse_end" / "fast_forward_start" / "fast_forward_end" / "track_select "
-   * @param {number} num - Specifies track number. Value: 1 ~ 512
-   * @returns {Promise}
+   * @method refreshZone
+   * @param {string} zone - main, zone2, zone3, zone4
+   * @description Re-fetches the status of a zone.
+   * @returns {Promise<object>}
    * @public
    */
-  setPlayback(playback, num) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/setPlayback', { params: { playback, num } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
+  refreshZone(zone) {
+    return this.#musiccast.zone.getStatus(zone).then((res) => {
+      this.#zones[zone] = this.strip(res);
+      this.changed(zone);
+      return this.#zones[zone];
     });
   }
 
   /**
-   * @method toggleTray
-   * @description For toggling CD tray Open/Close setting.
-   * @returns {Promise}
+   * @method refreshNetUSB
+   * @description Re-fetches the netusb play info.
+   * @returns {Promise<object>}
    * @public
    */
-  toggleTray() {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/toggleTray')
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
+  refreshNetUSB() {
+    return this.#musiccast.netusb.getPlayInfo().then((res) => {
+      this.#netusb = this.strip(res);
+      this.changed('netusb');
+      return this.#netusb;
     });
   }
 
   /**
-   * @method toggleRepeat
-   * @description For toggling repeat setting. No direct / discrete setting commands available.
-   * @returns {Promise}
+   * @method refreshTuner
+   * @description Re-fetches the tuner play info.
+   * @returns {Promise<object>}
    * @public
    */
-  toggleRepeat() {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/toggleRepeat')
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
+  refreshTuner() {
+    return this.#musiccast.tuner.getPlayInfo().then((res) => {
+      this.#tuner = this.strip(res);
+      this.changed('tuner');
+      return this.#tuner;
     });
   }
 
   /**
-   * @method toggleShuffle
-   * @description For toggling shuffle setting. No direct / discrete setting commands available.
-   * @returns {Promise}
+   * @method refreshCD
+   * @description Re-fetches the cd play info.
+   * @returns {Promise<object>}
    * @public
    */
-  toggleShuffle() {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/toggleShuffle')
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
+  refreshCD() {
+    return this.#musiccast.cd.getPlayInfo().then((res) => {
+      this.#cd = this.strip(res);
+      this.changed('cd');
+      return this.#cd;
     });
   }
 
-}
-
-/**
- * @class YamahaMusicCastClock
- * @description Yamaha MusicCast Clock Class.
- * @version 1.0.0
- * @exports YamahaMusicCastClock
- * @requires axios
- */
-class YamahaMusicCastClock {
-  #ip;
-  #eventPort;
-  #axiosInstance;
-
   /**
-   * @method constructor
-   * @param {string} ip
-   * @param {number} eventPort
-   * @description Creates an instance of YamahaMusicCastClock.
-   * @version 1.0.0 
+   * @method refreshClock
+   * @description Re-fetches the clock settings.
+   * @returns {Promise<object>}
+   * @public
    */
-  constructor(ip, eventPort) {
-    this.setup(ip, eventPort);
+  refreshClock() {
+    return this.#musiccast.clock.getSettings().then((res) => {
+      this.#clock = this.strip(res);
+      this.changed('clock');
+      return this.#clock;
+    });
   }
 
   /**
-   * @method setup
-   * @param {string} ip
-   * @param {number} eventPort
-   * @description Sets up the YamahaMusicCastClock instance.
-   * @version 1.0.0
-   * @private 
+   * @method applyEvents
+   * @param {Array<object>} events - The events decoded by YamahaMusicCast#decodeEvent.
+   * @description Patches the state with the event deltas. Zones are re-fetched on "status_updated", the netusb, tuner and cd play info on "play_info_updated" and the clock settings on "settings_updated". Events are ignored until the state has been populated.
+   * @returns {void}
+   * @public
    */
-  setup(ip, eventPort) {
-    // Set the Yamaha receiver IP address
-    this.#ip = ip;
-    // Set the Yamaha receiver event port (UDP - default 41100)
-    this.#eventPort = eventPort;
-    // Create an axios instance
-    this.#axiosInstance = axios.create({
-      baseURL: `http://${this.#ip}:80/YamahaExtendedControl/v1/clock`,
-      timeout: 15 * 1000,
-      headers: {
-        'X-AppName': 'ERDesigns/1.0',
-        'X-AppPort': this.#eventPort,
-      },
+  applyEvents(events) {
+    if (!this.#loaded) {
+      return;
+    }
+    // Collect the re-fetches so every subsystem is only fetched once per notification
+    const refreshes = new Map();
+    const changes = new Set();
+    events.forEach((event) => {
+      const { subsystem, zone, key, value } = event;
+      if (zone) {
+        if (key === 'status_updated' && value) {
+          refreshes.set(zone, () => this.refreshZone(zone));
+        } else if (this.#zones[zone] && !key.endsWith('_updated')) {
+          this.#zones[zone][key] = value;
+          changes.add(zone);
+        }
+      } else if (subsystem === 'netusb') {
+        if (key === 'play_info_updated' && value) {
+          refreshes.set('netusb', () => this.refreshNetUSB());
+        } else if (key === 'play_time' && this.#netusb) {
+          this.#netusb.play_time = value;
+          changes.add('netusb');
+        }
+      } else if (subsystem === 'tuner') {
+        if (key === 'play_info_updated' && value) {
+          refreshes.set('tuner', () => this.refreshTuner());
+        }
+      } else if (subsystem === 'cd') {
+        if (key === 'play_info_updated' && value) {
+          refreshes.set('cd', () => this.refreshCD());
+        } else if ((key === 'play_time' || key === 'device_status') && this.#cd) {
+          this.#cd[key] = value;
+          changes.add('cd');
+        }
+      } else if (subsystem === 'clock') {
+        if (key === 'settings_updated' && value) {
+          refreshes.set('clock', () => this.refreshClock());
+        }
+      }
+    });
+    // Patched subsystems which are re-fetched anyway are reported by the re-fetch
+    changes.forEach((subsystem) => {
+      if (!refreshes.has(subsystem)) {
+        this.changed(subsystem);
+      }
+    });
+    refreshes.forEach((refresh) => {
+      refresh().catch((error) => {
+        this.#musiccast.report(error);
+      });
     });
   }
 
   /**
-   * @method getSettings
-   * @description For retrieving setting related to Clock function.
-   * @returns {Promise}
-   * @public
+   * @getter loaded
+   * @description Gets whether the state has been populated.
+   * @returns {boolean}
    */
-  getSettings() {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/getSettings')
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  get loaded() {
+    return this.#loaded;
   }
 
   /**
-   * @method setSettings
-   * @description For setting clock time auto sync. Available only when "date_and_time" exists in clock - func_list under /system/getFeatures.
-   * @param {boolean} clockMode - Specifies whether or not clock auto sync is valid.
-   * @returns {Promise}
-   * @public
+   * @getter features
+   * @description Gets the features of the device as returned by getFeatures, see YamahaMusicCast#features.
+   * @returns {?object}
    */
-  setAutoSync(enable) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/setAutoSync', { params: { enable } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  get features() {
+    return this.#musiccast.features;
   }
 
   /**
-   * @method setDateAndTime
-   * @description For setting date and clock time. Available only when "date_and_time" exists in clock - func_list under /system/getFeatures.
-   * @param {string} date_time - Specifies date and time set on device. Format is "YYMMDDhhmmss".
-   * @returns {Promise}
-   * @public
+   * @getter zones
+   * @description Gets the status of every zone, keyed by zone ID.
+   * @returns {object}
    */
-  setDateAndTime(date_time) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/setDateAndTime', { params: { date_time } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  get zones() {
+    return this.#zones;
+  }
+
+  /**
+   * @getter netusb
+   * @description Gets the netusb play info.
+   * @returns {?object}
+   */
+  get netusb() {
+    return this.#netusb;
   }
 
   /**
-   * @method setClockFormat
-   * @description For setting clock format. Available only when "clock_format" exists in clock - func_list under /system/getFeatures.
-   * @param {string} format - Specifies clock format. "12h" or "24h".
-   * @returns {Promise}
-   * @public
+   * @getter tuner
+   * @description Gets the tuner play info.
+   * @returns {?object}
    */
-  setClockFormat(format = '24h') {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .get('/setClockFormat', { params: { format } })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  get tuner() {
+    return this.#tuner;
   }
 
   /**
-   * @method setAlarmSettings
-   * @description For setting aram function.
-   * @param {boolean} alarm_on - Specifies alarm function status on/off.
-   * @param {number} volume - pecifies alarm volume value. Vaule Range : calculated by minimum/maximum/step value gotten via /system/getFeatures "alarm_volume"
-   * @param {number} fade_interval - Specifies fade interval value. Vaule Range : calculated by minimum/maximum/step value gotten via /system/getFeatures "alarm_fade_interval"
-   * @param {string} fade_type - Specifies alarm fade type. Value : 1 ~ fade_type_max ( value gotten via /system/getFeatures)
-   * @param {string} mode - Specifies alarm mode. Value : one gotten via /system/getFeatures "alarm_mode_list"
-   * @param {string} repeat - Specifies repeat setting.This parameter is valid only when alarm mode "oneday" is specified
-   * @param {object} detail - Setting detail information of alarm function
-   * @param {string} detail.day - Specifies target date for alarm setting. This parameter is specified certainly when set detail parameters. Value : "oneday" / "sunday" / "monday" / "tuesday" / "wednesday " / "thursday" / "friday" / "saturday"
-   * @param {boolean} detail.enable - Specifies whether or not alarm function is valid.
-   * @param {string} detail.time - Specifies alarm time. Format is "hhmm".
-   * @param {boolean} detail.beep - Specifies whether or not beep sound is valid.
-   * @param {string} detail.playback_type - Specifies playback type. Value : "resume" / "preset"
-   * @param {object} detail.resume - Specifies resume playback setting. This parameter is valid only when playback type "resume" is specified.
-   * @param {string} detail.resume.input - Specifies target Input ID to playback. No playback when "none" is specified. Values: Input IDs gotten via /system/getFeatures "alarm_input_list"
-   * @param {object} detail.preset - Specifies detail infomarion when preset is specified. This parameter is valid only when playback_type "preset" is specified
-   * @param {string} detail.preset.type - Specifies preset type. Values : Type gotten via /system/getFeatures "alarm_preset_list"
-   * @param {number} detail.preset.num - Specifies preset number. Selectable preset number in each preset type is readable in /system/getFeatures.
+   * @getter cd
+   * @description Gets the cd play info.
+   * @returns {?object}
+   */
+  get cd() {
+    return this.#cd;
+  }
 
+  /**
+   * @getter clock
+   * @description Gets the clock settings.
+   * @returns {?object}
    */
-  setAlarmSettings(alarm_on, volume, fade_interval, fade_type, mode, repeat, detail = {
-    day: 'oneday',
-    enable: false,
-    time: '0000',
-    beep: false,
-    playback_type: 'resume',
-    resume: {
-      input: 'none',
-    },
-    preset: {
-      type: 'none',
-      num: 1,
-    }
-  }) {
-    return new Promise((resolve, reject) => {
-      this.#axiosInstance
-        .post('/setAlarmSettings', { alarm_on, volume, fade_interval, fade_type, mode, repeat, detail })
-        .then((response) => {
-          const res = response.data;
-          if (res.response_code === 0) {
-            resolve(res);
-          } else {
-            reject(res);
-          }
-        })
-        .catch((error) => {
-          reject(error);
-        });
-    });
+  get clock() {
+    return this.#clock;
+  }
+
+  /**
+   * @method toJSON
+   * @description Gets a plain object copy of the state.
+   * @returns {object}
+   * @public
+   */
+  toJSON() {
+    return {
+      features: this.features,
+      zones: this.#zones,
+      netusb: this.#netusb,
+      tuner: this.#tuner,
+      cd: this.#cd,
+      clock: this.#clock,
+    };
   }
 
 }
 
+/**
+ * @constant SCENE_SETTINGS
+ * @description The zone status settings recorded by captureScene().
+ */
+const SCENE_SETTINGS = ['power', 'input', 'volume', 'mute', 'sound_program', 'tone_control', 'equalizer', 'enhancer', 'pure_direct', 'dialogue_level'];
+
+/**
+ * @constant NETUSB_INPUTS
+ * @description The inputs played through the net/usb subsystem, used by captureScene() when the features with the play_info_type of the inputs are not loaded.
+ */
+const NETUSB_INPUTS = [
+  'net_radio', 'server', 'usb', 'bluetooth', 'airplay', 'mc_link', 'spotify', 'pandora', 'siriusxm', 'rhapsody', 'napster', 'juke', 'radiko',
+  'qobuz', 'tidal', 'deezer', 'amazon', 'alexa',
+];
+
 /**
  * @class YamahaMusicCast
  * @description YamahaMusicCast class.
@@ -3020,188 +4257,673 @@ class YamahaMusicCast extends EventEmitter {
   #ipcMain;
   #ip;
   #eventPort;
-  #server;
+  #eventHub = null;
+  #transport;
   #system;
   #zone;
+  #zones = {};
   #tuner;
   #netusb;
   #cd;
   #clock;
-
+  #dist;
+  #state;
+  #deviceInfo = null;
+  #capabilities = null;
+  #volumePolicies = {};
+  #keepAliveInterval = 5 * 60 * 1000;
+  #keepAliveTimer;
+  #lastSubscription = 0;
+  #subscribed = false;
 
   /**
    * @constructor YamahaMusicCast
-   * @description Creates an instance of YamahaMusicCast.
+   * @param {string|object} ipAddress - The Yamaha receiver IP address, or an options object.
+   * @param {string} ipAddress.ip - The Yamaha receiver IP address.
+   * @param {number} ipAddress.eventPort - The UDP port the events are received on (default 50001), 0 for an automatically selected port. Instances on the same port share the socket.
+   * @param {YamahaMusicCastTransport|object} ipAddress.transport - A transport, or the options of the transport.
+   * @param {boolean} ipAddress.keepAlive - Whether the event subscription is kept alive (default true). Errors of the keep-alive and the other background tasks are emitted as "error", or as "warning" when there is no error listener.
+   * @param {number} ipAddress.keepAliveInterval - The keep-alive re-registration interval in milliseconds (default 5 minutes).
+   * @param {object} ipAddress.volumePolicies - The volume policies of the zones, e.g. { main: { maxVolume: 120, startupVolume: 50 } } (see YamahaMusicCastZone#policies).
+   * @param {number} eventPort - The UDP port the events are received on, when the IP address is given.
+   * @param {YamahaMusicCastTransport|object} transport - A transport, or the options of the transport (see YamahaMusicCastTransport) to customize e.g. the port, timeout, headers, app name or HTTP stack.
+   * @description Creates an instance of YamahaMusicCast, e.g. new YamahaMusicCast('192.168.1.10') or new YamahaMusicCast({ ip: '192.168.1.10', eventPort: 41100 }).
    * @returns {YamahaMusicCast}
    * @version 1.0.0 
    */
-  constructor(ipAddress, eventPort = 50001) {
-    this.setup(ipAddress, eventPort);
+  constructor(ipAddress, eventPort = 50001, transport = {}) {
+    super();
+    const options = ipAddress && typeof ipAddress === 'object' ? ipAddress : { ip: ipAddress, eventPort, transport };
+    try {
+      this.setup(options);
+    } catch (error) {
+      // Do not leave a half-built instance registered with the event hub
+      this.closeEventReceiver();
+      throw error;
+    }
   }
 
   /**
    * @method setupEventReceiver
-   * @param {number} eventPort
-   * @description Sets up the event receiver. This is used to receive events from the Yamaha receiver (e.g. volume change).
+   * @param {number} eventPort - The UDP port, 0 for an automatically selected port.
+   * @description Sets up the event receiver. This is used to receive events from the Yamaha receiver (e.g. volume change). The UDP socket is shared with the other instances on the same port (see YamahaMusicCastEventHub). Next to the raw "message" event, every notification is decoded into typed events (e.g. "volume", "power", "playInfoUpdated") which are also emitted as a generic "event". Keys which are not known YXC event keys are only emitted as "event". Malformed packets are dropped and reported with "parseError".
    * @returns {void}
    */
   setupEventReceiver(eventPort) {
-    if (this.#server) {
-      this.#server.close();
-      this.#server = null;
-    }
+    this.closeEventReceiver();
+    this.#eventHub = YamahaMusicCastEventHub.shared(eventPort);
+    this.#eventHub.register(this);
+  }
 
-    // Create a UDP server
-    this.#server = dgram.createSocket('udp4');
+  /**
+   * @method closeEventReceiver
+   * @description Stops receiving events. The shared socket is closed when no other instance uses it.
+   * @returns {void}
+   * @private
+   */
+  closeEventReceiver() {
+    if (this.#eventHub) {
+      this.#eventHub.unregister(this);
+      this.#eventHub = null;
+    }
+  }
 
-    // Listen for error events
-    this.#server.on('error', (error) => {
-      this.emit('error', error);
-      this.#server.close();
+  /**
+   * @method handleEvent
+   * @param {object} json - The event notification sent by the Yamaha receiver.
+   * @param {object} rinfo - The remote address information of the sender.
+   * @description Handles an event notification routed to this instance by the event hub.
+   * @returns {void}
+   * @private
+   */
+  handleEvent(json, rinfo) {
+    this.emit('message', rinfo, json);
+    // Emit the typed events, unknown keys only as "event"
+    const events = this.decodeEvent(json, rinfo);
+    events.forEach((event) => {
+      const keys = EVENT_KEYS[event.zone ? 'zone' : event.subsystem];
+      if (keys && keys.includes(event.key)) {
+        this.emit(event.name, event);
+      }
+      this.emit('event', event);
     });
-
-    // Listen for message events
-    this.#server.on('message', (msg, rinfo) => {
-      const json = JSON.parse(msg.toString());
-      this.emit('message', rinfo, json);
+    // Patch the local state
+    this.#state.applyEvents(events);
+    // Apply the startup volume of the zones which powered on
+    events.forEach((event) => {
+      const policy = event.zone ? this.#zone.policies[event.zone] : null;
+      if (event.key === 'power' && event.value === 'on' && policy && policy.startupVolume !== undefined) {
+        this.#zone.setVolume(event.zone, policy.startupVolume).catch((error) => {
+          this.report(error);
+        });
+      }
     });
+  }
 
-    // Listen for listening events
-    this.#server.on('listening', () => {
-      const address = this.#server.address();
-      this.emit('listening', address);
+  /**
+   * @method report
+   * @param {Error} error
+   * @description Reports an error of a background task (keep-alive, state refresh, event handling). Emitted as "error" when there is a listener, otherwise as "warning", as an unhandled "error" event ends the process.
+   * @returns {void}
+   * @private
+   */
+  report(error) {
+    this.emit(this.listenerCount('error') > 0 ? 'error' : 'warning', error);
+  }
+
+  /**
+   * @method handleListening
+   * @param {object} address - The address the event hub is listening on.
+   * @description Handles the event hub starting to listen. When the effective port differs from the one in the X-AppPort header (e.g. with port 0), the transport is updated and the device is registered for events again.
+   * @returns {void}
+   * @private
+   */
+  handleListening(address) {
+    this.emit('listening', address);
+    if (this.#transport.eventPort !== address.port) {
+      this.#transport.configure({ eventPort: address.port });
+      if (this.#keepAliveTimer) {
+        this.#subscribed = false;
+        this.subscribe().catch((error) => {
+          this.report(error);
+        });
+      }
+    }
+  }
+
+  /**
+   * @method handleEventError
+   * @param {Error} error - The socket error.
+   * @description Handles a socket error of the event hub. The hub binds the socket again with backoff, so the instance stays registered.
+   * @returns {void}
+   * @private
+   */
+  handleEventError(error) {
+    this.report(error);
+  }
+
+  /**
+   * @method decodeEvent
+   * @param {object} json - The event notification sent by the Yamaha receiver.
+   * @param {object} rinfo - The remote address information of the sender.
+   * @description Decodes an event notification into typed events. Every key in the zone (main, zone2, zone3, zone4) and subsystem (system, netusb, tuner, cd, clock, dist) objects becomes an event named after the key in camelCase, e.g. "play_info_updated" becomes "playInfoUpdated". Only the keys in EVENT_KEYS are emitted under their name by handleEvent, the others only as "event".
+   * @returns {Array<{name: string, key: string, subsystem: string, zone: ?string, deviceId: ?string, address: ?string, value: *}>}
+   * @public
+   */
+  decodeEvent(json, rinfo) {
+    const events = [];
+    // Events without a payload can not be decoded
+    if (!json || typeof json !== 'object') {
+      return events;
+    }
+    // The device ID is sent with every event
+    const deviceId = json.device_id || null;
+    const address = rinfo ? rinfo.address : null;
+    Object.keys(json).forEach((subsystem) => {
+      const payload = json[subsystem];
+      // Skip the device ID and other non-subsystem properties
+      if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        return;
+      }
+      // Zone events are scoped to the zone they came from
+      const zone = EVENT_ZONES.includes(subsystem) ? subsystem : null;
+      Object.keys(payload).forEach((key) => {
+        events.push({
+          name: key.replace(/_([a-z0-9])/g, (match, char) => char.toUpperCase()),
+          key,
+          subsystem,
+          zone,
+          deviceId,
+          address,
+          value: payload[key],
+        });
+      });
     });
+    return events;
+  }
 
-    // Bind the server to the event port
-    this.#server.bind(eventPort);
+  /**
+   * @method validateOptions
+   * @param {object} options - See the constructor.
+   * @description Checks the event port, the keep-alive interval and the volume policies, before any of the options is applied.
+   * @returns {void}
+   * @private
+   */
+  validateOptions(options) {
+    const { eventPort, keepAliveInterval, volumePolicies } = options;
+    if (eventPort !== undefined && (!Number.isInteger(eventPort) || eventPort < 0 || eventPort > 65535)) {
+      throw new Error(`Invalid event port "${eventPort}", must be an integer between 0 and 65535.`);
+    }
+    if (keepAliveInterval !== undefined && (typeof keepAliveInterval !== 'number' || !(keepAliveInterval > 0 && keepAliveInterval < SUBSCRIPTION_TIMEOUT))) {
+      throw new Error(`The keep-alive interval must be between 0 and ${SUBSCRIPTION_TIMEOUT} milliseconds.`);
+    }
+    if (volumePolicies !== undefined) {
+      // The policies setter of a zone validates them
+      new YamahaMusicCastZone(this.#transport).policies = volumePolicies;
+    }
   }
 
   /**
    * @method setup
-   * @param {string} ip
-   * @param {number} eventPort
+   * @param {object} options - See the constructor.
    * @description Sets up the YamahaMusicCast instance.
    * @returns {void} 
    */
-  setup(ip, eventPort) {
+  setup(options = {}) {
+    this.validateOptions(options);
     // Set the Yamaha receiver IP address
-    this.#ip = ip;
+    this.#ip = options.ip;
     // Set the Yamaha receiver event port
-    this.#eventPort = eventPort;
+    this.#eventPort = options.eventPort !== undefined ? options.eventPort : 50001;
+    // Set the volume policies of the zones
+    this.#volumePolicies = options.volumePolicies || {};
+    // Create the transport shared by the subsystems, the event hub updates its event port when listening
+    this.setupTransport(options.transport);
     // Set-up the event receiver
-    this.setupEventReceiver(eventPort);
+    this.setupEventReceiver(this.#eventPort);
+    // Create the subsystems
+    this.setupSubsystems();
+    // Create a new YamahaMusicCastState instance
+    this.#state = new YamahaMusicCastState(this);
+    // Keep the event subscription alive
+    if (options.keepAliveInterval !== undefined) {
+      this.#keepAliveInterval = options.keepAliveInterval;
+    }
+    if (options.keepAlive !== false) {
+      this.startKeepAlive();
+    }
+  }
+
+  /**
+   * @method setupTransport
+   * @param {YamahaMusicCastTransport|object} transport - A transport, or the options of the transport.
+   * @description Sets up the transport for the current IP address and event port. Options are applied to the current transport, a transport instance replaces it.
+   * @returns {void}
+   * @private
+   */
+  setupTransport(transport = {}) {
+    // The port is not known yet when the operating system picks it
+    const eventPort = this.#eventHub && this.#eventHub.listening ? this.#eventHub.port : this.#eventPort || null;
+    if (transport instanceof YamahaMusicCastTransport) {
+      this.#transport = transport;
+      this.#transport.configure({ host: this.#ip, eventPort });
+    } else if (this.#transport) {
+      this.#transport.configure({ ...transport, host: this.#ip, eventPort });
+    } else {
+      this.#transport = new YamahaMusicCastTransport({ ...transport, host: this.#ip, eventPort });
+    }
+  }
+
+  /**
+   * @method setupSubsystems
+   * @description Creates the subsystem instances using the current transport.
+   * @returns {void}
+   * @private
+   */
+  setupSubsystems() {
     // Create a new YamahaMusicCastSystem instance
-    this.#system = new YamahaMusicCastSystem(this.#ip, this.#eventPort);
+    this.#system = new YamahaMusicCastSystem(this.#transport);
     // Create a new YamahaMusicCastZone instance
-    this.#zone = new YamahaMusicCastZone(this.#ip, this.#eventPort);
+    this.#zone = new YamahaMusicCastZone(this.#transport);
+    this.#zone.capabilities = this.#capabilities;
+    this.#zone.policies = this.#volumePolicies;
+    this.setupZones();
     // Create a new YamahaMusicCastTuner instance
-    this.#tuner = new YamahaMusicCastTuner(this.#ip, this.#eventPort);
+    this.#tuner = new YamahaMusicCastTuner(this.#transport);
     // Create a new YamahaMusicCastNetworkUSB instance
-    this.#netusb = new YamahaMusicCastNetworkUSB(this.#ip, this.#eventPort);
+    this.#netusb = new YamahaMusicCastNetworkUSB(this.#transport);
     // Create a new YamahaMusicCastCD instance
-    this.#cd = new YamahaMusicCastCD(this.#ip, this.#eventPort);
+    this.#cd = new YamahaMusicCastCD(this.#transport);
     // Create a new YamahaMusicCastClock instance
-    this.#clock = new YamahaMusicCastClock(this.#ip, this.#eventPort);
+    this.#clock = new YamahaMusicCastClock(this.#transport);
+    // Create a new YamahaMusicCastDist instance
+    this.#dist = new YamahaMusicCastDist(this.#transport);
+  }
+
+  /**
+   * @method setupZones
+   * @description Creates the zone facades for the zones of the device. Only the main zone is known until the features are loaded by connect().
+   * @returns {void}
+   * @private
+   */
+  setupZones() {
+    const ids = this.#capabilities ? this.#capabilities.zones : ['main'];
+    const previous = this.#zones;
+    this.#zones = {};
+    ids.forEach((id) => {
+      // Keep the facades of the same zone subsystem, so running fades are not orphaned
+      const facade = previous[id];
+      this.#zones[id] = facade && facade.zone === this.#zone ? facade : new YamahaMusicCastZoneFacade(this.#zone, id, this);
+    });
+    Object.keys(previous).forEach((id) => {
+      if (this.#zones[id] !== previous[id]) {
+        previous[id].cancelFade('reconfigured');
+      }
+    });
+  }
+
+  /**
+   * @method reconfigure
+   * @param {object} options
+   * @param {string} options.ip - The new Yamaha receiver IP address.
+   * @param {number} options.eventPort - The new event port.
+   * @param {YamahaMusicCastTransport|object} options.transport - A new transport, or options for the current transport.
+   * @param {boolean} options.keepAlive - Whether the event subscription is kept alive.
+   * @param {number} options.keepAliveInterval - The keep-alive re-registration interval in milliseconds.
+   * @param {object} options.volumePolicies - The volume policies of the zones, see YamahaMusicCastZone#policies.
+   * @description Changes the configuration at runtime. The subsystems are rebuilt on the new transport, the event receiver is rebound when the event port changes and the device is registered for events again. When the IP address changes, the device information, features and state of the previous device are dropped. Throws without changing anything when an option is invalid.
+   * @returns {void}
+   * @public
+   */
+  reconfigure(options = {}) {
+    // Validate every option first, so an invalid option leaves the configuration untouched
+    this.validateOptions(options);
+    const ip = options.ip !== undefined ? options.ip : this.#ip;
+    const eventPort = options.eventPort !== undefined ? options.eventPort : this.#eventPort;
+    const ipChanged = ip !== this.#ip;
+    const eventPortChanged = eventPort !== this.#eventPort;
+    const keepAlive = options.keepAlive !== undefined ? options.keepAlive : Boolean(this.#keepAliveTimer);
+
+    this.#ip = ip;
+    this.#eventPort = eventPort;
+    if (options.volumePolicies !== undefined) {
+      this.#volumePolicies = options.volumePolicies;
+    }
+    // Rebind the event receiver
+    if (eventPortChanged || !this.#eventHub) {
+      this.setupEventReceiver(this.#eventPort);
+    }
+    // Forget the previous device
+    if (ipChanged) {
+      this.#deviceInfo = null;
+      this.#capabilities = null;
+      this.#state = new YamahaMusicCastState(this);
+    }
+    // Rebuild the subsystems
+    this.setupTransport(options.transport);
+    this.setupSubsystems();
+    // The previous subscription does not apply anymore
+    if (ipChanged || eventPortChanged) {
+      this.#subscribed = false;
+    }
+    if (options.keepAliveInterval !== undefined) {
+      this.#keepAliveInterval = options.keepAliveInterval;
+    }
+    if (keepAlive) {
+      this.startKeepAlive();
+    } else {
+      this.stopKeepAlive();
+    }
+  }
+
+  /**
+   * @method close
+   * @description Releases the event receiver socket and the timers, and drops the requests waiting in the queue or for a retry. Use reconfigure() to open the instance again.
+   * @returns {void}
+   * @public
+   */
+  close() {
+    Object.values(this.#zones).forEach((zone) => zone.cancelFade('closed'));
+    this.stopKeepAlive();
+    this.closeEventReceiver();
+    this.#transport.clear(new Error('The YamahaMusicCast instance was closed.'));
+    this.#subscribed = false;
+  }
+
+  /**
+   * @method dispose
+   * @description Closes the instance and removes all event listeners.
+   * @returns {void}
+   * @public
+   */
+  dispose() {
+    this.close();
+    this.removeAllListeners();
+  }
+
+  /**
+   * @method subscribe
+   * @description Registers for events by sending a request with the X-AppName/X-AppPort headers. Emits "subscribed" when the subscription is (re-)established.
+   * @returns {Promise}
+   * @public
+   */
+  subscribe() {
+    return new Promise((resolve, reject) => {
+      this.#system
+        .getDeviceInfo()
+        .then((res) => {
+          this.#lastSubscription = Date.now();
+          if (!this.#subscribed) {
+            this.#subscribed = true;
+            this.emit('subscribed', { ip: this.#ip, eventPort: this.#transport.eventPort });
+            // Events may have been missed while not subscribed
+            if (this.#state.loaded) {
+              this.#state.refresh().catch((error) => {
+                this.report(error);
+              });
+            }
+          }
+          resolve(res);
+        })
+        .catch((error) => {
+          this.checkSubscription();
+          reject(error);
+        });
+    });
+  }
+
+  /**
+   * @method checkSubscription
+   * @description Checks if the subscription window has passed without a successful re-registration. Emits "subscriptionLost" once when the receiver stopped sending events.
+   * @returns {boolean} Whether the subscription is still active.
+   * @private
+   */
+  checkSubscription() {
+    if (this.#subscribed && Date.now() - this.#lastSubscription >= SUBSCRIPTION_TIMEOUT) {
+      this.#subscribed = false;
+      this.emit('subscriptionLost', { ip: this.#ip, eventPort: this.#transport.eventPort, lastSubscription: this.#lastSubscription });
+    }
+    return this.#subscribed;
+  }
+
+  /**
+   * @method startKeepAlive
+   * @param {number} interval - The re-registration interval in milliseconds, must be shorter than the 10 minute subscription window.
+   * @description Starts the keep-alive scheduler which periodically re-registers for events. A missed window (e.g. after the computer was suspended) is detected and reported with "subscriptionLost" before re-registering.
+   * @returns {void}
+   * @public
+   */
+  startKeepAlive(interval = this.#keepAliveInterval) {
+    this.validateOptions({ keepAliveInterval: interval });
+    this.stopKeepAlive();
+    this.#keepAliveInterval = interval;
+
+    // Schedule the next re-registration
+    const schedule = () => {
+      const timer = setTimeout(() => {
+        this.checkSubscription();
+        this.subscribe()
+          .catch((error) => {
+            this.report(error);
+          })
+          .finally(() => {
+            // Only continue when the scheduler was not stopped or restarted in the meantime
+            if (this.#keepAliveTimer === timer) {
+              schedule();
+            }
+          });
+      }, this.#keepAliveInterval);
+      // Do not keep the process alive for the keep-alive timer only
+      timer.unref();
+      this.#keepAliveTimer = timer;
+    };
+
+    // Register right away, then re-register periodically
+    this.subscribe().catch((error) => {
+      this.report(error);
+    });
+    schedule();
+  }
+
+  /**
+   * @method stopKeepAlive
+   * @description Stops the keep-alive scheduler. The receiver stops sending events after the subscription window has passed.
+   * @returns {void}
+   * @public
+   */
+  stopKeepAlive() {
+    if (this.#keepAliveTimer) {
+      clearTimeout(this.#keepAliveTimer);
+      this.#keepAliveTimer = null;
+    }
   }
 
   /**
    * @method discover
    * @param {number} timeout - The timeout in milliseconds.
-   * @description Discovers Yamaha receivers on the network.
-   * @returns {Promise[{address: string, port: number}]}
+   * @param {object} options - The YamahaMusicCastDiscovery options.
+   * @param {boolean} options.clients - Resolve with connected YamahaMusicCast instances keyed by UUID instead of the device descriptions.
+   * @param {number} options.eventPort - The event port of the YamahaMusicCast instances.
+   * @param {boolean} options.keepAlive - Whether the YamahaMusicCast instances keep their event subscription alive.
+   * @param {object} options.transport - The transport options of the YamahaMusicCast instances.
+   * @description Discovers Yamaha MusicCast devices on the network. Use YamahaMusicCastDiscovery directly to monitor the network continuously.
+   * @returns {Promise<Array<{ip: string, name: string, modelName: string, uuid: string}>|Object<string, YamahaMusicCast>>}
+   * @public
+   */
+  discover(timeout = 3000, options = { clients: false }) {
+    return new YamahaMusicCastDiscovery({ ...options, timeout }).search();
+  }
+
+  /**
+   * @method connect
+   * @description Loads the device information and the features of the device. The zone calls are validated against the features from then on.
+   * @returns {Promise<YamahaMusicCast>}
    * @public
    */
-  discover(timeout = 3000) {
+  connect() {
     return new Promise((resolve, reject) => {
-      // Create a new UDP client
-      const client = dgram.createSocket('udp4');
-      // List of found devices
-      const devices = [];
-
-      const SSDP_PORT = 1900;
-      const SSDP_ADDR = '239.255.255.250';
-      const SEARCH_TARGET = 'urn:schemas-upnp-org:device:MediaRenderer:1';
-
-      // Parse the location from the message string
-      const parseLocationFromMessage = (message) => {
-        const regex = /Location: (.+)/i;
-        const match = regex.exec(message);
-        if (match && match[1]) {
-          return match[1];
-        }
-        return null;
+      Promise.all([this.#system.getDeviceInfo(), this.#system.getFeatures()])
+        .then(([deviceInfo, features]) => {
+          this.#deviceInfo = deviceInfo;
+          this.applyFeatures(features);
+          resolve(this);
+        })
+        .catch((error) => {
+          reject(error);
+        });
+    });
+  }
+
+  /**
+   * @method captureScene
+   * @param {Array<string>} zones - main, zone2, zone3, zone4 (default the zones of the device).
+   * @description Captures a snapshot of the zones: power, input, volume, mute, sound program, tone control, equalizer, enhancer, pure direct and dialogue level from getStatus, and the item playing on a tuner or net/usb input from getPlayInfo. Settings the zone does not report are left out, as is the item when its play info can not be read.
+   * @returns {Promise<{time: number, zones: Object<string, object>}>} The scene, see restoreScene().
+   * @public
+   */
+  captureScene(zones = Object.keys(this.#zones)) {
+    zones = (zones.length > 0 ? zones : ['main']).map((zone) => YamahaMusicCastZone.normalize(zone));
+    // The play info and history are shared by the zones
+    let netusb = null;
+    const netusbInfo = () => {
+      netusb = netusb || Promise.all([this.#netusb.getPlayInfo(), this.#netusb.getRecentInfo()]);
+      return netusb;
+    };
+    const inputs = (this.features && this.features.system && this.features.system.input_list) || [];
+    const playInfoType = (input) => {
+      const known = inputs.find((entry) => entry.id === input);
+      if (known) {
+        return known.play_info_type;
       }
-      
-      // Listen for 'message' events
-      client.on('message', (msg, rinfo) => {
-        const message = msg.toString();
-        if (message.includes(SEARCH_TARGET) && message.includes('.xml')) {
-          devices.push({
-            ip: rinfo.address,
-            location: parseLocationFromMessage(message)
-          });
+      return input === 'tuner' ? 'tuner' : (NETUSB_INPUTS.includes(input) ? 'netusb' : 'none');
+    };
+    return Promise.all(zones.map((zone) => this.#zone.getStatus(zone).then((status) => {
+      const scene = {};
+      SCENE_SETTINGS.forEach((key) => {
+        if (status[key] !== undefined) {
+          scene[key] = status[key];
         }
-      });
-
-      // Bind the client to the SSDP port
-      client.bind(() => {
-        // Set the client to broadcast mode
-        client.setBroadcast(true);
-
-        // Format the search request
-        const searchRequest =
-          `M-SEARCH * HTTP/1.1\r\n` +
-          `HOST: ${SSDP_ADDR}:${SSDP_PORT}\r\n` +
-          `MAN: "ssdp:discover"\r\n` +
-          `MX: 3\r\n` +
-          `ST: ${SEARCH_TARGET}\r\n` +
-          `\r\n`;
+      });
+      // Tuner and net/usb inputs also restore what was playing, the scene is still captured when that fails
+      const type = playInfoType(status.input);
+      if (type === 'tuner') {
+        return this.#tuner.getPlayInfo().then((info) => {
+          const band = info[info.band] || {};
+          scene.item = { type: 'tuner', band: info.band, freq: band.freq !== undefined ? band.freq : null };
+          return [zone, scene];
+        }).catch(() => [zone, scene]);
+      }
+      if (type !== 'netusb') {
+        return [zone, scene];
+      }
+      return netusbInfo().then(([info, recent]) => {
+        // The net/usb play info belongs to the last net/usb input, which may not be the input of this zone
+        if (info.input === status.input) {
+          const item = (recent.recent_info || []).find((entry) => entry.input === info.input) || null;
+          scene.item = { type: 'netusb', input: info.input, playback: info.playback, artist: info.artist, album: info.album, track: info.track, recent: item };
+        }
+        return [zone, scene];
+      }).catch(() => [zone, scene]);
+    }))).then((entries) => ({ time: Date.now(), zones: Object.fromEntries(entries) }));
+  }
 
-        // Send the search request
-        client.send(searchRequest, 0, searchRequest.length, SSDP_PORT, SSDP_ADDR, (error) => {
-          if (error) {
-            client.close();
-            reject(error);
-          } else {
-            setTimeout(() => {
-              client.close();
-              
-              // Get the device information for each receiver
-              const promises = [];
-              devices.forEach((receiver) => {
-                promises.push(axios.get(receiver.location));
-              });
+  /**
+   * @method restoreScene
+   * @param {{zones: Object<string, object>}} scene - A scene captured by captureScene().
+   * @param {object} options
+   * @param {number} options.inputTimeout - The time in milliseconds to wait for the input change (default 10 seconds).
+   * @description Restores the zones of the scene one after the other: the zone is powered on, the input is changed (with prepareInputChange when supported) and awaited, the tuner station or net/usb item is recalled from the playback history, and the audio settings are applied with the volume and mute last. Zones captured in standby are switched to standby. Call connect() first to validate the calls against the features.
+   * @returns {Promise<YamahaMusicCast>}
+   * @public
+   */
+  restoreScene(scene, options = {}) {
+    const zones = Object.keys((scene && scene.zones) || {});
+    return zones.reduce((chain, zone) => chain.then(() => this.restoreZone(zone, scene.zones[zone], options.inputTimeout)), Promise.resolve())
+      .then(() => this);
+  }
 
-              // Wait for all device information requests to complete
-              Promise.all(promises).then((responses) => {
-                responses.forEach((response, index) => {
-                  const xml = String(response.data);
-
-                  // Delete the location property
-                  delete devices[index].location;
-
-                  // Get the device information
-                  devices[index].name = /<friendlyName>([^<]*)<\/friendlyName>/i.exec(xml)[1] || null;
-                  devices[index].manufacturer = /<manufacturer>([^<]*)<\/manufacturer>/i.exec(xml)[1] || null;
-                  devices[index].manufacturerURL = /<manufacturerURL>([^<]*)<\/manufacturerURL>/i.exec(xml)[1] || null;
-                  devices[index].modelDescription = /<modelDescription>([^<]*)<\/modelDescription>/i.exec(xml)[1] || null;
-                  devices[index].modelName = /<modelName>([^<]*)<\/modelName>/i.exec(xml)[1] || null;
-                  devices[index].modelNumber = /<modelNumber>([^<]*)<\/modelNumber>/i.exec(xml)[1] || null;
-                  devices[index].modelURL = /<modelURL>([^<]*)<\/modelURL>/i.exec(xml)[1] || null;
-                  devices[index].serialNumber = /<serialNumber>([^<]*)<\/serialNumber>/i.exec(xml)[1] || null;
-                  devices[index].uuid = /<UDN>uuid:([^<]*)<\/UDN>/i.exec(xml)[1].toUpperCase() || null;
-                });
-
-                // Resolve the promise with the list of devices found.
-                resolve(devices);
-              }).catch((error) => {
-                reject(error);
-              });
-            }, timeout);
-          }
-        });
-      });
+  /**
+   * @method restoreZone
+   * @param {string} zone
+   * @param {object} scene - The scene of the zone.
+   * @param {number} inputTimeout - The time in milliseconds to wait for the input change.
+   * @description Restores the scene of a zone, see restoreScene().
+   * @returns {Promise}
+   * @private
+   */
+  restoreZone(zone, scene, inputTimeout = 10000) {
+    zone = YamahaMusicCastZone.normalize(zone);
+    if (scene.power !== undefined && scene.power !== 'on') {
+      return this.#zone.setPower(zone, scene.power);
+    }
+    const item = scene.item || null;
+    const step = (condition, call) => (condition ? call() : null);
+    return this.#zone.setPower(zone, 'on')
+      .then(() => this.#zone.getStatus(zone))
+      .then((status) => {
+        // Only change the input when it changed since the capture
+        if (!scene.input || status.input === scene.input) {
+          return null;
+        }
+        const prepare = this.#capabilities && this.#capabilities.supports(zone, 'prepare_input_change');
+        return Promise.resolve(step(prepare, () => this.#zone.prepareInputChange(zone, scene.input)))
+          .then(() => this.#zone.setInput(zone, scene.input))
+          .then(() => this.waitForInput(zone, scene.input, inputTimeout));
+      })
+      .then(() => step(item && item.type === 'tuner', () => this.#tuner.setBand(item.band)
+        // DAB services can not be tuned directly
+        .then(() => step(item.freq !== null && item.band !== 'dab', () => this.#tuner.setFreq(item.band, 'direct', item.freq)))))
+      .then(() => step(item && item.type === 'netusb' && item.playback === 'play', () => this.#netusb.getRecentInfo().then((recent) => {
+        // Recall the item from the playback history, or resume what the input plays now
+        const index = item.recent ? (recent.recent_info || []).findIndex((entry) => entry.input === item.recent.input && entry.text === item.recent.text) : -1;
+        return index >= 0 ? this.#netusb.recallRecentItem(zone, index + 1) : this.#netusb.setPlayback('play');
+      })))
+      // Pure direct bypasses the sound program and the tone control, so it goes first
+      .then(() => step(scene.pure_direct !== undefined, () => this.#zone.setPureDirect(zone, scene.pure_direct)))
+      .then(() => step(scene.sound_program !== undefined && !scene.pure_direct, () => this.#zone.setSoundProgram(zone, scene.sound_program)))
+      .then(() => step(scene.enhancer !== undefined, () => this.#zone.setEnhancer(zone, scene.enhancer)))
+      .then(() => step(scene.tone_control !== undefined && !scene.pure_direct, () => this.#zone.setToneControl(zone, scene.tone_control.mode, scene.tone_control.bass, scene.tone_control.treble)))
+      .then(() => step(scene.equalizer !== undefined && !scene.pure_direct, () => this.#zone.setEqualizer(zone, scene.equalizer.mode, scene.equalizer.low, scene.equalizer.mid, scene.equalizer.high)))
+      .then(() => step(scene.dialogue_level !== undefined, () => this.#zone.setDialogueLevel(zone, scene.dialogue_level)))
+      .then(() => step(scene.volume !== undefined, () => this.#zone.setVolume(zone, scene.volume)))
+      .then(() => step(scene.mute !== undefined, () => this.#zone.setMute(zone, scene.mute)));
+  }
+
+  /**
+   * @method waitForInput
+   * @param {string} zone
+   * @param {string} input
+   * @param {number} timeout - The time in milliseconds to wait.
+   * @param {number} interval - The polling interval in milliseconds.
+   * @description Polls the zone status until the zone reports the input.
+   * @returns {Promise}
+   * @private
+   */
+  waitForInput(zone, input, timeout = 10000, interval = 500) {
+    const deadline = Date.now() + timeout;
+    const poll = () => this.#zone.getStatus(zone).then((status) => {
+      if (status.input === input) {
+        return status;
+      }
+      if (Date.now() >= deadline) {
+        throw new MusicCastTimeoutError(`Zone "${zone}" did not change to input "${input}" within ${timeout} ms.`, { endpoint: `${zone}/setInput`, params: { input }, zone });
+      }
+      return new Promise((resolve) => setTimeout(resolve, interval)).then(poll);
     });
+    return poll();
+  }
+
+  /**
+   * @method applyFeatures
+   * @param {object} features - The features of the device as returned by getFeatures.
+   * @description Stores the features, which are kept only by the capabilities. The zone calls are validated against the features from then on and the zone facades follow the zones of the device.
+   * @returns {void}
+   * @private
+   */
+  applyFeatures(features) {
+    this.#capabilities = new YamahaMusicCastCapabilities(features);
+    this.#zone.capabilities = this.#capabilities;
+    this.setupZones();
   }
 
   /**
@@ -3216,11 +4938,11 @@ class YamahaMusicCast extends EventEmitter {
   /**
    * @setter ip
    * @param {string} ip
-   * @description Sets the Yamaha receiver IP address.
+   * @description Sets the Yamaha receiver IP address, see reconfigure().
    * @returns {void}
    */
   set ip(ip) {
-    this.#ip = ip;
+    this.reconfigure({ ip });
   }
 
   /**
@@ -3235,13 +4957,108 @@ class YamahaMusicCast extends EventEmitter {
   /**
    * @setter eventPort
    * @param {number} eventPort
-   * @description Sets the Yamaha receiver event port.
+   * @description Sets the Yamaha receiver event port, see reconfigure().
    * @returns {void}
    */
   set eventPort(eventPort) {
-    this.#eventPort = eventPort;
+    this.reconfigure({ eventPort });
+  }
+
+  /**
+   * @getter eventHub
+   * @description Gets the event hub receiving the events of this instance, null when the instance is closed.
+   * @returns {?YamahaMusicCastEventHub}
+   */
+  get eventHub() {
+    return this.#eventHub;
+  }
+
+  /**
+   * @getter eventStats
+   * @description Gets the health of the event listener (see YamahaMusicCastEventHub#stats), null when the instance is closed.
+   * @returns {?object}
+   */
+  get eventStats() {
+    return this.#eventHub ? this.#eventHub.stats : null;
+  }
+
+  /**
+   * @getter keepAliveInterval
+   * @description Gets the keep-alive re-registration interval in milliseconds.
+   * @returns {number}
+   */
+  get keepAliveInterval() {
+    return this.#keepAliveInterval;
+  }
+
+  /**
+   * @setter keepAliveInterval
+   * @param {number} interval
+   * @description Sets the keep-alive re-registration interval in milliseconds and restarts the scheduler when it is running.
+   * @returns {void}
+   */
+  set keepAliveInterval(interval) {
+    if (this.#keepAliveTimer) {
+      this.startKeepAlive(interval);
+    } else {
+      this.#keepAliveInterval = interval;
+    }
+  }
+
+  /**
+   * @getter subscribed
+   * @description Gets whether the Yamaha receiver is currently sending events to this instance.
+   * @returns {boolean}
+   */
+  get subscribed() {
+    return this.checkSubscription();
   }
   
+  /**
+   * @getter deviceInfo
+   * @description Gets the device information loaded by connect().
+   * @returns {?object}
+   */
+  get deviceInfo() {
+    return this.#deviceInfo;
+  }
+
+  /**
+   * @getter features
+   * @description Gets the features loaded by connect() or state.refresh().
+   * @returns {?object}
+   */
+  get features() {
+    return this.#capabilities ? this.#capabilities.features : null;
+  }
+
+  /**
+   * @getter capabilities
+   * @description Gets the capabilities parsed from the features loaded by connect().
+   * @returns {?YamahaMusicCastCapabilities}
+   */
+  get capabilities() {
+    return this.#capabilities;
+  }
+
+  /**
+   * @getter state
+   * @description Gets the YamahaMusicCastState instance. Call state.refresh() once to populate it, after that it is kept current by the event notifications.
+   * @returns {YamahaMusicCastState}
+   */
+  get state() {
+    return this.#state;
+  }
+
+  /**
+   * @getter transport
+   * @description Gets the YamahaMusicCastTransport instance shared by the subsystems.
+   * @returns {YamahaMusicCastTransport}
+   */
+  get transport() {
+    return this.#transport;
+  }
+
   /**
    * @getter system
    * @description Gets the YamahaMusicCastSystem instance.
@@ -3260,6 +5077,35 @@ class YamahaMusicCast extends EventEmitter {
     return this.#zone;
   }
 
+  /**
+   * @getter volumePolicies
+   * @description Gets the volume policies of the zones.
+   * @returns {object}
+   */
+  get volumePolicies() {
+    return this.#zone.policies;
+  }
+
+  /**
+   * @setter volumePolicies
+   * @param {object} volumePolicies - The volume policies of the zones, see YamahaMusicCastZone#policies.
+   * @description Sets the volume policies of the zones.
+   * @returns {void}
+   */
+  set volumePolicies(volumePolicies) {
+    this.#zone.policies = volumePolicies;
+    this.#volumePolicies = volumePolicies;
+  }
+
+  /**
+   * @getter zones
+   * @description Gets the zone facades keyed by zone ID, e.g. musiccast.zones.main.fadeVolume(20, 5000). Created from the zones in getFeatures when connected.
+   * @returns {Object<string, YamahaMusicCastZoneFacade>}
+   */
+  get zones() {
+    return this.#zones;
+  }
+
   /**
    * @getter tuner
    * @description Gets the YamahaMusicCastTuner instance.
@@ -3296,7 +5142,449 @@ class YamahaMusicCast extends EventEmitter {
     return this.#clock;
   }
 
+  /**
+   * @getter dist
+   * @description Gets the YamahaMusicCastDist instance.
+   * @returns {YamahaMusicCastDist}
+   */
+  get dist() {
+    return this.#dist;
+  }
+
+}
+
+/**
+ * @class MusicCastGroupManager
+ * @description Manages a MusicCast Link group: a server distributing its audio to one or more clients.
+ * @version 1.0.0
+ * @exports MusicCastGroupManager
+ * @requires crypto
+ */
+class MusicCastGroupManager {
+  #groupId = '';
+  #name = '';
+  #server = null;
+  #clients = [];
+  #balance = new Map();
+
+  /**
+   * @method generateGroupId
+   * @description Generates a random group ID (32-digit hex).
+   * @returns {string}
+   * @static
+   */
+  static generateGroupId() {
+    return crypto.randomBytes(16).toString('hex');
+  }
+
+  /**
+   * @method member
+   * @param {YamahaMusicCast|{device: YamahaMusicCast, zone: string}} member
+   * @description Normalizes a group member to a device and zone.
+   * @returns {{device: YamahaMusicCast, zone: string}}
+   * @private
+   */
+  member(member) {
+    if (member instanceof YamahaMusicCast) {
+      return { device: member, zone: 'main' };
+    }
+    return { device: member.device, zone: YamahaMusicCastZone.normalize(member.zone || 'main') };
+  }
+
+  /**
+   * @method settle
+   * @param {Array<Promise>} promises
+   * @description Waits for all promises and rejects with the first error, if any.
+   * @returns {Promise}
+   * @private
+   */
+  settle(promises) {
+    return Promise.allSettled(promises).then((results) => {
+      const failed = results.find((result) => result.status === 'rejected');
+      if (failed) {
+        throw failed.reason;
+      }
+      return results.map((result) => result.value);
+    });
+  }
+
+  /**
+   * @method linkClients
+   * @param {Array<{device: YamahaMusicCast, zone: string}>} clients
+   * @description Sets up the clients, then adds them to the server and (re)starts the distribution. Clients which were linked are unlinked again when a step fails.
+   * @returns {Promise}
+   * @private
+   */
+  linkClients(clients) {
+    const server = this.#server;
+    const linked = [];
+    // Clients must know the group before the server distributes to them
+    const promises = clients.map((client) => client.device.dist
+      .setClientInfo(this.#groupId, [client.zone], server.device.ip)
+      .then(() => linked.push(client)));
+
+    return this.settle(promises)
+      .then(() => server.device.dist.setServerInfo(this.#groupId, server.zone, 'add', clients.map((client) => client.device.ip)))
+      .then(() => server.device.dist.startDistribution(0))
+      .catch((error) => {
+        // Roll back the clients which were linked
+        return Promise.allSettled(linked.map((client) => client.device.dist.setClientInfo('', [client.zone])))
+          .then(() => server.device.dist.setServerInfo(this.#groupId, server.zone, 'remove', linked.map((client) => client.device.ip)))
+          .catch(() => null)
+          .then(() => {
+            throw error;
+          });
+      });
+  }
+
+  /**
+   * @method create
+   * @param {YamahaMusicCast|{device: YamahaMusicCast, zone: string}} server - The device (and zone) distributing its audio.
+   * @param {Array<YamahaMusicCast|{device: YamahaMusicCast, zone: string}>} clients - The devices (and zones) playing the distributed audio.
+   * @param {string} name - The group name.
+   * @description Creates the Link group with a newly generated group ID. The clients are set up before the server, as the server only distributes to clients which know the group. When creating the group fails, the server and clients are reset.
+   * @returns {Promise<MusicCastGroupManager>}
+   * @public
+   */
+  create(server, clients = [], name = '') {
+    return new Promise((resolve, reject) => {
+      if (this.#server) {
+        return reject(new Error('The group has already been created, dissolve it first.'));
+      }
+      this.#server = this.member(server);
+      this.#groupId = MusicCastGroupManager.generateGroupId();
+      // The server can not be a client of its own group
+      const members = clients
+        .map((client) => this.member(client))
+        .filter((client) => client.device.ip !== this.#server.device.ip);
+
+      this.#clients = members;
+
+      this.linkClients(members)
+        .then(() => name ? this.setName(name) : null)
+        .then(() => {
+          resolve(this);
+        })
+        .catch((error) => {
+          // Do not leave a half-created group behind
+          this.dissolve()
+            .catch(() => null)
+            .then(() => {
+              reject(error);
+            });
+        });
+    });
+  }
+
+  /**
+   * @method add
+   * @param {YamahaMusicCast|{device: YamahaMusicCast, zone: string}} client
+   * @description Adds a client to the group.
+   * @returns {Promise<MusicCastGroupManager>}
+   * @public
+   */
+  add(client) {
+    return new Promise((resolve, reject) => {
+      if (!this.#server) {
+        return reject(new Error('The group has not been created.'));
+      }
+      const member = this.member(client);
+      if (member.device.ip === this.#server.device.ip || this.#clients.some((c) => c.device.ip === member.device.ip)) {
+        return reject(new Error(`The device ${member.device.ip} is already a member of the group.`));
+      }
+      this.linkClients([member])
+        .then(() => {
+          this.#clients.push(member);
+          resolve(this);
+        })
+        .catch((error) => {
+          reject(error);
+        });
+    });
+  }
+
+  /**
+   * @method remove
+   * @param {YamahaMusicCast} client
+   * @description Removes a client from the group.
+   * @returns {Promise<MusicCastGroupManager>}
+   * @public
+   */
+  remove(client) {
+    return new Promise((resolve, reject) => {
+      const device = client instanceof YamahaMusicCast ? client : client.device;
+      const member = this.#clients.find((c) => c.device.ip === device.ip);
+      if (!member) {
+        return reject(new Error(`The device ${device.ip} is not a client of the group.`));
+      }
+      const server = this.#server;
+      member.device.dist
+        .setClientInfo('', [member.zone])
+        .then(() => server.device.dist.setServerInfo(this.#groupId, server.zone, 'remove', [member.device.ip]))
+        .then(() => server.device.dist.startDistribution(0))
+        .then(() => {
+          this.#clients = this.#clients.filter((c) => c !== member);
+          resolve(this);
+        })
+        .catch((error) => {
+          reject(error);
+        });
+    });
+  }
+
+  /**
+   * @method setName
+   * @param {string} name
+   * @description Sets the group name.
+   * @returns {Promise<MusicCastGroupManager>}
+   * @public
+   */
+  setName(name) {
+    return new Promise((resolve, reject) => {
+      if (!this.#server) {
+        return reject(new Error('The group has not been created.'));
+      }
+      this.#server.device.dist
+        .setGroupName(name)
+        .then(() => {
+          this.#name = name;
+          resolve(this);
+        })
+        .catch((error) => {
+          reject(error);
+        });
+    });
+  }
+
+  /**
+   * @method dissolve
+   * @description Dissolves the group: stops the distribution and resets the server and all clients. Every step is attempted, even when a previous step failed.
+   * @returns {Promise}
+   * @public
+   */
+  dissolve() {
+    return new Promise((resolve, reject) => {
+      if (!this.#server) {
+        return resolve();
+      }
+      const server = this.#server;
+      const clients = this.#clients;
+      this.#server = null;
+      this.#clients = [];
+      this.#groupId = '';
+      this.#name = '';
+
+      const errors = [];
+      const attempt = (promise) => promise.catch((error) => {
+        errors.push(error);
+      });
+
+      attempt(server.device.dist.stopDistribution())
+        .then(() => Promise.all(clients.map((client) => attempt(client.device.dist.setClientInfo('', [client.zone])))))
+        .then(() => attempt(server.device.dist.setServerInfo('', server.zone, 'remove', clients.map((client) => client.device.ip))))
+        .then(() => {
+          if (errors.length) {
+            reject(errors[0]);
+          } else {
+            resolve();
+          }
+        });
+    });
+  }
+
+  /**
+   * @method setVolume
+   * @param {number|string} volume - An absolute group volume as a number (e.g. 40), or a relative change as a signed integer string (e.g. "+3" / "-3"). Other strings are rejected.
+   * @description Sets the volume of every member while preserving the balance between the rooms, like the group volume slider of the MusicCast app. The volume is in the raw steps of the server. The balance is the offset of every client to the server in percent of its own volume range, so members with different scales (e.g. 0-161 and 0-60) move alike. Volumes are clamped to the range of each zone, the balance is remembered though, so it is restored when the group volume moves back. The balance is measured again when a member changed its volume in the meantime.
+   * @returns {Promise<Array<number>>} The new volume of every member.
+   * @public
+   */
+  setVolume(volume) {
+    return new Promise((resolve, reject) => {
+      if (!this.#server) {
+        return reject(new Error('The group has not been created.'));
+      }
+      const relative = typeof volume === 'string' && /^[+-]\d+$/.test(volume);
+      if (!relative && (typeof volume !== 'number' || !Number.isFinite(volume))) {
+        return reject(new Error(`Invalid group volume: ${volume}.`));
+      }
+      const members = this.members;
+      const key = (member) => `${member.device.ip}|${member.zone}`;
+      const percent = (current, raw) => (current.max > current.min ? ((raw - current.min) / (current.max - current.min)) * 100 : 0);
+      this.settle(members.map((member) => member.device.zone.getVolume(member.zone)))
+        .then((currents) => {
+          // Measure the balance again when a member is new or changed its volume since the last group volume
+          const known = members.every((member, index) => this.#balance.has(key(member)) && this.#balance.get(key(member)).volume === currents[index].raw);
+          if (!known) {
+            this.#balance = new Map(members.map((member, index) => [key(member), { offset: currents[index].percent - currents[0].percent }]));
+          }
+          // The server is the reference for the group volume
+          const server = currents[0];
+          const target = Math.min(Math.max(relative ? server.raw + Number(volume) : volume, server.min), server.max);
+          const level = percent(server, target);
+          const volumes = currents.map((current, index) => {
+            if (index === 0) {
+              return target;
+            }
+            const clamped = Math.min(Math.max(level + this.#balance.get(key(members[index])).offset, 0), 100);
+            return Math.round(current.min + (clamped / 100) * (current.max - current.min));
+          });
+          members.forEach((member, index) => {
+            this.#balance.get(key(member)).volume = volumes[index];
+          });
+          return this.settle(members.map((member, index) => {
+            if (volumes[index] === currents[index].raw) {
+              return null;
+            }
+            return member.device.zone.setVolume(member.zone, volumes[index]);
+          })).then(() => volumes);
+        })
+        .then((volumes) => {
+          resolve(volumes);
+        })
+        .catch((error) => {
+          reject(error);
+        });
+    });
+  }
+
+  /**
+   * @method setMute
+   * @param {boolean} enable
+   * @description Sets the mute status of every member.
+   * @returns {Promise}
+   * @public
+   */
+  setMute(enable = true) {
+    return new Promise((resolve, reject) => {
+      if (!this.#server) {
+        return reject(new Error('The group has not been created.'));
+      }
+      this.settle(this.members.map((member) => member.device.zone.setMute(member.zone, enable)))
+        .then((res) => {
+          resolve(res);
+        })
+        .catch((error) => {
+          reject(error);
+        });
+    });
+  }
+
+  /**
+   * @method setPower
+   * @param {string} power - on, standby, toggle
+   * @description Sets the power status of every member. "toggle" is resolved from the power status of the server, so the members can not end up out of sync.
+   * @returns {Promise}
+   * @public
+   */
+  setPower(power = 'on') {
+    return new Promise((resolve, reject) => {
+      if (!this.#server) {
+        return reject(new Error('The group has not been created.'));
+      }
+      const server = this.#server;
+      const target = power === 'toggle'
+        ? server.device.zone.getStatus(server.zone).then((status) => (status.power === 'on' ? 'standby' : 'on'))
+        : Promise.resolve(power);
+
+      target
+        .then((value) => this.settle(this.members.map((member) => member.device.zone.setPower(member.zone, value))))
+        .then((res) => {
+          resolve(res);
+        })
+        .catch((error) => {
+          reject(error);
+        });
+    });
+  }
+
+  /**
+   * @getter groupId
+   * @description Gets the group ID.
+   * @returns {string}
+   */
+  get groupId() {
+    return this.#groupId;
+  }
+
+  /**
+   * @getter name
+   * @description Gets the group name.
+   * @returns {string}
+   */
+  get name() {
+    return this.#name;
+  }
+
+  /**
+   * @getter server
+   * @description Gets the server of the group.
+   * @returns {?{device: YamahaMusicCast, zone: string}}
+   */
+  get server() {
+    return this.#server;
+  }
+
+  /**
+   * @getter clients
+   * @description Gets the clients of the group.
+   * @returns {Array<{device: YamahaMusicCast, zone: string}>}
+   */
+  get clients() {
+    return [...this.#clients];
+  }
+
+  /**
+   * @getter members
+   * @description Gets the server and the clients of the group.
+   * @returns {Array<{device: YamahaMusicCast, zone: string}>}
+   */
+  get members() {
+    return this.#server ? [this.#server, ...this.#clients] : [];
+  }
+
 }
 
 // Export the YamahaMusicCast class
 module.exports = YamahaMusicCast;
+
+// Export the YamahaMusicCastTransport and YamahaMusicCastRequestQueue classes
+module.exports.YamahaMusicCastTransport = YamahaMusicCastTransport;
+module.exports.YamahaMusicCastRequestQueue = YamahaMusicCastRequestQueue;
+
+// Export the subsystem classes
+module.exports.YamahaMusicCastSystem = YamahaMusicCastSystem;
+module.exports.YamahaMusicCastCapabilities = YamahaMusicCastCapabilities;
+module.exports.YamahaMusicCastZone = YamahaMusicCastZone;
+module.exports.YamahaMusicCastZoneFacade = YamahaMusicCastZoneFacade;
+module.exports.YamahaMusicCastTuner = YamahaMusicCastTuner;
+module.exports.YamahaMusicCastNetworkUSB = YamahaMusicCastNetworkUSB;
+module.exports.YamahaMusicCastCD = YamahaMusicCastCD;
+module.exports.YamahaMusicCastClock = YamahaMusicCastClock;
+module.exports.YamahaMusicCastDist = YamahaMusicCastDist;
+
+// Export the YamahaMusicCastState class
+module.exports.YamahaMusicCastState = YamahaMusicCastState;
+
+// Export the YamahaMusicCastDiscovery class
+module.exports.YamahaMusicCastDiscovery = YamahaMusicCastDiscovery;
+
+// Export the YamahaMusicCastEventHub class
+module.exports.YamahaMusicCastEventHub = YamahaMusicCastEventHub;
+
+// Export the MusicCastGroupManager class
+module.exports.MusicCastGroupManager = MusicCastGroupManager;
+
+// Export the MusicCastError classes
+module.exports.MusicCastError = MusicCastError;
+module.exports.MusicCastValidationError = MusicCastValidationError;
+module.exports.MusicCastInitializingError = MusicCastInitializingError;
+module.exports.MusicCastInternalError = MusicCastInternalError;
+module.exports.MusicCastInvalidRequestError = MusicCastInvalidRequestError;
+module.exports.MusicCastInvalidParameterError = MusicCastInvalidParameterError;
+module.exports.MusicCastGuardedError = MusicCastGuardedError;
+module.exports.MusicCastTimeoutError = MusicCastTimeoutError;
+module.exports.MusicCastFirmwareUpdatingError = MusicCastFirmwareUpdatingError;
+module.exports.MusicCastStreamingServiceError = MusicCastStreamingServiceError;
+module.exports.MusicCastNetworkError = MusicCastNetworkError;
+module.exports.MusicCastRequestTimeoutError = MusicCastRequestTimeoutError;